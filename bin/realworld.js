@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+var cli = require('../lib/cli')
+
+cli(process.argv.slice(2), function (code) {
+  process.exitCode = code
+})
@@ -0,0 +1,875 @@
+// Type definitions for realworld-api
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events'
+
+export = RealWorld
+
+/**
+ * Realworld library for open API calls using JavaScript. `DataOnly` follows
+ * the `dataOnly` option and decides whether promises resolve to the `data`
+ * result only or to `{ res, data }`.
+ */
+declare class RealWorld<DataOnly extends boolean = false> extends EventEmitter {
+  constructor(opts?: RealWorld.Options<DataOnly>)
+
+  apiRoot: string
+  token: string | null
+  session: RealWorld.Session
+  ready: Promise<RealWorld.Session>
+  store: RealWorld.Store | null
+  batch: RealWorld.Batch
+  offline: RealWorld.OfflineQueue | null
+  limiter: RealWorld.RateLimiter | null
+  dedupe: RealWorld.Dedupe | null
+  logger: RealWorld.Logger
+  debug: boolean
+  metrics: RealWorld.Metrics | null
+  markdown: RealWorld.MarkdownHelpers | null
+  lintMarkdown: 'ignore' | 'warn' | 'reject'
+  transport: RealWorld.Transport
+  dataOnly: DataOnly
+  strict: boolean
+  timeout: number
+
+  use(middleware: RealWorld.Middleware): this
+
+  login(opts: RealWorld.LoginInput, cb: RealWorld.Callback<RealWorld.UserResponse>): void
+  login(opts: RealWorld.LoginInput, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.UserResponse>): void
+  login(opts: RealWorld.LoginInput, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.UserResponse, DataOnly>
+
+  register(opts: RealWorld.RegisterInput, cb: RealWorld.Callback<RealWorld.UserResponse>): void
+  register(opts: RealWorld.RegisterInput, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.UserResponse>): void
+  register(opts: RealWorld.RegisterInput, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.UserResponse, DataOnly>
+
+  getUser(cb: RealWorld.Callback<RealWorld.UserResponse>): void
+  getUser(options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.UserResponse>): void
+  getUser(options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.UserResponse, DataOnly>
+
+  updateUser(opts: RealWorld.UpdateUserInput, cb: RealWorld.Callback<RealWorld.UserResponse>): void
+  updateUser(opts: RealWorld.UpdateUserInput, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.UserResponse>): void
+  updateUser(opts: RealWorld.UpdateUserInput, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.UserResponse, DataOnly>
+
+  getProfile(username: string, cb: RealWorld.Callback<RealWorld.ProfileResponse>): void
+  getProfile(username: string, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ProfileResponse>): void
+  getProfile(username: string, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ProfileResponse, DataOnly>
+
+  followUser(username: string, cb: RealWorld.Callback<RealWorld.ProfileResponse>): void
+  followUser(username: string, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ProfileResponse>): void
+  followUser(username: string, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ProfileResponse, DataOnly>
+
+  unFollowUser(username: string, cb: RealWorld.Callback<RealWorld.ProfileResponse>): void
+  unFollowUser(username: string, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ProfileResponse>): void
+  unFollowUser(username: string, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ProfileResponse, DataOnly>
+
+  listArticles(cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticles(opts: RealWorld.ListOptions | null | undefined, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticles(opts: RealWorld.ListOptions | null | undefined, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticles(opts?: RealWorld.ListOptions | null, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticlesResponse, DataOnly>
+
+  listAllArticles(cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listAllArticles(page: RealWorld.Page, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listAllArticles(options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listAllArticles(page: RealWorld.Page, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listAllArticles(options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticlesResponse, DataOnly>
+  listAllArticles(page?: RealWorld.Page, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticlesResponse, DataOnly>
+
+  listArticlesByTag(tag: string, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticlesByTag(tag: string, page: RealWorld.Page, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticlesByTag(tag: string, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticlesByTag(tag: string, page: RealWorld.Page, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticlesByTag(tag: string, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticlesResponse, DataOnly>
+  listArticlesByTag(tag: string, page?: RealWorld.Page, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticlesResponse, DataOnly>
+
+  listArticlesByAuthor(author: string, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticlesByAuthor(author: string, page: RealWorld.Page, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticlesByAuthor(author: string, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticlesByAuthor(author: string, page: RealWorld.Page, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticlesByAuthor(author: string, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticlesResponse, DataOnly>
+  listArticlesByAuthor(author: string, page?: RealWorld.Page, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticlesResponse, DataOnly>
+
+  listArticlesByAuthorFavorites(author: string, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticlesByAuthorFavorites(author: string, page: RealWorld.Page, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticlesByAuthorFavorites(author: string, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticlesByAuthorFavorites(author: string, page: RealWorld.Page, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  listArticlesByAuthorFavorites(author: string, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticlesResponse, DataOnly>
+  listArticlesByAuthorFavorites(author: string, page?: RealWorld.Page, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticlesResponse, DataOnly>
+
+  feedArticles(cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  feedArticles(page: RealWorld.Page, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  feedArticles(options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  feedArticles(page: RealWorld.Page, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticlesResponse>): void
+  feedArticles(options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticlesResponse, DataOnly>
+  feedArticles(page?: RealWorld.Page, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticlesResponse, DataOnly>
+
+  iterateArticles(opts?: RealWorld.IterateOptions): AsyncIterableIterator<RealWorld.ArticleData>
+
+  getArticle(slug: string, cb: RealWorld.Callback<RealWorld.ArticleResponse>): void
+  getArticle(slug: string, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticleResponse>): void
+  getArticle(slug: string, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticleResponse, DataOnly>
+
+  createArticle(opts: RealWorld.NewArticle, cb: RealWorld.Callback<RealWorld.ArticleResponse>): void
+  createArticle(opts: RealWorld.NewArticle, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticleResponse>): void
+  createArticle(opts: RealWorld.NewArticle, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticleResponse, DataOnly>
+
+  updateArticle(slug: string, opts: RealWorld.UpdateArticleInput, cb: RealWorld.Callback<RealWorld.ArticleResponse>): void
+  updateArticle(slug: string, opts: RealWorld.UpdateArticleInput, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticleResponse>): void
+  updateArticle(slug: string, opts: RealWorld.UpdateArticleInput, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticleResponse, DataOnly>
+
+  deleteArticle(slug: string, cb: RealWorld.Callback<RealWorld.EmptyResponse>): void
+  deleteArticle(slug: string, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.EmptyResponse>): void
+  deleteArticle(slug: string, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.EmptyResponse, DataOnly>
+
+  addComment(slug: string, opts: RealWorld.NewComment, cb: RealWorld.Callback<RealWorld.CommentResponse>): void
+  addComment(slug: string, opts: RealWorld.NewComment, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.CommentResponse>): void
+  addComment(slug: string, opts: RealWorld.NewComment, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.CommentResponse, DataOnly>
+
+  getComments(slug: string, cb: RealWorld.Callback<RealWorld.CommentsResponse>): void
+  getComments(slug: string, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.CommentsResponse>): void
+  getComments(slug: string, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.CommentsResponse, DataOnly>
+
+  deleteComment(slug: string, commentId: number | string, cb: RealWorld.Callback<RealWorld.EmptyResponse>): void
+  deleteComment(slug: string, commentId: number | string, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.EmptyResponse>): void
+  deleteComment(slug: string, commentId: number | string, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.EmptyResponse, DataOnly>
+
+  favoriteArticle(slug: string, cb: RealWorld.Callback<RealWorld.ArticleResponse>): void
+  favoriteArticle(slug: string, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticleResponse>): void
+  favoriteArticle(slug: string, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticleResponse, DataOnly>
+
+  unFavoriteArticle(slug: string, cb: RealWorld.Callback<RealWorld.ArticleResponse>): void
+  unFavoriteArticle(slug: string, options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.ArticleResponse>): void
+  unFavoriteArticle(slug: string, options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.ArticleResponse, DataOnly>
+
+  getTags(cb: RealWorld.Callback<RealWorld.TagsResponse>): void
+  getTags(options: RealWorld.RequestOptions, cb: RealWorld.Callback<RealWorld.TagsResponse>): void
+  getTags(options?: RealWorld.RequestOptions): RealWorld.Reply<RealWorld.TagsResponse, DataOnly>
+
+  setToken(token: string | null): void
+  logout(): Promise<RealWorld.Session>
+
+  on(event: 'session', listener: (session: RealWorld.Session) => void): this
+  on(event: 'session:error', listener: (err: Error) => void): this
+  on(event: 'unauthorized', listener: (res: RealWorld.Response, req: RealWorld.Request) => void): this
+  on(event: 'expired', listener: (expiresAt: Date, req: RealWorld.Request) => void): this
+  on(event: 'lint', listener: (problems: RealWorld.LintProblem[], method: 'createArticle' | 'updateArticle') => void): this
+  on(event: 'invalid', listener: (err: RealWorld.ResponseShapeError, req: RealWorld.Request) => void): this
+  on(event: 'offline:queued', listener: (entry: RealWorld.QueuedMutation) => void): this
+  on(event: 'offline:replayed', listener: (entry: RealWorld.QueuedMutation, res: RealWorld.Response, data: any) => void): this
+  on(event: 'offline:conflict', listener: (err: RealWorld.RealWorldError, entry: RealWorld.QueuedMutation) => void): this
+  on(event: 'offline:error', listener: (err: Error) => void): this
+  on(event: 'request', listener: (req: RealWorld.Request) => void): this
+  on(event: 'response', listener: (res: RealWorld.Response, req: RealWorld.Request) => void): this
+  on(event: 'error', listener: (err: Error, req: RealWorld.Request) => void): this
+  on(event: 'token', listener: (token: string | null) => void): this
+  on(event: 'article:created' | 'article:favorited' | 'article:unfavorited', listener: (article: RealWorld.ArticleData) => void): this
+  on(event: 'article:updated', listener: (article: RealWorld.ArticleData, slug: string) => void): this
+  on(event: 'article:deleted', listener: (slug: string) => void): this
+  on(event: 'comment:added', listener: (comment: RealWorld.CommentData, slug: string) => void): this
+  on(event: 'comment:deleted', listener: (commentId: number | string, slug: string) => void): this
+  on(event: 'user:followed' | 'user:unfollowed', listener: (profile: RealWorld.ProfileData) => void): this
+  on(event: 'user:updated', listener: (user: RealWorld.UserData) => void): this
+  on(event: 'trace', listener: (trace: RealWorld.Trace) => void): this
+  on(event: string | symbol, listener: (...args: any[]) => void): this
+}
+
+declare namespace RealWorld {
+  /** Default API root */
+  let base: string
+  const transports: Transports
+  const storage: StorageAdapters
+  /** Request body schemas from the RealWorld API spec, keyed by method name */
+  const schemas: Schemas
+
+  // Response shapes from the RealWorld API spec
+
+  interface UserData {
+    email: string
+    token: string
+    username: string
+    bio: string | null
+    image: string | null
+  }
+
+  interface ProfileData {
+    username: string
+    bio: string | null
+    image: string | null
+    following: boolean
+  }
+
+  interface ArticleData {
+    slug: string
+    title: string
+    description: string
+    body: string
+    tagList: string[]
+    createdAt: string
+    updatedAt: string
+    favorited: boolean
+    favoritesCount: number
+    author: ProfileData
+    /** Sanitized HTML of `body`, with the `markdown` option */
+    bodyHtml?: string
+  }
+
+  interface CommentData {
+    id: number
+    createdAt: string
+    updatedAt: string
+    body: string
+    author: ProfileData
+    /** Sanitized HTML of `body`, with the `markdown` option */
+    bodyHtml?: string
+  }
+
+  interface UserResponse {
+    user: UserData
+  }
+
+  interface ProfileResponse {
+    profile: ProfileData
+  }
+
+  interface ArticleResponse {
+    article: ArticleData
+  }
+
+  interface ArticlesResponse {
+    articles: ArticleData[]
+    articlesCount: number
+  }
+
+  interface CommentResponse {
+    comment: CommentData
+  }
+
+  interface CommentsResponse {
+    comments: CommentData[]
+  }
+
+  interface TagsResponse {
+    tags: string[]
+  }
+
+  interface EmptyResponse {}
+
+  /**
+   * Field errors in the same form as a 422 response, such as
+   * `{ email: ['has already been taken'] }`
+   */
+  interface FieldErrors {
+    [field: string]: string[]
+  }
+
+  // Request bodies
+
+  interface LoginInput {
+    email: string
+    password: string
+  }
+
+  interface RegisterInput {
+    username: string
+    email: string
+    password: string
+  }
+
+  interface UpdateUserInput {
+    email?: string
+    username?: string
+    password?: string
+    bio?: string | null
+    image?: string | null
+  }
+
+  interface NewArticle {
+    title: string
+    description: string
+    body: string
+    tagList?: string[]
+  }
+
+  interface UpdateArticleInput {
+    title?: string
+    description?: string
+    body?: string
+  }
+
+  interface NewComment {
+    body: string
+  }
+
+  /** Page of articles to show, starting from 0 */
+  type Page = number | null | undefined
+
+  interface ListOptions {
+    tag?: string
+    author?: string
+    favorited?: string
+    feed?: boolean
+    limit?: number
+    page?: number
+    offset?: number
+  }
+
+  interface IterateOptions extends Omit<RequestOptions, 'offline'> {
+    tag?: string
+    author?: string
+    favorited?: string
+    feed?: boolean
+    limit?: number
+    page?: number
+    max?: number
+  }
+
+  // Client
+
+  interface Options<DataOnly extends boolean = boolean> {
+    token?: string
+    apiRoot?: string
+    dataOnly?: DataOnly
+    strict?: boolean
+    transport?: Transport
+    validate?: boolean
+    checkResponses?: 'ignore' | 'warn' | 'reject'
+    /** Helpers from `realworld-api/markdown` */
+    markdown?: MarkdownHelpers
+    lintMarkdown?: 'ignore' | 'warn' | 'reject'
+    models?: boolean
+    store?: Store | boolean
+    timeout?: number
+    retry?: RetryOptions | RetryPolicy | boolean
+    cache?: CacheOptions | Cache | boolean
+    offline?: OfflineOptions | boolean
+    rateLimit?: RateLimiterOptions | RateLimiter | boolean
+    dedupe?: boolean
+    logger?: Logger
+    debug?: boolean
+    metrics?: MetricsOptions | Metrics | boolean
+    storage?: StorageAdapter
+    expiredToken?: 'warn' | 'reject' | 'ignore'
+    refreshToken?: (client: RealWorld<any>) => string | null | undefined | void | Promise<string | null | undefined | void>
+  }
+
+  interface RequestOptions {
+    signal?: AbortSignal
+    timeout?: number
+    offline?: boolean
+    priority?: Priority
+    fresh?: boolean
+  }
+
+  /**
+   * Promise of the `data` result when `dataOnly` is set, or of `{ res, data }`
+   * otherwise
+   */
+  type Reply<T, DataOnly extends boolean> = Promise<DataOnly extends true ? T : Result<T>>
+
+  interface Result<T> {
+    res: Response
+    data: T
+  }
+
+  type Callback<T> = (err: Error | null, res: Response, data: T) => void
+
+  interface Request {
+    method: string
+    url: string
+    headers: { [name: string]: string }
+    body?: any
+    signal?: AbortSignal
+  }
+
+  interface Response {
+    statusCode: number
+    statusMessage?: string
+    headers: { [name: string]: string | string[] | undefined }
+    body?: any
+    /** Set on responses answered from the cache */
+    cached?: boolean
+    /** Set on responses shared with an identical request in flight */
+    deduped?: boolean
+  }
+
+  type Transport = (req: Request, cb: (err: Error | null, res?: Response) => void) => void
+
+  type Middleware = (req: Request, next: (req: Request) => Promise<Response>) => Response | Promise<Response>
+
+  interface Transports {
+    nets(opts?: object): Transport
+    fetch(opts?: { fetch?: typeof fetch; init?: object }): Transport
+    http(opts?: { agent?: any; httpAgent?: any; httpsAgent?: any }): Transport
+  }
+
+  // Retries and caching
+
+  interface RetryOptions {
+    attempts?: number
+    minDelay?: number
+    maxDelay?: number
+    factor?: number
+    jitter?: boolean
+    methods?: string[]
+    statusCodes?: number[]
+    errorCodes?: string[]
+    shouldRetry?: (err: Error | null, res: Response | undefined, req: Request) => boolean
+  }
+
+  class RetryPolicy {
+    constructor(opts?: RetryOptions | boolean)
+    attempts: number
+    minDelay: number
+    maxDelay: number
+    factor: number
+    jitter: boolean
+    methods: string[]
+    statusCodes: number[]
+    errorCodes: string[]
+    run(req: Request, send: (req: Request) => Promise<Response>): Promise<Response>
+    delay(attempt: number, res?: Response): number
+  }
+
+  interface CacheEntry {
+    status: number
+    headers: { [name: string]: string | string[] | undefined }
+    body: any
+    etag?: string
+    expires: number
+  }
+
+  interface CacheStore {
+    get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>
+    set(key: string, entry: CacheEntry): void | Promise<void>
+    delete(key: string): void | Promise<void>
+    keys(): string[] | Promise<string[]>
+  }
+
+  interface CacheOptions {
+    ttls?: {
+      tags?: number
+      article?: number
+      profile?: number
+      articles?: number
+      comments?: number
+      user?: number
+    }
+    store?: CacheStore
+  }
+
+  class Cache {
+    constructor(opts?: CacheOptions | boolean)
+    static MemoryStore: typeof MemoryStore
+    ttls: { [endpoint: string]: number }
+    store: CacheStore
+    handle(req: Request, next: (req: Request) => Promise<Response>, root: string): Promise<Response>
+    invalidate(match: (path: string) => boolean): Promise<void>
+    clear(): Promise<void>
+  }
+
+  class MemoryStore implements CacheStore {
+    constructor(opts?: { max?: number })
+    max: number
+    get(key: string): CacheEntry | undefined
+    set(key: string, entry: CacheEntry): void
+    delete(key: string): void
+    keys(): string[]
+  }
+
+  // Sessions
+
+  interface SavedSession {
+    token: string | null
+    user: UserData | null
+  }
+
+  interface StorageAdapter<T = SavedSession> {
+    load(): T | null | Promise<T | null>
+    save(value: T): void | Promise<void>
+    clear(): void | Promise<void>
+  }
+
+  interface StorageAdapters {
+    memory<T = SavedSession>(value?: T): StorageAdapter<T>
+    localStorage<T = SavedSession>(opts?: { key?: string; storage?: Storage }): StorageAdapter<T>
+    file<T = SavedSession>(path: string): StorageAdapter<T>
+  }
+
+  class Session {
+    constructor(opts?: { storage?: StorageAdapter }, onChange?: (session: Session, err: Error | null) => void)
+    storage: StorageAdapter
+    token: string | null
+    user: UserData | null
+    readonly expiresAt: Date | null
+    restore(): Promise<Session>
+    setUser(user: UserData): Promise<Session>
+    setToken(token: string | null): Promise<Session>
+    clear(): Promise<Session>
+    isExpired(leeway?: number): boolean
+    toJSON(): SavedSession
+  }
+
+  // Models
+
+  class Profile implements ProfileData {
+    constructor(client: RealWorld<any>, data: ProfileData)
+    readonly client: RealWorld<any>
+    username: string
+    bio: string | null
+    image: string | null
+    following: boolean
+    follow(options?: RequestOptions | Callback<ProfileResponse>, cb?: Callback<ProfileResponse>): Promise<any>
+    unfollow(options?: RequestOptions | Callback<ProfileResponse>, cb?: Callback<ProfileResponse>): Promise<any>
+    articles(page?: Page, options?: RequestOptions | Callback<ArticlesResponse>, cb?: Callback<ArticlesResponse>): Promise<any>
+  }
+
+  class Article {
+    constructor(client: RealWorld<any>, data: ArticleData)
+    readonly client: RealWorld<any>
+    slug: string
+    title: string
+    description: string
+    body: string
+    tagList: string[]
+    createdAt: Date
+    updatedAt: Date
+    favorited: boolean
+    favoritesCount: number
+    author: Profile
+    favorite(options?: RequestOptions | Callback<ArticleResponse>, cb?: Callback<ArticleResponse>): Promise<any>
+    unfavorite(options?: RequestOptions | Callback<ArticleResponse>, cb?: Callback<ArticleResponse>): Promise<any>
+    update(opts: UpdateArticleInput, options?: RequestOptions | Callback<ArticleResponse>, cb?: Callback<ArticleResponse>): Promise<any>
+    delete(options?: RequestOptions | Callback<EmptyResponse>, cb?: Callback<EmptyResponse>): Promise<any>
+    comments(options?: RequestOptions | Callback<CommentsResponse>, cb?: Callback<CommentsResponse>): Promise<any>
+    addComment(opts: NewComment, options?: RequestOptions | Callback<CommentResponse>, cb?: Callback<CommentResponse>): Promise<any>
+    toJSON(): ArticleData
+  }
+
+  class Comment {
+    constructor(client: RealWorld<any>, data: CommentData, slug: string)
+    readonly client: RealWorld<any>
+    slug: string
+    id: number
+    createdAt: Date
+    updatedAt: Date
+    body: string
+    author: Profile
+    delete(options?: RequestOptions | Callback<EmptyResponse>, cb?: Callback<EmptyResponse>): Promise<any>
+    toJSON(): CommentData
+  }
+
+  // Bulk operations
+
+  interface BatchOptions extends RequestOptions {
+    concurrency?: number
+    onProgress?: (result: BatchResult, progress: { done: number; failed: number; total: number }) => void
+  }
+
+  interface BatchResult<T = any> {
+    item: string
+    ok: boolean
+    status?: number
+    data?: T
+    error?: Error
+  }
+
+  interface BatchReport<T = any> {
+    results: Array<BatchResult<T>>
+    succeeded: number
+    failed: number
+  }
+
+  type BatchCallback<T> = (err: TypeError | null, report: BatchReport<T>) => void
+
+  class Batch {
+    constructor(client: RealWorld<any>)
+    client: RealWorld<any>
+    deleteArticles(slugs: string[], cb: BatchCallback<EmptyResponse>): void
+    deleteArticles(slugs: string[], opts: BatchOptions, cb: BatchCallback<EmptyResponse>): void
+    deleteArticles(slugs: string[], opts?: BatchOptions): Promise<BatchReport<EmptyResponse>>
+    favoriteArticles(slugs: string[], cb: BatchCallback<ArticleResponse>): void
+    favoriteArticles(slugs: string[], opts: BatchOptions, cb: BatchCallback<ArticleResponse>): void
+    favoriteArticles(slugs: string[], opts?: BatchOptions): Promise<BatchReport<ArticleResponse>>
+    unFavoriteArticles(slugs: string[], cb: BatchCallback<ArticleResponse>): void
+    unFavoriteArticles(slugs: string[], opts: BatchOptions, cb: BatchCallback<ArticleResponse>): void
+    unFavoriteArticles(slugs: string[], opts?: BatchOptions): Promise<BatchReport<ArticleResponse>>
+    followUsers(usernames: string[], cb: BatchCallback<ProfileResponse>): void
+    followUsers(usernames: string[], opts: BatchOptions, cb: BatchCallback<ProfileResponse>): void
+    followUsers(usernames: string[], opts?: BatchOptions): Promise<BatchReport<ProfileResponse>>
+    unFollowUsers(usernames: string[], cb: BatchCallback<ProfileResponse>): void
+    unFollowUsers(usernames: string[], opts: BatchOptions, cb: BatchCallback<ProfileResponse>): void
+    unFollowUsers(usernames: string[], opts?: BatchOptions): Promise<BatchReport<ProfileResponse>>
+  }
+
+  // Logging and metrics
+
+  type LogMethod = (message: string, fields?: object) => void
+
+  interface Logger {
+    debug?: LogMethod
+    info?: LogMethod
+    warn?: LogMethod
+    error?: LogMethod
+    log?: LogMethod
+  }
+
+  interface Trace {
+    method: string
+    url: string
+    /** Endpoint with placeholders, such as `GET /articles/:slug` */
+    endpoint: string
+    /** Request headers with the token redacted */
+    headers: { [name: string]: string }
+    status: number | null
+    duration: number
+    retries: number
+    size: number
+    cached: boolean
+    deduped: boolean
+    error: string | null
+  }
+
+  interface MetricsOptions {
+    buckets?: number[]
+  }
+
+  interface EndpointStats {
+    count: number
+    errors: number
+    retries: number
+    cached: number
+    deduped: number
+    statuses: { [status: string]: number }
+    latency: {
+      sum: number
+      min: number
+      max: number
+      /** The last bucket has no bound and `le` is null */
+      buckets: Array<{ le: number | null; count: number }>
+    }
+  }
+
+  class Metrics {
+    constructor(opts?: MetricsOptions | boolean)
+    static endpoint(method: string, path: string): string
+    static redact(headers: { [name: string]: string }): { [name: string]: string }
+    buckets: number[]
+    record(trace: Trace): void
+    snapshot(): { [endpoint: string]: EndpointStats }
+    reset(): void
+  }
+
+  // Markdown
+
+  interface Heading {
+    depth: number
+    text: string
+    /** `id` of the heading in the rendered HTML */
+    id: string
+  }
+
+  interface TocEntry extends Heading {
+    children: TocEntry[]
+  }
+
+  interface LintProblem {
+    rule: 'html' | 'unsafe-url' | 'empty-link' | 'image-alt' | 'heading-increment'
+    message: string
+    line: number
+    column: number
+  }
+
+  interface MarkdownHelpers {
+    render(markdown: string): string
+    excerpt(markdown: string, length?: number): string
+    headings(markdown: string): Heading[]
+    toc(markdown: string, opts?: { maxDepth?: number }): TocEntry[]
+    lint(markdown: string): LintProblem[]
+    enrich<T>(data: T): T
+  }
+
+  // Request deduplication
+
+  class Dedupe {
+    constructor()
+    readonly size: number
+    handle(req: Request, next: (req: Request) => Promise<Response>): Promise<Response>
+  }
+
+  // Rate limiting
+
+  type Priority = 'high' | 'normal' | 'low'
+
+  interface RateLimiterOptions {
+    rate?: number
+    interval?: number
+    burst?: number
+    concurrency?: number
+  }
+
+  interface RateLimiterMetrics {
+    active: number
+    queued: number
+    lanes: { high: number; normal: number; low: number }
+    tokens: number
+    sent: number
+    throttled: number
+    cancelled: number
+    averageWait: number
+    maxWait: number
+  }
+
+  class RateLimiter {
+    constructor(opts?: RateLimiterOptions | boolean)
+    rate: number
+    interval: number
+    burst: number
+    concurrency: number
+    schedule<T>(task: () => T | Promise<T>, opts?: { priority?: Priority; signal?: AbortSignal }): Promise<T>
+    metrics(): RateLimiterMetrics
+  }
+
+  // Offline queue
+
+  interface OfflineOptions {
+    storage?: StorageAdapter<QueuedMutation[]>
+    listen?: boolean
+  }
+
+  interface QueuedMutation {
+    id: number
+    method: string
+    url: string
+    body?: any
+    queuedAt: string
+  }
+
+  interface ReplayResult {
+    entry: QueuedMutation
+    ok: boolean
+    status?: number
+    data?: any
+    error?: RealWorldError
+  }
+
+  class OfflineQueue {
+    constructor(client: RealWorld<any>, opts?: OfflineOptions | boolean)
+    client: RealWorld<any>
+    storage: StorageAdapter<QueuedMutation[]>
+    entries: QueuedMutation[]
+    ready: Promise<OfflineQueue>
+    restore(): Promise<OfflineQueue>
+    enqueue(method: string, url: string, body?: any): QueuedMutation | null
+    replay(): Promise<ReplayResult[]>
+    destroy(): void
+  }
+
+  // Normalized store
+
+  interface StoreChange {
+    type: 'article' | 'profile' | 'comment' | 'comments' | 'list' | 'tags'
+    id: string | number | null
+  }
+
+  interface StoredArticle extends Omit<ArticleData, 'author'> {
+    author: string
+  }
+
+  interface StoredComment extends Omit<CommentData, 'author' | 'id'> {
+    id: number | string
+    author: string | null
+    slug: string
+    pending?: boolean
+  }
+
+  class Store {
+    constructor(opts?: { logger?: Logger })
+    logger: Logger
+    articles: { [slug: string]: StoredArticle }
+    profiles: { [username: string]: ProfileData }
+    comments: { [id: string]: StoredComment }
+    articleComments: { [slug: string]: Array<number | string> }
+    lists: { [path: string]: { slugs: string[]; articlesCount: number } }
+    tags: string[]
+    subscribe(fn: (changes: StoreChange[], store: Store) => void): () => void
+    getArticle(slug: string): ArticleData | undefined
+    getProfile(username: string): ProfileData | undefined
+    getComments(slug: string): Array<Omit<StoredComment, 'author'> & { author: ProfileData | undefined }>
+    getList(path: string): ArticlesResponse | undefined
+    merge(data: any, path: string): void
+    removeArticle(slug: string): void
+    removeComment(slug: string, id: number | string): void
+    favorite(slug: string, favorited: boolean): () => void
+    follow(username: string, following: boolean): () => void
+    addComment(slug: string, comment: NewComment, author?: ProfileData): () => void
+  }
+
+  // Request body schemas
+
+  interface FieldSchema {
+    type: 'string' | 'array'
+    required?: boolean
+    nullable?: boolean
+    items?: string
+    format?: 'url'
+  }
+
+  interface Schemas {
+    [method: string]: { [field: string]: FieldSchema }
+  }
+
+  // Errors
+
+  interface ErrorOptions {
+    status?: number
+    url?: string
+    method?: string
+    res?: Response
+    data?: any
+  }
+
+  class RealWorldError extends Error {
+    constructor(message: string, opts?: ErrorOptions)
+    status?: number
+    url?: string
+    method?: string
+    res?: Response
+    data?: any
+  }
+
+  class ValidationError extends RealWorldError {
+    errors: FieldErrors
+  }
+
+  class SchemaError extends ValidationError {}
+
+  class UnauthorizedError extends RealWorldError {}
+
+  class ForbiddenError extends RealWorldError {}
+
+  class NotFoundError extends RealWorldError {}
+
+  class ServerError extends RealWorldError {}
+
+  class TokenExpiredError extends UnauthorizedError {
+    constructor(message: string, opts?: ErrorOptions & { expiresAt?: Date })
+    expiresAt?: Date
+  }
+
+  class AbortError extends RealWorldError {}
+
+  class TimeoutError extends RealWorldError {}
+
+  class OfflineError extends RealWorldError {
+    constructor(message: string, opts?: ErrorOptions & { cause?: Error; entry?: QueuedMutation | null })
+    cause?: Error
+    /** Queued mutation, or null if it cancelled out a queued one */
+    entry: QueuedMutation | null
+  }
+
+  class ResponseShapeError extends RealWorldError {
+    constructor(message: string, opts?: ErrorOptions & { errors?: FieldErrors })
+    /** Problems keyed by the path of each field, such as `article.favorited` */
+    errors: FieldErrors
+  }
+}
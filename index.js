@@ -1,16 +1,155 @@
-var request = require('nets')
+var EventEmitter = require('events').EventEmitter
+var inherits = require('inherits')
 var xtend = require('xtend')
-
-module.exports.base = 'https://conduit.productionready.io/api'
+var transports = require('./lib/transports')
+var errors = require('./lib/errors')
+var PageIterator = require('./lib/iterator')
+var RetryPolicy = require('./lib/retry')
+var Cache = require('./lib/cache')
+var Session = require('./lib/session')
+var storage = require('./lib/storage')
+var cancellation = require('./lib/cancel')
+var schema = require('./lib/schema')
+var models = require('./lib/models')
+var Store = require('./lib/store')
+var Batch = require('./lib/batch')
+var OfflineQueue = require('./lib/offline')
+var RateLimiter = require('./lib/limiter')
+var Dedupe = require('./lib/dedupe')
+var Metrics = require('./lib/metrics')
 
 module.exports = RealWorld
 
+RealWorld.base = 'https://conduit.productionready.io/api'
+
+inherits(RealWorld, EventEmitter)
+
+RealWorld.transports = transports
+RealWorld.RetryPolicy = RetryPolicy
+RealWorld.Cache = Cache
+RealWorld.Session = Session
+RealWorld.storage = storage
+RealWorld.schemas = schema.schemas
+RealWorld.Article = models.Article
+RealWorld.Profile = models.Profile
+RealWorld.Comment = models.Comment
+RealWorld.Store = Store
+RealWorld.Batch = Batch
+RealWorld.OfflineQueue = OfflineQueue
+RealWorld.RateLimiter = RateLimiter
+RealWorld.Dedupe = Dedupe
+RealWorld.Metrics = Metrics
+
+Object.keys(errors).forEach(function (key) {
+  if (key !== 'fromResponse') RealWorld[key] = errors[key]
+})
+
 /**
  * Realworld library for open API calls using JavaScript
+ *
+ * The client is an `EventEmitter`. Besides the events of its options, it
+ * emits these events for every request:
+ *
+ * - `request` with the outgoing request, before it is sent
+ * - `response` with the response and the request, once it arrives
+ * - `error` with the error and the request when a call fails. It is only
+ *   emitted if something listens, so an unhandled `error` never throws.
+ * - `token` with the new token, or null, whenever the token changes
+ *
+ * It also emits these events once a change has succeeded:
+ *
+ * - `article:created`, `article:updated`, `article:favorited` and
+ *   `article:unfavorited` with the article. `article:updated` also has the
+ *   slug the article had before.
+ * - `article:deleted` with the slug
+ * - `comment:added` with the comment and the slug of its article
+ * - `comment:deleted` with the comment id and the slug of its article
+ * - `user:followed` and `user:unfollowed` with the profile
+ * - `user:updated` with the user
+ *
+ * Errors thrown by listeners are logged and never fail or stall the call.
  * @param {Object} [opts] options for configuring API
  * @param {string} [opts.token=null] authentication token from RealWorld
  * @param {string} [opts.apiRoot=https://conduit.productionready.io/api] the url
  * to Realworld API
+ * @param {boolean} [opts.dataOnly=false] resolve promises with only the `data`
+ * result instead of `{ res, data }`
+ * @param {boolean} [opts.strict=false] treat non-2xx responses as errors. The
+ * error will be a {@link RealWorldError} such as `ValidationError` or
+ * `NotFoundError`
+ * @param {Function} [opts.transport=RealWorld.transports.nets()] function that
+ * sends HTTP requests. Built-in adapters are `RealWorld.transports.nets`,
+ * `RealWorld.transports.fetch` and `RealWorld.transports.http`
+ * @param {boolean} [opts.validate=true] check request bodies against the
+ * RealWorld API spec before sending them. Invalid bodies fail with a
+ * `SchemaError` listing each field problem
+ * @param {string} [opts.checkResponses=ignore] check response bodies against
+ * the shapes of the RealWorld API spec: `warn` emits an `invalid` event (or
+ * logs a warning if nothing listens), `reject` fails the request with a
+ * `ResponseShapeError` and `ignore` skips the check
+ * @param {Object} [opts.markdown=null] Markdown helpers from
+ * `require('realworld-api/markdown')`. With them, every article and comment
+ * the client receives gets a `bodyHtml` rendered from its Markdown `body` and
+ * sanitized with `markdown.render`
+ * @param {string} [opts.lintMarkdown=ignore] check the Markdown `body` of
+ * `createArticle` and `updateArticle` with `markdown.lint` before sending.
+ * Needs `opts.markdown`: `warn` emits a `lint` event (or logs a warning if nothing
+ * listens), `reject` fails the request with a `SchemaError` and `ignore`
+ * skips the check
+ * @param {boolean} [opts.models=false] return articles, profiles and comments
+ * as {@link Article}, {@link Profile} and {@link Comment} models bound to the
+ * client, with methods such as `article.favorite()` and `profile.follow()`
+ * @param {Store|boolean} [opts.store=false] keep every article, profile and
+ * comment the client receives in a normalized {@link Store}. Favoriting,
+ * following and commenting update the store optimistically and roll back if
+ * the request fails
+ * @param {Number} [opts.timeout=0] milliseconds before a request fails with a
+ * `TimeoutError`. `0` means requests never time out. Can be changed per call
+ * with {@link RealWorld~requestOptions}
+ * @param {Object|boolean} [opts.retry=false] retry transient failures with
+ * exponential backoff. Pass `true` for the defaults or options for a
+ * {@link RetryPolicy}. Only `GET` requests are retried unless
+ * `opts.retry.methods` lists others
+ * @param {Object|boolean} [opts.offline=false] queue mutations that fail
+ * because the server cannot be reached and replay them once it can. Pass
+ * `true` for the defaults or options for an {@link OfflineQueue}, such as the
+ * `storage` to keep the queue in
+ * @param {Object|RateLimiter|boolean} [opts.rateLimit=false] throttle
+ * outgoing requests with a token bucket and a concurrency limit. Pass `true`
+ * for the defaults, options for a {@link RateLimiter}, or a limiter to share
+ * with other clients. Calls can jump the queue with the `priority` option of
+ * {@link RealWorld~requestOptions}
+ * @param {boolean} [opts.dedupe=false] merge identical `GET` requests that are
+ * in flight at the same time, matched on URL and token, into one network call.
+ * Every caller gets its own copy of the response. A single call can send its
+ * own request with the `fresh` option of {@link RealWorld~requestOptions}
+ * @param {Object} [opts.logger=console] logger with `debug`, `info`, `warn`
+ * and `error` methods, each called as `logger[level](message, fields)`.
+ * Warnings about expired tokens and invalid responses go to the logger.
+ * @param {boolean} [opts.debug=false] log a trace of every call at the
+ * `debug` level, with its method, URL, status, duration, retry count and
+ * response size. The token is redacted and bodies are never logged.
+ * @param {Object|Metrics|boolean} [opts.metrics=false] count calls and record
+ * latency histograms per endpoint in a {@link Metrics} object. Pass `true` for
+ * the defaults or options such as the histogram `buckets`
+ * @param {Object|boolean} [opts.cache=false] cache responses to `GET`
+ * requests. Pass `true` for the defaults or options for a {@link Cache}, such
+ * as per-endpoint `ttls` or a custom `store`
+ * @param {Object} [opts.storage=RealWorld.storage.memory()] storage adapter
+ * that keeps the session between page loads or processes. The saved session
+ * is restored on construction unless `opts.token` is given. Built-in
+ * adapters are `RealWorld.storage.memory`, `RealWorld.storage.localStorage`
+ * and `RealWorld.storage.file`
+ * @param {string} [opts.expiredToken=warn] what to do before sending a request
+ * with an expired token: `warn` emits an `expired` event (or logs a warning if
+ * nothing listens), `reject` fails the request with a `TokenExpiredError`
+ * and `ignore` sends it anyway
+ * @param {Function} [opts.refreshToken] called as `refreshToken(client)` when
+ * the token has expired or a request is answered with 401. `login` and
+ * `register` requests are never refreshed, so the hook may call them. Return a fresh
+ * token, or a Promise of one, and the request is sent again with it. Return
+ * nothing to give up, and `expiredToken` decides what happens to a request
+ * with an expired token.
  * @example
  * var client = new RealWorld()
  * @example
@@ -18,84 +157,563 @@ module.exports = RealWorld
  *   apiRoot: 'http://localhost:8000/api',
  *   token: 'my-secret-authentication-token'
  * })
+ * @example
+ * // every method returns a Promise when the callback is omitted
+ * var client = new RealWorld({ dataOnly: true })
+ * var data = await client.getArticle('angular-app-dev-e33mn9')
+ * @example
+ * // send requests with the Fetch API instead of nets
+ * var client = new RealWorld({ transport: RealWorld.transports.fetch() })
+ * @example
+ * // retry 502 and 503 responses up to five times, including POST requests
+ * var client = new RealWorld({
+ *   retry: {
+ *     attempts: 5,
+ *     statusCodes: [502, 503],
+ *     methods: ['GET', 'POST']
+ *   }
+ * })
+ * @example
+ * // keep the user logged in across page loads
+ * var client = new RealWorld({ storage: RealWorld.storage.localStorage() })
+ * client.on('session', function (session) {
+ *   console.log(session.user ? `hello ${session.user.username}` : 'bye')
+ * })
+ * @example
+ * // get a new token and replay the request when the old one stops working
+ * var client = new RealWorld({
+ *   refreshToken: function (client) {
+ *     return client.login(savedCredentials).then(function (result) {
+ *       return result.data.user.token
+ *     })
+ *   }
+ * })
+ * client.on('unauthorized', function (res, req) {
+ *   console.log(`${req.url} needs a valid token`)
+ * })
+ * @example
+ * // keep other parts of the page up to date
+ * client.on('article:favorited', function (article) {
+ *   updateHeart(article.slug, article.favoritesCount)
+ * })
+ * client.on('token', function (token) {
+ *   renderNav(!!token)
+ * })
+ * @example
+ * // send a trace of every call to your own tooling
+ * var client = new RealWorld({ logger: pino(), debug: true, metrics: true })
+ * client.on('trace', function (trace) {
+ *   statsd.timing(trace.endpoint, trace.duration)
+ * })
+ * @example
+ * // render article bodies and refuse to publish unsafe links
+ * var client = new RealWorld({
+ *   markdown: require('realworld-api/markdown'),
+ *   lintMarkdown: 'reject'
+ * })
+ * var data = await client.getArticle('how-to-train-your-dragon')
+ * el.innerHTML = data.article.bodyHtml
+ * @example
+ * // catch backends that drift from the spec
+ * var client = new RealWorld({ checkResponses: 'warn' })
+ * client.on('invalid', function (err, req) {
+ *   console.log(`${req.url} answered with`, err.errors)
+ * })
  * @see [RealWorld API Spec](https://github.com/gothinkster/realworld/tree/master/api#realworld-api-spec)
  */
 function RealWorld (opts) {
   if (!(this instanceof RealWorld)) return new RealWorld(opts)
   if (!opts) opts = {}
-  this.token = opts.token || null
-  this.apiRoot = opts.apiRoot || 'https://conduit.productionready.io/api'
+  EventEmitter.call(this)
+  var self = this
+  this._token = opts.token || null
+  this.session = new Session({ storage: opts.storage }, function (session, err) {
+    if (err) self._emit('session:error', err)
+    self._emit('session', session)
+    if (session.token !== self._token) {
+      self._token = session.token
+      self._emit('token', session.token)
+    }
+  })
+  if (opts.token) {
+    this.session.token = opts.token
+    this.ready = Promise.resolve(this.session)
+  } else {
+    this.ready = this.session.restore().catch(function (err) {
+      self._emit('session:error', err)
+      return self.session
+    })
+  }
+  this.expiredToken = opts.expiredToken || 'warn'
+  this.refreshToken = opts.refreshToken || null
+  this._refreshing = null
+  this.timeout = opts.timeout || 0
+  this.validate = opts.validate !== false
+  this.checkResponses = opts.checkResponses || 'ignore'
+  this.markdown = opts.markdown || null
+  this.lintMarkdown = opts.lintMarkdown || 'ignore'
+  if (this.lintMarkdown !== 'ignore' && !this.markdown) {
+    throw new TypeError('lintMarkdown needs the markdown option')
+  }
+  this.models = !!opts.models
+  this.store = null
+  if (opts.store instanceof Store) this.store = opts.store
+  else if (opts.store) this.store = new Store({ logger: opts.logger })
+  this.apiRoot = opts.apiRoot || RealWorld.base
+  this.dataOnly = !!opts.dataOnly
+  this.strict = !!opts.strict
+  this.transport = opts.transport || transports.nets()
+  this._middleware = []
+  this.retry = null
+  if (opts.retry instanceof RetryPolicy) this.retry = opts.retry
+  else if (opts.retry) this.retry = new RetryPolicy(opts.retry)
+  this.cache = null
+  if (opts.cache instanceof Cache) this.cache = opts.cache
+  else if (opts.cache) this.cache = new Cache(opts.cache)
+  this.batch = new Batch(this)
+  this.offline = opts.offline ? new OfflineQueue(this, opts.offline) : null
+  this.dedupe = opts.dedupe ? new Dedupe() : null
+  this.logger = opts.logger || console
+  this.debug = !!opts.debug
+  this.metrics = null
+  if (opts.metrics instanceof Metrics) this.metrics = opts.metrics
+  else if (opts.metrics) this.metrics = new Metrics(opts.metrics)
+  this.limiter = null
+  if (opts.rateLimit instanceof RateLimiter) this.limiter = opts.rateLimit
+  else if (opts.rateLimit) this.limiter = new RateLimiter(opts.rateLimit)
+}
+
+var encode = encodeURIComponent
+
+var limit = function (count, p, offset) {
+  if (offset == null) offset = p ? p * count : 0
+  return `limit=${count}&offset=${offset}`
 }
 
-var defaults = {
-  json: true
+var articles = function (opts) {
+  if (!opts) opts = {}
+  var count = opts.limit || 20
+  if (opts.feed) return `/articles/feed?${limit(count, opts.page, opts.offset)}`
+  var query = ['tag', 'author', 'favorited']
+    .filter(function (key) {
+      return opts[key] != null
+    })
+    .map(function (key) {
+      return `${key}=${encode(opts[key])}`
+    })
+  query.push(limit(count, opts.page, opts.offset))
+  return `/articles?${query.join('&')}`
 }
 
-var limit = function (count, p) {
-  return `limit=${count}&offset=${p ? p * count : 0}`
+var pageSize = function (opts) {
+  if (opts.feed || opts.tag) return 10
+  if (opts.author) return 5
+  return 20
 }
 
+Object.defineProperty(RealWorld.prototype, 'token', {
+  get: function () {
+    return this.session.token
+  },
+  set: function (token) {
+    this.session.setToken(token)
+  }
+})
+
 RealWorld.prototype._useToken = function () {
   if (this.token) {
-    return xtend(defaults, {
-      headers: {
-        Authorization: `Token ${this.token}`
+    return {
+      Authorization: `Token ${this.token}`
+    }
+  }
+  return {}
+}
+
+var promised = function (cb, dataOnly, fn) {
+  if (typeof cb === 'function') return fn(cb)
+  return new Promise(function (resolve, reject) {
+    fn(function (err, res, data) {
+      if (err) return reject(err)
+      resolve(dataOnly ? data : { res: res, data: data })
+    })
+  })
+}
+
+RealWorld.prototype._request = function (method, url, body, options, cb, after) {
+  var self = this
+  if (!options) options = {}
+  var req = {
+    method: method,
+    url: `${self.apiRoot}${url}`,
+    headers: self._useToken()
+  }
+  if (body !== undefined) req.body = body
+  if (options.priority) req.priority = options.priority
+  if (options.fresh) req.fresh = true
+  return promised(cb, self.dataOnly, function (callback) {
+    var start = Date.now()
+    var cancel = cancellation(req, {
+      signal: options.signal,
+      timeout: options.timeout != null ? options.timeout : self.timeout
+    })
+    var done = function (err, res, data) {
+      if (err && self.listenerCount('error')) self._emit('error', err, req)
+      callback(err, res, data)
+    }
+    self._emit('request', req)
+    var sent = req.signal && req.signal.aborted
+      ? cancel.promise
+      : Promise.race([self._dispatch(req), cancel.promise])
+    sent.then(
+      function (res) {
+        cancel.clear()
+        self._emit('response', res, req)
+        if (self.offline) self.offline._resume()
+        var data = res.body
+        var err = errors.fromResponse(req, res, data)
+        self._trace(req, url, start, res, err)
+        var failed = null
+        try {
+          failed = err ? null : self._checkResponse(req, res, data)
+          if (failed) {
+            if (after) after.call(self, failed)
+          } else {
+            if (!err && self.store) self.store.merge(data, url)
+            if (!err && self.markdown) data = self.markdown.enrich(data)
+            if (!err && self.models) data = models.hydrate(self, data, url)
+            if (after) after.call(self, err, data, res)
+          }
+        } catch (e) {
+          // A malformed body or a throwing hook fails the call instead of
+          // leaving it pending
+          failed = e
+        }
+        if (failed) return done(failed, res, data)
+        done(self.strict ? err : null, res, data)
+      },
+      function (err) {
+        cancel.clear()
+        self._trace(req, url, start, null, err)
+        if (self.offline) {
+          err = self.offline._capture(method, url, body, err, options)
+        }
+        if (after) after.call(self, err)
+        done(err)
       }
+    )
+  })
+}
+
+RealWorld.prototype._dispatch = function (req) {
+  var self = this
+  var stack = self._middleware.slice()
+  if (self.cache) {
+    stack.unshift(function (req, next) {
+      return self.cache.handle(req, next, self.apiRoot)
+    })
+  }
+  if (self.dedupe) {
+    stack.unshift(function (req, next) {
+      return self.dedupe.handle(req, next)
     })
   }
+  stack.unshift(function (req, next) {
+    return self._authorize(req, next)
+  })
+  function next (i) {
+    return function (req) {
+      if (i === stack.length) return self._send(req)
+      return Promise.resolve()
+        .then(function () {
+          return stack[i](req, next(i + 1))
+        })
+        .then(function (res) {
+          if (!res) throw new Error('Middleware must return a response')
+          return res
+        })
+    }
+  }
+  return next(0)(req)
 }
 
-var encode = encodeURIComponent
+RealWorld.prototype._authorize = function (req, next) {
+  var self = this
+  var session = self.session
+  var renewable = !signIn(req, self.apiRoot)
+  var ready = Promise.resolve()
+  if (renewable && session.token && session.isExpired()) {
+    ready = self._expired(req)
+  }
+  return ready
+    .then(function () {
+      return next(req)
+    })
+    .then(function (res) {
+      if (res.statusCode !== 401) return res
+      self._emit('unauthorized', res, req)
+      if (!renewable || !self.refreshToken || req.replayed) return res
+      return self._refresh().then(function (token) {
+        if (!token) return res
+        req.replayed = true
+        req.headers = xtend(req.headers, self._useToken())
+        return next(req)
+      })
+    })
+}
 
-RealWorld.prototype._getRequest = function (url, cb) {
-  request(
-    xtend(defaults, this._useToken(), {
-      method: 'GET',
-      url: `${this.apiRoot}${url}`
-    }),
-    cb
-  )
+RealWorld.prototype._expired = function (req) {
+  var self = this
+  if (!self.refreshToken) return self._expiredPolicy(req)
+  return self._refresh().then(function (token) {
+    if (!token) return self._expiredPolicy(req)
+    req.headers = xtend(req.headers, self._useToken())
+  })
 }
 
-RealWorld.prototype._postRequest = function (url, body, cb) {
-  request(
-    xtend(defaults, this._useToken(), {
-      method: 'POST',
-      url: `${this.apiRoot}${url}`,
-      body: body
-    }),
-    cb
-  )
+RealWorld.prototype._expiredPolicy = function (req) {
+  var self = this
+  var expiresAt = self.session.expiresAt
+  if (self.expiredToken === 'reject') {
+    return Promise.reject(
+      new errors.TokenExpiredError(
+        `Token expired at ${expiresAt.toISOString()}`,
+        { url: req.url, method: req.method, expiresAt: expiresAt }
+      )
+    )
+  }
+  if (self.expiredToken === 'warn') {
+    if (self.listenerCount('expired')) {
+      self._emit('expired', expiresAt, req)
+    } else if (self._warned !== self.session.token) {
+      self._warned = self.session.token
+      self._log('warn', `Token expired at ${expiresAt.toISOString()}`)
+    }
+  }
+  return Promise.resolve()
 }
 
-RealWorld.prototype._putRequest = function (url, body, cb) {
-  request(
-    xtend(defaults, this._useToken(), {
-      method: 'PUT',
-      url: `${this.apiRoot}${url}`,
-      body: body
-    }),
-    cb
+var signIn = function (req, root) {
+  return (
+    req.method === 'POST' &&
+    (req.url === `${root}/users` || req.url === `${root}/users/login`)
   )
 }
 
-RealWorld.prototype._delRequest = function (url, cb) {
-  request(
-    xtend(defaults, this._useToken(), {
-      method: 'DELETE',
-      url: `${this.apiRoot}${url}`
-    }),
-    cb
-  )
+RealWorld.prototype._refresh = function () {
+  var self = this
+  if (!self._refreshing) {
+    self._refreshing = Promise.resolve()
+      .then(function () {
+        return self.refreshToken(self)
+      })
+      .then(
+        function (token) {
+          self._refreshing = null
+          if (token && token !== self.session.token) self.setToken(token)
+          return token || null
+        },
+        function (err) {
+          self._refreshing = null
+          throw err
+        }
+      )
+  }
+  return self._refreshing
+}
+
+RealWorld.prototype._send = function (req) {
+  var transport = this.transport
+  var limiter = this.limiter
+  var attempt = function (req) {
+    req.attempts = (req.attempts || 0) + 1
+    if (!limiter) return send(transport, req)
+    return limiter.schedule(
+      function () {
+        return send(transport, req)
+      },
+      { priority: req.priority, signal: req.signal }
+    )
+  }
+  if (!this.retry) return attempt(req)
+  return this.retry.run(req, attempt)
+}
+
+var send = function (transport, req) {
+  return new Promise(function (resolve, reject) {
+    transport(req, function (err, res) {
+      if (err) return reject(err)
+      resolve(res)
+    })
+  })
+}
+
+RealWorld.prototype._check = function (name, body) {
+  return this.validate ? schema.check(name, body) : null
+}
+
+RealWorld.prototype._lint = function (name, body) {
+  if (this.lintMarkdown === 'ignore' || !body || typeof body.body !== 'string') return null
+  var problems = this.markdown.lint(body.body)
+  if (!problems.length) return null
+  if (this.lintMarkdown === 'reject') {
+    var messages = problems.map(function (problem) {
+      return `line ${problem.line} ${problem.message}`
+    })
+    return new errors.SchemaError(`Invalid ${name}: body ${messages.join(', ')}`, {
+      data: { errors: { body: messages } }
+    })
+  }
+  if (this.listenerCount('lint')) this._emit('lint', problems, name)
+  else this._log('warn', `Markdown problems in ${name}`, { problems: problems })
+  return null
+}
+
+RealWorld.prototype._checkResponse = function (req, res, data) {
+  if (this.checkResponses === 'ignore' || data == null) return null
+  var err = schema.checkResponse(req, res, data)
+  if (!err || this.checkResponses === 'reject') return err
+  if (this.listenerCount('invalid')) this._emit('invalid', err, req)
+  else this._log('warn', err.message, { errors: err.errors })
+  return null
+}
+
+RealWorld.prototype._emit = function (event) {
+  try {
+    return this.emit.apply(this, arguments)
+  } catch (err) {
+    this._log('error', `A listener for ${event} failed`, { error: err })
+    return true
+  }
+}
+
+RealWorld.prototype._log = function (level, message, fields) {
+  var logger = this.logger
+  var log = logger[level] || logger.log
+  if (!log) return
+  if (fields === undefined) log.call(logger, message)
+  else log.call(logger, message, fields)
+}
+
+RealWorld.prototype._trace = function (req, url, start, res, err) {
+  if (!this.debug && !this.metrics && !this.listenerCount('trace')) return
+  var trace = {
+    method: req.method,
+    url: req.url,
+    endpoint: Metrics.endpoint(req.method, url),
+    headers: Metrics.redact(req.headers),
+    status: res ? res.statusCode : null,
+    duration: Date.now() - start,
+    retries: Math.max((req.attempts || 1) - 1, 0),
+    size: res ? size(res) : 0,
+    cached: !!(res && res.cached),
+    deduped: !!(res && res.deduped),
+    error: err ? err.message : null
+  }
+  if (this.metrics) this.metrics.record(trace)
+  if (this.debug) {
+    var status = trace.status || trace.error
+    this._log(
+      'debug',
+      `${trace.method} ${trace.url} ${status} ${trace.duration}ms`,
+      trace
+    )
+  }
+  this._emit('trace', trace)
+}
+
+var size = function (res) {
+  var length = res.headers && res.headers['content-length']
+  if (length) return Number(length)
+  return res.body === undefined ? 0 : JSON.stringify(res.body).length
+}
+
+RealWorld.prototype._reject = function (err, cb) {
+  return promised(cb, this.dataOnly, function (done) {
+    done(err)
+  })
+}
+
+RealWorld.prototype._getRequest = function (url, options, cb, after) {
+  return this._request('GET', url, undefined, options, cb, after)
+}
+
+RealWorld.prototype._postRequest = function (url, body, options, cb, after) {
+  return this._request('POST', url, body, options, cb, after)
+}
+
+RealWorld.prototype._putRequest = function (url, body, options, cb, after) {
+  return this._request('PUT', url, body, options, cb, after)
+}
+
+RealWorld.prototype._delRequest = function (url, options, cb, after) {
+  return this._request('DELETE', url, undefined, options, cb, after)
+}
+
+var startSession = function (err, data) {
+  if (err) return
+  if (data && data.user && data.user.token) this.session.setUser(data.user)
+}
+
+var publicProfile = function (user) {
+  if (!user) return null
+  return {
+    username: user.username,
+    bio: user.bio != null ? user.bio : null,
+    image: user.image != null ? user.image : null,
+    following: false
+  }
+}
+
+var optimistic = function (undo, event, key) {
+  return function (err, data) {
+    if (err) {
+      if (undo) undo()
+      return
+    }
+    this._emit(event, data && data[key])
+  }
+}
+
+/**
+ * Add a middleware function to the request pipeline. Middleware runs in the
+ * order it was added for every request, and is called with the outgoing
+ * request and a `next` function. `next(req)` passes the request on to the
+ * next middleware (and finally the transport) and returns a Promise of the
+ * response. A middleware must return the response, or a Promise of it, and
+ * may modify the request before calling `next`, modify the response after it
+ * resolves, or skip `next` altogether to respond on its own.
+ * @param {Function} middleware called as `middleware(req, next)` where `req`
+ * has `method`, `url`, `headers` and an optional `body`
+ * @returns {RealWorld} the client, so that calls may be chained
+ * @example
+ * client.use(function (req, next) {
+ *   req.headers['X-Correlation-Id'] = uuid()
+ *   return next(req)
+ * })
+ * @example
+ * client.use(async function (req, next) {
+ *   var res = await next(req)
+ *   console.log(req.method, req.url, res.statusCode)
+ *   return res
+ * })
+ */
+RealWorld.prototype.use = function (middleware) {
+  if (typeof middleware !== 'function') {
+    throw new TypeError('Middleware must be a function')
+  }
+  this._middleware.push(middleware)
+  return this
 }
 
 /**
  * Log in to the RealWorld API
- * If successful, the `data` result will be type {User}
+ * If successful, the `data` result will be type {User} and the session will
+ * use the token of the user
  * @param {Object} opts
  * @param {string} opts.email email address of user
  * @param {string} opts.password password of user
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.login(
  *   {
@@ -106,34 +724,40 @@ RealWorld.prototype._delRequest = function (url, cb) {
  * )
 */
 
-RealWorld.prototype.login = function (opts, cb) {
+RealWorld.prototype.login = function (opts, options, cb) {
   if (typeof opts === 'function') {
     cb = opts
     opts = {}
   }
-  if (opts.email && opts.password) {
-    this._postRequest(
-      `/users/login`,
-      {
-        user: {
-          email: opts.email,
-          password: opts.password
-        }
-      },
-      cb
-    )
-  } else {
-    cb(new Error('Must supply username and password'))
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
   }
+  var err = this._check('login', opts)
+  if (err) return this._reject(err, cb)
+  return this._postRequest(
+    `/users/login`,
+    {
+      user: {
+        email: opts.email,
+        password: opts.password
+      }
+    },
+    options,
+    cb,
+    startSession
+  )
 }
 
 /**
- * Register a new user with the RealWorld API
+ * Register a new user with the RealWorld API. If successful, the session will
+ * use the token of the new user
  * @param {Object} opts
  * @param {string} opts.username username of registering user
  * @param {string} opts.email email address of registering user
  * @param {string} opts.password password of registering user
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.register(
  *   {
@@ -144,47 +768,58 @@ RealWorld.prototype.login = function (opts, cb) {
  *   handleResponse
  * )
 */
-RealWorld.prototype.register = function (opts, cb) {
+RealWorld.prototype.register = function (opts, options, cb) {
   if (typeof opts === 'function') {
     cb = opts
     opts = {}
   }
-  if (opts.username && opts.email && opts.password) {
-    this._postRequest(
-      `/users`,
-      {
-        user: {
-          username: opts.username,
-          email: opts.email,
-          password: opts.password
-        }
-      },
-      cb
-    )
-  } else {
-    cb(new Error('Must supply a username, email, and password'))
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
   }
+  var err = this._check('register', opts)
+  if (err) return this._reject(err, cb)
+  return this._postRequest(
+    `/users`,
+    {
+      user: {
+        username: opts.username,
+        email: opts.email,
+        password: opts.password
+      }
+    },
+    options,
+    cb,
+    startSession
+  )
 }
 
 /**
  * Get the logged in user
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.getUser(handleResponse)
  */
-RealWorld.prototype.getUser = function (cb) {
-  this._getRequest(`/user`, cb)
+RealWorld.prototype.getUser = function (options, cb) {
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  return this._getRequest(`/user`, options, cb)
 }
 
 /**
- * Update the logged in user info
+ * Update the logged in user info. If successful, the session will use the
+ * updated user
  * @param {Object} opts
  * @param {string} [opts.email=null] email address of user
  * @param {string} [opts.username=null] username of user
  * @param {string} [opts.bio=null] biography of user
  * @param {string} [opts.password=null] password of user
  * @param {string} [opts.image=null] url of user image
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.updateUser(
  *   {
@@ -196,68 +831,144 @@ RealWorld.prototype.getUser = function (cb) {
  *   handleResponse
  * )
 */
-RealWorld.prototype.updateUser = function (opts, cb) {
+RealWorld.prototype.updateUser = function (opts, options, cb) {
   if (typeof opts === 'function') {
     cb = opts
     opts = {}
   }
-  this._putRequest(
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  var err = this._check('updateUser', opts)
+  if (err) return this._reject(err, cb)
+  return this._putRequest(
     `/user`,
     {
       user: opts
     },
-    cb
+    options,
+    cb,
+    function (err, data) {
+      startSession.call(this, err, data)
+      if (!err) this._emit('user:updated', data && data.user)
+    }
   )
 }
 
 /**
  * Get profile of a user
  * @param {string} username username of profile to retrieve
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.getProfile('rick', handleResponse)
  */
-RealWorld.prototype.getProfile = function (username, cb) {
-  this._getRequest(`/profiles/${username}`, cb)
+RealWorld.prototype.getProfile = function (username, options, cb) {
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  return this._getRequest(`/profiles/${username}`, options, cb)
 }
 
 /**
  * Follow a user (authentication required)
  * @param {string} username username to follow
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.followUser('rick', handleResponse)
  */
-RealWorld.prototype.followUser = function (username, cb) {
-  this._postRequest(`/profiles/${username}/follow`, {}, cb)
+RealWorld.prototype.followUser = function (username, options, cb) {
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  var undo = this.store && this.store.follow(username, true)
+  return this._postRequest(
+    `/profiles/${username}/follow`,
+    {},
+    options,
+    cb,
+    optimistic(undo, 'user:followed', 'profile')
+  )
 }
 
 /**
  * Unfollow a user (authentication required)
  * @param {string} username username to unfollow
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.unFollowUser('rick', handleResponse)
  */
-RealWorld.prototype.unFollowUser = function (username, cb) {
-  this._delRequest(`/profiles/${username}/follow`, cb)
+RealWorld.prototype.unFollowUser = function (username, options, cb) {
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  var undo = this.store && this.store.follow(username, false)
+  return this._delRequest(
+    `/profiles/${username}/follow`,
+    options,
+    cb,
+    optimistic(undo, 'user:unfollowed', 'profile')
+  )
+}
+
+/**
+ * Request a list of articles sorted by most recent in descending order. The
+ * `tag`, `author` and `favorited` filters may be combined.
+ * @param {Object} [opts]
+ * @param {string} [opts.tag] tag name to filter by
+ * @param {string} [opts.author] username of author to filter by
+ * @param {string} [opts.favorited] username of author to filter favorite
+ * articles by
+ * @param {boolean} [opts.feed=false] list articles from the currently logged
+ * in users feed instead (authentication required). Filters are ignored.
+ * @param {Number} [opts.limit=20] number of articles to show
+ * @param {Number} [opts.page=0] specify which page of articles to show
+ * @param {Number} [opts.offset] number of articles to skip. Overrides `page`
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
+ * @example
+ * client.listArticles({ tag: 'dragons', author: 'rick' }, handleResponse)
+ * @example
+ * client.listArticles({ favorited: 'rick', limit: 50, offset: 10 }, handleResponse)
+ */
+RealWorld.prototype.listArticles = function (opts, options, cb) {
+  if (typeof opts === 'function') {
+    cb = opts
+    opts = {}
+  }
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  return this._getRequest(articles(opts), options, cb)
 }
 
 /**
  * Request a list of 20 articles sorted by most recent in descending order
  * @param {Number} [page=0] page specify which page of articles to show
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.listAllArticles(handleResponse)
  * @example
  * client.listAllArticles(2, handleResponse)
  */
-RealWorld.prototype.listAllArticles = function (page, cb) {
+RealWorld.prototype.listAllArticles = function (page, options, cb) {
   if (typeof page === 'function') {
     cb = page
     page = null
+  } else if (page && typeof page === 'object') {
+    cb = options
+    options = page
+    page = null
   }
-  this._getRequest(`/articles?${limit(20, page)}`, cb)
+  return this.listArticles({ limit: 20, page: page }, options, cb)
 }
 
 /**
@@ -265,18 +976,23 @@ RealWorld.prototype.listAllArticles = function (page, cb) {
  * in descending order
  * @param {string} tag tag name to filter by
  * @param {Number} [page=0] specify which page of articles to show
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.listArticlesByTag('JavaScript', handleResponse)
  * @example
  * client.listArticlesByTag('JavaScript', 2, handleResponse)
  */
-RealWorld.prototype.listArticlesByTag = function (tag, page, cb) {
+RealWorld.prototype.listArticlesByTag = function (tag, page, options, cb) {
   if (typeof page === 'function') {
     cb = page
     page = null
+  } else if (page && typeof page === 'object') {
+    cb = options
+    options = page
+    page = null
   }
-  this._getRequest(`/articles?tag=${encode(tag)}&${limit(10, page)}`, cb)
+  return this.listArticles({ tag: tag, limit: 10, page: page }, options, cb)
 }
 
 /**
@@ -284,18 +1000,23 @@ RealWorld.prototype.listArticlesByTag = function (tag, page, cb) {
  * in descending order
  * @param {string} author username of author to filter by
  * @param {Number} [page=0] specify which page of articles to show
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.listArticlesByAuthor('rick', handleResponse)
  * @example
  * client.listArticlesByAuthor('rick', 2, handleResponse)
  */
-RealWorld.prototype.listArticlesByAuthor = function (author, page, cb) {
+RealWorld.prototype.listArticlesByAuthor = function (author, page, options, cb) {
   if (typeof page === 'function') {
     cb = page
     page = null
+  } else if (page && typeof page === 'object') {
+    cb = options
+    options = page
+    page = null
   }
-  this._getRequest(`/articles?author=${encode(author)}&${limit(5, page)}`, cb)
+  return this.listArticles({ author: author, limit: 5, page: page }, options, cb)
 }
 
 /**
@@ -303,50 +1024,119 @@ RealWorld.prototype.listArticlesByAuthor = function (author, page, cb) {
  * recent in descending order
  * @param {string} author username of author to filter favorite articles by
  * @param {Number} [page=0] specify which page of articles to show
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.listArticlesByAuthorFavorites('rick', handleResponse)
  * @example
  * client.listArticlesByAuthorFavorites('rick', 1, handleResponse)
  */
-RealWorld.prototype.listArticlesByAuthorFavorites = function (author, page, cb) {
+RealWorld.prototype.listArticlesByAuthorFavorites = function (author, page, options, cb) {
   if (typeof page === 'function') {
     cb = page
     page = null
+  } else if (page && typeof page === 'object') {
+    cb = options
+    options = page
+    page = null
   }
-  this._getRequest(
-    `/articles?favorited=${encode(author)}&${limit(20, page)}`,
-    cb
-  )
+  return this.listArticles({ favorited: author, limit: 20, page: page }, options, cb)
 }
 
 /**
  * Request a list of ten articles from the currently logged in users feed sorted
  * by most recent in descending order (authentication required)
  * @param {Number} [page=0] specify which page of articles to show
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.feedArticles(handleResponse)
  * @example
  * client.feedArticles(2, handleResponse)
  */
-RealWorld.prototype.feedArticles = function (page, cb) {
+RealWorld.prototype.feedArticles = function (page, options, cb) {
   if (typeof page === 'function') {
     cb = page
     page = null
+  } else if (page && typeof page === 'object') {
+    cb = options
+    options = page
+    page = null
   }
-  this._getRequest(`/articles/feed?${limit(10, page)}`, cb)
+  return this.listArticles({ feed: true, limit: 10, page: page }, options, cb)
+}
+
+/**
+ * Iterate over every article in a listing, requesting successive pages as they
+ * are needed. Accepts the same filters as `listArticles`. Unless `limit` is
+ * given, page sizes match the `listAllArticles`, `listArticlesByTag`,
+ * `listArticlesByAuthor`, `listArticlesByAuthorFavorites` and `feedArticles`
+ * methods. Iteration stops at the `articlesCount` reported by the server.
+ * @param {Object} [opts]
+ * @param {string} [opts.tag] tag name to filter by
+ * @param {string} [opts.author] username of author to filter by
+ * @param {string} [opts.favorited] username of author to filter favorite
+ * articles by
+ * @param {boolean} [opts.feed=false] iterate over the feed of the currently
+ * logged in user (authentication required)
+ * @param {Number} [opts.limit] number of articles to request per page
+ * @param {Number} [opts.page=0] page to start from
+ * @param {Number} [opts.max=Infinity] maximum number of articles to yield
+ * @param {AbortSignal} [opts.signal] signal that cancels the page requests
+ * @param {Number} [opts.timeout] milliseconds before each page request times
+ * out
+ * @param {string} [opts.priority=low] lane the page requests wait in when the
+ * client has a {@link RateLimiter}
+ * @returns {AsyncIterator<Object>} async iterator of articles
+ * @example
+ * for await (var article of client.iterateArticles({ tag: 'dragons' })) {
+ *   console.log(article.title)
+ * }
+ * @example
+ * var articles = client.iterateArticles({ feed: true, max: 50 })
+ * articles.next().then(function (result) {
+ *   if (!result.done) console.log(result.value.title)
+ * })
+ */
+RealWorld.prototype.iterateArticles = function (opts) {
+  var self = this
+  if (!opts) opts = {}
+  var count = opts.limit || pageSize(opts)
+  var requestOptions = {
+    signal: opts.signal,
+    timeout: opts.timeout,
+    priority: opts.priority || 'low'
+  }
+  return new PageIterator(function (page, cb) {
+    var url = articles(xtend(opts, { limit: count, page: page, offset: null }))
+    self._getRequest(url, requestOptions, function (err, res, data) {
+      if (!err) {
+        var req = { method: 'GET', url: `${self.apiRoot}${url}` }
+        err = errors.fromResponse(req, res, data)
+      }
+      if (err) return cb(err)
+      if (!data || !Array.isArray(data.articles)) {
+        return cb(new Error(`Expected a list of articles from ${url}`))
+      }
+      cb(null, { items: data.articles, count: data.articlesCount })
+    })
+  }, xtend(opts, { offset: (opts.page || 0) * count }))
 }
 
 /**
  * Request contents from a single article with the specified slug
  * @param {string} slug shortname (slug) of article
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.getArticle('angular-app-dev-e33mn9', handleResponse)
  */
-RealWorld.prototype.getArticle = function (slug, cb) {
-  this._getRequest(`/articles/${slug}`, cb)
+RealWorld.prototype.getArticle = function (slug, options, cb) {
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  return this._getRequest(`/articles/${slug}`, options, cb)
 }
 
 /**
@@ -356,7 +1146,8 @@ RealWorld.prototype.getArticle = function (slug, cb) {
  * @param {string} opts.description short description of article
  * @param {string} opts.body content of article
  * @param {[string]} [opts.tagList=null] array of tags to add to article
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.createArticle(
  *   {
@@ -368,17 +1159,27 @@ RealWorld.prototype.getArticle = function (slug, cb) {
  *   handleResponse
  * )
 */
-RealWorld.prototype.createArticle = function (opts, cb) {
+RealWorld.prototype.createArticle = function (opts, options, cb) {
   if (typeof opts === 'function') {
     cb = opts
     opts = {}
   }
-  this._postRequest(
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  var err = this._check('createArticle', opts) || this._lint('createArticle', opts)
+  if (err) return this._reject(err, cb)
+  return this._postRequest(
     `/articles`,
     {
       article: opts
     },
-    cb
+    options,
+    cb,
+    function (err, data) {
+      if (!err) this._emit('article:created', data && data.article)
+    }
   )
 }
 
@@ -390,7 +1191,8 @@ RealWorld.prototype.createArticle = function (opts, cb) {
  * @param {string} [opts.title=null] title of article
  * @param {string} [opts.description=null] short description of article
  * @param {string} [opts.body=null] content of article
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.updateArticle('my-awesome-article-ew9439', {
  *   title: 'my awesome gender neutral article',
@@ -398,29 +1200,48 @@ RealWorld.prototype.createArticle = function (opts, cb) {
  *   body: 'wham bam thank you friend'
  * })
 */
-RealWorld.prototype.updateArticle = function (slug, opts, cb) {
+RealWorld.prototype.updateArticle = function (slug, opts, options, cb) {
   if (typeof opts === 'function') {
     cb = opts
     opts = {}
   }
-  this._putRequest(
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  var err = this._check('updateArticle', opts) || this._lint('updateArticle', opts)
+  if (err) return this._reject(err, cb)
+  return this._putRequest(
     `/articles/${slug}`,
     {
       article: opts
     },
-    cb
+    options,
+    cb,
+    function (err, data) {
+      if (!err) this._emit('article:updated', data && data.article, slug)
+    }
   )
 }
 
 /**
  * Delete an existing article with the given slug (authentication required)
  * @param {string} slug shortname (slug) of article to delete
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.deleteArticle('my-awesome-article-ew9439', handleResponse)
  */
-RealWorld.prototype.deleteArticle = function (slug, cb) {
-  this._delRequest(`/articles/${slug}`, cb)
+RealWorld.prototype.deleteArticle = function (slug, options, cb) {
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  return this._delRequest(`/articles/${slug}`, options, cb, function (err) {
+    if (err) return
+    if (this.store) this.store.removeArticle(slug)
+    this._emit('article:deleted', slug)
+  })
 }
 
 /**
@@ -428,7 +1249,8 @@ RealWorld.prototype.deleteArticle = function (slug, cb) {
  * @param {string} slug shortname (slug) of article to add comment to
  * @param {Object} opts
  * @param {string} opts.body content of comment
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.addComment(
  *   'my-awesome-article-ew9439',
@@ -438,17 +1260,29 @@ RealWorld.prototype.deleteArticle = function (slug, cb) {
  *   handleResponse
  * )
 */
-RealWorld.prototype.addComment = function (slug, opts, cb) {
+RealWorld.prototype.addComment = function (slug, opts, options, cb) {
   if (typeof opts === 'function') {
     cb = opts
     opts = {}
   }
-  this._postRequest(
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  var err = this._check('addComment', opts)
+  if (err) return this._reject(err, cb)
+  var undo = this.store && this.store.addComment(slug, opts, publicProfile(this.session.user))
+  return this._postRequest(
     `/articles/${slug}/comments`,
     {
       comment: opts
     },
-    cb
+    options,
+    cb,
+    function (err, data) {
+      if (undo) undo()
+      if (!err) this._emit('comment:added', data && data.comment, slug)
+    }
   )
 }
 
@@ -456,56 +1290,103 @@ RealWorld.prototype.addComment = function (slug, opts, cb) {
  * Get comments from an article
  * @param {string} slug shortname (slug) of article from which to retrieve
  * comments
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.getComments('angular-app-dev-e33mn9', handleResponse)
  */
-RealWorld.prototype.getComments = function (slug, cb) {
-  this._getRequest(`/articles/${slug}/comments`, cb)
+RealWorld.prototype.getComments = function (slug, options, cb) {
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  return this._getRequest(`/articles/${slug}/comments`, options, cb)
 }
 
 /**
  * Delete comment from an article (authentication required)
  * @param {string} slug shortname (slug) of article
  * @param {string} commentId unique id of comment to delete
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.deleteComment('angular-app-dev-e33mn9', 'e11dfeg', handleResponse)
  */
-RealWorld.prototype.deleteComment = function (slug, commentId, cb) {
-  this._delRequest(`/articles/${slug}/comments/${commentId}`, cb)
+RealWorld.prototype.deleteComment = function (slug, commentId, options, cb) {
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  return this._delRequest(
+    `/articles/${slug}/comments/${commentId}`,
+    options,
+    cb,
+    function (err) {
+      if (err) return
+      if (this.store) this.store.removeComment(slug, commentId)
+      this._emit('comment:deleted', commentId, slug)
+    }
+  )
 }
 
 /**
  * Favorite an article (authentication required)
  * @param {string} slug shortname (slug) of article to favorite
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.favoriteArticle('my-awesome-article-ew9439', handleResponse)
  */
-RealWorld.prototype.favoriteArticle = function (slug, cb) {
-  this._postRequest(`/articles/${slug}/favorite`, {}, cb)
+RealWorld.prototype.favoriteArticle = function (slug, options, cb) {
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  var undo = this.store && this.store.favorite(slug, true)
+  return this._postRequest(
+    `/articles/${slug}/favorite`,
+    {},
+    options,
+    cb,
+    optimistic(undo, 'article:favorited', 'article')
+  )
 }
 
 /**
  * Unfavorite an article (authentication required)
  * @param {string} slug shortname (slug) of article to unfavorite
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.unFavoriteArticle('my-awesome-article-ew9439', handleResponse)
  */
-RealWorld.prototype.unFavoriteArticle = function (slug, cb) {
-  this._delRequest(`/articles/${slug}/favorite`, cb)
+RealWorld.prototype.unFavoriteArticle = function (slug, options, cb) {
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  var undo = this.store && this.store.favorite(slug, false)
+  return this._delRequest(
+    `/articles/${slug}/favorite`,
+    options,
+    cb,
+    optimistic(undo, 'article:unfavorited', 'article')
+  )
 }
 
 /**
  * Get a list of tags
- * @param {RealWorld~requestCallback} cb Callback function
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
  * @example
  * client.getTags(handleResponse)
  */
-RealWorld.prototype.getTags = function (cb) {
-  this._getRequest(`/tags`, cb)
+RealWorld.prototype.getTags = function (options, cb) {
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+  return this._getRequest(`/tags`, options, cb)
 }
 
 /**
@@ -515,13 +1396,48 @@ RealWorld.prototype.getTags = function (cb) {
  * client.setToken('my-secret-authentication-token')
  */
 RealWorld.prototype.setToken = function (_token) {
-  this.token = _token
+  this.session.setToken(_token)
 }
 
+/**
+ * End the session and remove it from storage. There is no logout endpoint in
+ * the RealWorld API, so no request is sent.
+ * @returns {Promise} resolves once the session is removed from storage
+ * @example
+ * client.logout()
+ */
+RealWorld.prototype.logout = function () {
+  return this.session.clear()
+}
+
+/**
+ * Options accepted by every method for a single call, passed just before the
+ * callback
+ * @typedef {Object} RealWorld~requestOptions
+ * @property {AbortSignal} [signal] signal that cancels the request. A
+ * cancelled request fails with an `AbortError`
+ * @property {Number} [timeout] milliseconds before the request fails with a
+ * `TimeoutError`, overriding the timeout of the client
+ * @property {string} [priority=normal] lane to wait in when the client has a
+ * {@link RateLimiter}: `high`, `normal` or `low`. `iterateArticles` and the
+ * `client.batch` helpers default to `low`
+ * @property {boolean} [fresh=false] send the request even if an identical one
+ * is in flight or its response is cached
+ * @property {boolean} [offline=true] set to `false` to fail without queueing
+ * the request when the client has an {@link OfflineQueue}
+ * @example
+ * var controller = new AbortController()
+ * client.listArticlesByTag('dragons', { signal: controller.signal }, handleResponse)
+ * controller.abort()
+ * @example
+ * client.getArticle('angular-app-dev-e33mn9', { timeout: 2000 }, handleResponse)
+ */
+
 /**
  * This callback is displayed as part of the RealWorld class. The error should
  * be null if the method was able to run. HTTP and API errors are not caught as
- * errors so that you can catch them yourself. For example, a response code 500
+ * errors so that you can catch them yourself, unless the client was created
+ * with `strict: true`. For example, a response code 500
  * may return `(null, { res.statusCode: 500, res.statusMessage: 'Internal Server Error' }, null)`.
  *
  * API errors are returned with a 422 status code. Errors are included as JSON
@@ -539,6 +1455,17 @@ RealWorld.prototype.setToken = function (_token) {
  *
  * Successful API requests will return JSON data as seen in the
  * {@link https://github.com/gothinkster/realworld/tree/master/api#realworld-api-spec RealWorld API Spec}
+ *
+ * In strict mode any non-2xx response is passed as `err`. A 422 response
+ * becomes a `ValidationError` whose `errors` property holds the per-field
+ * messages, while 401, 403, 404 and 5xx responses become
+ * `UnauthorizedError`, `ForbiddenError`, `NotFoundError` and `ServerError`.
+ * Every one of them is a `RealWorldError` carrying `status`, `url`, `method`,
+ * the raw `res` and the `data` result.
+ *
+ * If the callback is omitted, the method returns a Promise instead. The
+ * Promise resolves to `{ res, data }` (or only `data` when the client was
+ * created with `dataOnly: true`) and rejects with `err`.
  * @callback RealWorld~requestCallback
  * @param {Error} err error if method was unable to run
  * @param {Object} res response object from server
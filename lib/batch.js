@@ -0,0 +1,204 @@
+var errors = require('./errors')
+
+module.exports = Batch
+
+/**
+ * Bulk operations for a client, available as `client.batch`. Each item is
+ * sent as its own request with at most `concurrency` requests in flight. An
+ * item that fails does not stop the batch: its error is kept in the report
+ * and the remaining items are still sent.
+ * @param {RealWorld} client client to send the requests with
+ * @example
+ * client.batch.deleteArticles(slugs, { concurrency: 2 }).then(function (report) {
+ *   console.log(`deleted ${report.succeeded} of ${report.results.length}`)
+ * })
+ */
+function Batch (client) {
+  if (!(this instanceof Batch)) return new Batch(client)
+  this.client = client
+}
+
+/**
+ * Options for a batch
+ * @typedef {Object} Batch~options
+ * @property {Number} [concurrency=4] most requests to have in flight at once
+ * @property {Function} [onProgress] called as `onProgress(result, progress)`
+ * after each item finishes, where `progress` has the number of items `done`,
+ * the number that `failed` and the `total`. Errors it throws are logged and
+ * do not stop the batch
+ * @property {AbortSignal} [signal] signal that cancels the batch. Items that
+ * have not finished fail with an `AbortError`
+ * @property {Number} [timeout] milliseconds before each request fails with a
+ * `TimeoutError`, overriding the timeout of the client
+ * @property {string} [priority=low] lane the requests wait in when the client
+ * has a {@link RateLimiter}
+ */
+
+/**
+ * This callback is called once every item of a batch has finished
+ * @callback Batch~callback
+ * @param {TypeError|null} err set only when the items are not an array, since
+ * failures are reported per item
+ * @param {Object} report results of the batch
+ * @param {Object[]} report.results one result for each item, in the order
+ * the items were given. Each has the `item`, whether it is `ok`, the response
+ * `status`, and the `data` result or the `error` it failed with
+ * @param {Number} report.succeeded number of items that succeeded
+ * @param {Number} report.failed number of items that failed
+ */
+
+/**
+ * Delete articles (authentication required)
+ * @param {string[]} slugs shortnames (slugs) of the articles to delete
+ * @param {Batch~options} [opts] options for the batch
+ * @param {Batch~callback} [cb] Callback function
+ * @returns {Promise<Object>|undefined} report of the batch if no callback is
+ * given
+ * @example
+ * client.batch.deleteArticles(['how-to-train-your-dragon', 'dragons-2'], handleReport)
+ */
+Batch.prototype.deleteArticles = function (slugs, opts, cb) {
+  return this._run('deleteArticle', 'DELETE', article, slugs, opts, cb)
+}
+
+/**
+ * Favorite articles (authentication required)
+ * @param {string[]} slugs shortnames (slugs) of the articles to favorite
+ * @param {Batch~options} [opts] options for the batch
+ * @param {Batch~callback} [cb] Callback function
+ * @returns {Promise<Object>|undefined} report of the batch if no callback is
+ * given
+ * @example
+ * client.batch.favoriteArticles(slugs, { onProgress: showProgress }, handleReport)
+ */
+Batch.prototype.favoriteArticles = function (slugs, opts, cb) {
+  return this._run('favoriteArticle', 'POST', favorite, slugs, opts, cb)
+}
+
+/**
+ * Unfavorite articles (authentication required)
+ * @param {string[]} slugs shortnames (slugs) of the articles to unfavorite
+ * @param {Batch~options} [opts] options for the batch
+ * @param {Batch~callback} [cb] Callback function
+ * @returns {Promise<Object>|undefined} report of the batch if no callback is
+ * given
+ */
+Batch.prototype.unFavoriteArticles = function (slugs, opts, cb) {
+  return this._run('unFavoriteArticle', 'DELETE', favorite, slugs, opts, cb)
+}
+
+/**
+ * Follow users (authentication required)
+ * @param {string[]} usernames usernames to follow
+ * @param {Batch~options} [opts] options for the batch
+ * @param {Batch~callback} [cb] Callback function
+ * @returns {Promise<Object>|undefined} report of the batch if no callback is
+ * given
+ * @example
+ * client.batch.followUsers(['rick', 'morty'], { concurrency: 1 }, handleReport)
+ */
+Batch.prototype.followUsers = function (usernames, opts, cb) {
+  return this._run('followUser', 'POST', follow, usernames, opts, cb)
+}
+
+/**
+ * Unfollow users (authentication required)
+ * @param {string[]} usernames usernames to unfollow
+ * @param {Batch~options} [opts] options for the batch
+ * @param {Batch~callback} [cb] Callback function
+ * @returns {Promise<Object>|undefined} report of the batch if no callback is
+ * given
+ */
+Batch.prototype.unFollowUsers = function (usernames, opts, cb) {
+  return this._run('unFollowUser', 'DELETE', follow, usernames, opts, cb)
+}
+
+var article = function (slug) {
+  return `/articles/${slug}`
+}
+
+var favorite = function (slug) {
+  return `/articles/${slug}/favorite`
+}
+
+var follow = function (username) {
+  return `/profiles/${username}/follow`
+}
+
+Batch.prototype._run = function (name, method, path, items, opts, cb) {
+  if (typeof opts === 'function') {
+    cb = opts
+    opts = {}
+  }
+  if (!opts) opts = {}
+  if (!Array.isArray(items)) {
+    return settle(Promise.reject(new TypeError('Batch items must be an array')), cb)
+  }
+  var client = this.client
+  var signal = opts.signal
+  var concurrency = Math.max(1, opts.concurrency || 4)
+  var options = {
+    signal: signal,
+    timeout: opts.timeout,
+    priority: opts.priority || 'low'
+  }
+  var results = new Array(items.length)
+  var progress = { done: 0, failed: 0, total: items.length }
+  var next = 0
+
+  var promise = new Promise(function (resolve) {
+    var finish = function (index, result) {
+      results[index] = result
+      progress.done++
+      if (!result.ok) progress.failed++
+      if (opts.onProgress) {
+        try {
+          opts.onProgress(result, progress)
+        } catch (err) {
+          client._log('error', 'Batch progress callback failed', { error: err })
+        }
+      }
+      if (progress.done === items.length) {
+        return resolve({
+          results: results,
+          succeeded: progress.done - progress.failed,
+          failed: progress.failed
+        })
+      }
+      start()
+    }
+
+    var start = function () {
+      if (next >= items.length) return
+      var index = next++
+      var item = items[index]
+      var req = { method: method, url: `${client.apiRoot}${path(item)}` }
+      if (signal && signal.aborted) {
+        var aborted = new errors.AbortError('Request was cancelled', req)
+        return finish(index, { item: item, ok: false, error: aborted })
+      }
+      client[name](item, options, function (err, res, data) {
+        var status = res && res.statusCode
+        if (!err) err = errors.fromResponse(req, res, data)
+        finish(
+          index,
+          err
+            ? { item: item, ok: false, status: status, error: err }
+            : { item: item, ok: true, status: status, data: data }
+        )
+      })
+    }
+
+    if (!items.length) return resolve({ results: [], succeeded: 0, failed: 0 })
+    for (var i = 0; i < concurrency; i++) start()
+  })
+
+  return settle(promise, cb)
+}
+
+var settle = function (promise, cb) {
+  if (typeof cb !== 'function') return promise
+  promise.then(function (report) {
+    cb(null, report)
+  }, cb)
+}
@@ -0,0 +1,220 @@
+var xtend = require('xtend')
+
+module.exports = Cache
+module.exports.MemoryStore = MemoryStore
+
+var defaultTtls = {
+  tags: 60000,
+  article: 30000,
+  profile: 30000,
+  articles: 0,
+  comments: 0,
+  user: 0
+}
+
+/**
+ * Response cache for `GET` requests. Responses are cached per endpoint for
+ * the configured time to live and keyed by URL and authentication token.
+ * Expired responses with an `ETag` are revalidated with `If-None-Match`.
+ * Requests with `fresh` set skip the cache but still update it.
+ * Mutating requests evict the cached responses they affect.
+ * @param {Object|boolean} [opts] options, or `true` for the defaults
+ * @param {Object} [opts.ttls] time to live in milliseconds for each endpoint:
+ * `tags`, `article`, `profile`, `articles` (listings and feeds), `comments`
+ * and `user`. A time to live of `0` disables caching for the endpoint.
+ * Defaults to 60 seconds for tags, 30 seconds for articles and profiles and
+ * no caching for the rest.
+ * @param {Object} [opts.store=new MemoryStore()] store with `get(key)`,
+ * `set(key, entry)`, `delete(key)` and `keys()` methods. Each may return a
+ * Promise.
+ */
+function Cache (opts) {
+  if (!(this instanceof Cache)) return new Cache(opts)
+  if (!opts || opts === true) opts = {}
+  this.ttls = xtend(defaultTtls, opts.ttls)
+  this.store = opts.store || new MemoryStore()
+}
+
+/**
+ * Answer a request from the cache or pass it on and remember the response
+ * @param {Object} req outgoing request
+ * @param {Function} next called as `next(req)` to send the request
+ * @param {string} root API root the request URL starts with
+ * @returns {Promise<Object>} response
+ */
+Cache.prototype.handle = function (req, next, root) {
+  var self = this
+  var path = relative(req.url, root)
+  if (req.method !== 'GET') {
+    return next(req).then(function (res) {
+      if (!ok(res)) return res
+      return self.invalidate(evicted(req.method, path)).then(function () {
+        return res
+      })
+    })
+  }
+  var ttl = self.ttls[endpoint(path)]
+  if (!ttl) return next(req)
+  var key = cacheKey(path, req.headers)
+  var cached = req.fresh ? null : self.store.get(key)
+  return Promise.resolve(cached).then(function (entry) {
+    if (entry && entry.expires > Date.now()) return fromEntry(entry)
+    if (entry && entry.etag) {
+      req.headers = xtend(req.headers, { 'If-None-Match': entry.etag })
+    }
+    return next(req).then(function (res) {
+      if (entry && res.statusCode === 304) {
+        return self._save(key, xtend(entry, { expires: Date.now() + ttl }))
+      }
+      if (!ok(res)) return res
+      return self._save(key, {
+        statusCode: res.statusCode,
+        statusMessage: res.statusMessage,
+        headers: res.headers,
+        body: clone(res.body),
+        etag: res.headers && res.headers.etag,
+        expires: Date.now() + ttl
+      }).then(function () {
+        return res
+      })
+    })
+  })
+}
+
+/**
+ * Evict every cached response whose path matches
+ * @param {Function} match called as `match(path)` for each cached path
+ * @returns {Promise} resolves once the responses are evicted
+ */
+Cache.prototype.invalidate = function (match) {
+  var store = this.store
+  return Promise.resolve(store.keys()).then(function (keys) {
+    return Promise.all(
+      keys
+        .filter(function (key) {
+          return match(key.split(' ')[0])
+        })
+        .map(function (key) {
+          return store.delete(key)
+        })
+    )
+  })
+}
+
+/**
+ * Evict every cached response
+ * @returns {Promise} resolves once the responses are evicted
+ */
+Cache.prototype.clear = function () {
+  return this.invalidate(function () {
+    return true
+  })
+}
+
+Cache.prototype._save = function (key, entry) {
+  return Promise.resolve(this.store.set(key, entry)).then(function () {
+    return fromEntry(entry)
+  })
+}
+
+/**
+ * In-memory store that evicts the least recently used entry once it holds
+ * `max` entries
+ * @param {Object} [opts]
+ * @param {Number} [opts.max=100] maximum number of entries to hold
+ */
+function MemoryStore (opts) {
+  if (!(this instanceof MemoryStore)) return new MemoryStore(opts)
+  if (!opts) opts = {}
+  this.max = opts.max || 100
+  this._entries = new Map()
+}
+
+MemoryStore.prototype.get = function (key) {
+  if (!this._entries.has(key)) return undefined
+  var entry = this._entries.get(key)
+  this._entries.delete(key)
+  this._entries.set(key, entry)
+  return entry
+}
+
+MemoryStore.prototype.set = function (key, entry) {
+  this._entries.delete(key)
+  this._entries.set(key, entry)
+  while (this._entries.size > this.max) {
+    this._entries.delete(this._entries.keys().next().value)
+  }
+}
+
+MemoryStore.prototype.delete = function (key) {
+  this._entries.delete(key)
+}
+
+MemoryStore.prototype.keys = function () {
+  return Array.from(this._entries.keys())
+}
+
+function endpoint (path) {
+  var pathname = path.split('?')[0]
+  if (pathname === '/tags') return 'tags'
+  if (pathname === '/user') return 'user'
+  if (pathname === '/articles' || pathname === '/articles/feed') {
+    return 'articles'
+  }
+  if (/^\/articles\/[^/]+\/comments$/.test(pathname)) return 'comments'
+  if (/^\/articles\/[^/]+$/.test(pathname)) return 'article'
+  if (/^\/profiles\/[^/]+$/.test(pathname)) return 'profile'
+  return null
+}
+
+function evicted (method, path) {
+  var pathname = path.split('?')[0]
+  var parts = pathname.split('/')
+  return function (cached) {
+    var type = endpoint(cached)
+    var cachedParts = cached.split('?')[0].split('/')
+    if (parts[1] === 'profiles') {
+      return (
+        type === 'articles' || (type === 'profile' && cachedParts[2] === parts[2])
+      )
+    }
+    if (parts[1] === 'user') return type === 'user' || type === 'profile'
+    if (parts[1] === 'articles') {
+      if (parts[3] === 'comments') {
+        return type === 'comments' && cachedParts[2] === parts[2]
+      }
+      if (type === 'articles') return true
+      if (parts.length === 2) return type === 'tags'
+      if (parts.length === 3 && type === 'tags') return true
+      if (cachedParts[2] !== parts[2]) return false
+      return type === 'article' || (method === 'DELETE' && type === 'comments')
+    }
+    return false
+  }
+}
+
+function relative (url, root) {
+  return url.indexOf(root) === 0 ? url.slice(root.length) : url
+}
+
+function cacheKey (path, headers) {
+  return `${path} ${(headers && headers.Authorization) || ''}`
+}
+
+function ok (res) {
+  return res.statusCode >= 200 && res.statusCode < 300
+}
+
+function fromEntry (entry) {
+  return {
+    statusCode: entry.statusCode,
+    statusMessage: entry.statusMessage,
+    headers: entry.headers,
+    body: clone(entry.body),
+    cached: true
+  }
+}
+
+function clone (body) {
+  return body === undefined ? body : JSON.parse(JSON.stringify(body))
+}
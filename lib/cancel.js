@@ -0,0 +1,51 @@
+var errors = require('./errors')
+
+module.exports = cancellation
+
+/**
+ * Link a request to an `AbortSignal` and a timeout. The request gets its own
+ * `signal` that aborts when either fires, so transports can stop sending it.
+ * @param {Object} req outgoing request, which will be given a `signal`
+ * @param {Object} [opts]
+ * @param {AbortSignal} [opts.signal] signal that cancels the request
+ * @param {Number} [opts.timeout] milliseconds before the request times out
+ * @returns {Object} `promise` rejects with an `AbortError` or `TimeoutError`
+ * once the request is cancelled, and `clear()` stops listening
+ */
+function cancellation (req, opts) {
+  var signal = opts && opts.signal
+  var timeout = opts && opts.timeout
+  var controller =
+    typeof AbortController === 'function' ? new AbortController() : null
+  var timer = null
+  var onAbort = null
+  var info = { url: req.url, method: req.method }
+  var promise = new Promise(function (resolve, reject) {
+    var abort = function (err) {
+      if (controller) controller.abort(err)
+      reject(err)
+    }
+    if (signal) {
+      onAbort = function () {
+        abort(new errors.AbortError('Request was cancelled', info))
+      }
+      if (signal.aborted) onAbort()
+      else signal.addEventListener('abort', onAbort)
+    }
+    if (timeout) {
+      timer = setTimeout(function () {
+        abort(
+          new errors.TimeoutError(`Request timed out after ${timeout}ms`, info)
+        )
+      }, timeout)
+    }
+  })
+  req.signal = controller ? controller.signal : signal
+  return {
+    promise: promise,
+    clear: function () {
+      clearTimeout(timer)
+      if (onAbort) signal.removeEventListener('abort', onAbort)
+    }
+  }
+}
@@ -0,0 +1,493 @@
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var inherits = require('inherits')
+var minimist = require('minimist')
+var xtend = require('xtend')
+var RealWorld = require('../')
+var server = require('./server')
+var conformance = require('./conformance')
+
+module.exports = cli
+
+var usage = `usage: realworld <command> [options]
+
+commands:
+  login --email <email> --password <password>
+  register --username <name> --email <email> --password <password>
+  logout
+  user
+  user update [--email] [--username] [--password] [--bio] [--image]
+  profile <username>
+  profile follow <username>
+  profile unfollow <username>
+  articles [list] [--tag] [--author] [--favorited] [--page] [--limit]
+  articles feed [--page] [--limit]
+  article get <slug>
+  article create --title <title> --description <text> --body <text>
+                 [--body-file <file>] [--tag <tag>...]
+  article update <slug> [--title] [--description] [--body] [--body-file]
+  article delete <slug>
+  article favorite <slug>
+  article unfavorite <slug>
+  comments [list] <slug>
+  comments add <slug> --body <text> [--body-file <file>]
+  comments delete <slug> <id>
+  tags
+  serve [--port <port>] [--host <host>]
+  conformance [--junit <file>]
+
+options:
+  --api-root <url>   API root, defaults to $REALWORLD_API_ROOT or the saved one
+  --token <token>    token to use instead of the saved session
+  --config <file>    session file, defaults to $REALWORLD_CONFIG or
+                     ~/.realworld.json
+  -o, --output <fmt> table (default), json or ndjson
+  -h, --help         show this help
+
+Pages start at 1. A body file of - is read from stdin. The password may also
+be given in $REALWORLD_PASSWORD. serve runs an in-memory Conduit backend on
+port 3000 until it is interrupted. conformance checks the backend at the API
+root against the spec and writes a JUnit XML report to the --junit file, or to
+stdout for --junit -.
+`
+
+var commands = {
+  login: function (client, args, input) {
+    return client.login({
+      email: args.email,
+      password: password(args, input)
+    })
+  },
+  register: function (client, args, input) {
+    return client.register({
+      username: args.username,
+      email: args.email,
+      password: password(args, input)
+    })
+  },
+  logout: function (client) {
+    return client.logout().then(function () {
+      return null
+    })
+  },
+  user: {
+    get: function (client) {
+      return client.getUser()
+    },
+    update: function (client, args, input) {
+      var opts = pick(args, ['email', 'username', 'bio', 'image'])
+      if (args.password || input.env.REALWORLD_PASSWORD) {
+        opts.password = password(args, input)
+      }
+      return client.updateUser(opts)
+    }
+  },
+  profile: {
+    get: function (client, args) {
+      return client.getProfile(arg(args, 0, 'username'))
+    },
+    follow: function (client, args) {
+      return client.followUser(arg(args, 0, 'username'))
+    },
+    unfollow: function (client, args) {
+      return client.unFollowUser(arg(args, 0, 'username'))
+    }
+  },
+  articles: {
+    list: function (client, args) {
+      return client.listArticles(
+        xtend(pick(args, ['tag', 'author', 'favorited']), page(args))
+      )
+    },
+    feed: function (client, args) {
+      return client.listArticles(xtend({ feed: true }, page(args)))
+    }
+  },
+  article: {
+    get: function (client, args) {
+      return client.getArticle(arg(args, 0, 'slug'))
+    },
+    create: function (client, args) {
+      var opts = pick(args, ['title', 'description'])
+      opts.body = body(args)
+      if (args.tag != null) opts.tagList = [].concat(args.tag).map(String)
+      return client.createArticle(opts)
+    },
+    update: function (client, args) {
+      var slug = arg(args, 0, 'slug')
+      var opts = pick(args, ['title', 'description'])
+      if (args.body != null || args['body-file'] != null) {
+        opts.body = body(args)
+      }
+      return client.updateArticle(slug, opts)
+    },
+    delete: function (client, args) {
+      return client.deleteArticle(arg(args, 0, 'slug')).then(function () {
+        return null
+      })
+    },
+    favorite: function (client, args) {
+      return client.favoriteArticle(arg(args, 0, 'slug'))
+    },
+    unfavorite: function (client, args) {
+      return client.unFavoriteArticle(arg(args, 0, 'slug'))
+    }
+  },
+  comments: {
+    list: function (client, args) {
+      return client.getComments(arg(args, 0, 'slug'))
+    },
+    add: function (client, args) {
+      var slug = arg(args, 0, 'slug')
+      return client.addComment(slug, { body: body(args) })
+    },
+    delete: function (client, args) {
+      var slug = arg(args, 0, 'slug')
+      var id = arg(args, 1, 'id')
+      return client.deleteComment(slug, id).then(function () {
+        return null
+      })
+    }
+  },
+  tags: function (client) {
+    return client.getTags()
+  },
+  conformance: function (client, args, input) {
+    return conformance({
+      apiRoot: client.apiRoot,
+      transport: client.transport
+    }).then(function (report) {
+      var xml = conformance.junit(report)
+      if (args.junit === '-') input.stdout.write(xml)
+      else input.stdout.write(conformance.text(report))
+      if (args.junit && args.junit !== '-') fs.writeFileSync(args.junit, xml)
+      if (report.failed) {
+        throw new Error(`${report.failed} of ${report.tests.length} tests failed`)
+      }
+      return null
+    })
+  },
+  serve: function (client, args, input) {
+    var conduit = server.createServer()
+    var port = args.port != null ? Number(args.port) : 3000
+    return new Promise(function (resolve, reject) {
+      conduit.on('error', reject)
+      conduit.on('close', function () {
+        resolve(null)
+      })
+      conduit.listen(port, args.host, function () {
+        var host = args.host || 'localhost'
+        input.stderr.write(
+          `Conduit listening on http://${host}:${conduit.address().port}/api\n`
+        )
+      })
+      var stop = function () {
+        conduit.close()
+      }
+      if (input.signal) input.signal.addEventListener('abort', stop)
+      else process.once('SIGINT', stop)
+    })
+  }
+}
+
+/**
+ * Default subcommand of each command, used when the first argument is not a
+ * subcommand
+ */
+var defaults = {
+  user: 'get',
+  profile: 'get',
+  articles: 'list',
+  comments: 'list'
+}
+
+var formats = {
+  json: function (data) {
+    return `${JSON.stringify(data, null, 2)}\n`
+  },
+  ndjson: function (data) {
+    return rows(data)
+      .map(function (row) {
+        return `${JSON.stringify(row)}\n`
+      })
+      .join('')
+  },
+  table: function (data) {
+    if (Array.isArray(data.articles)) {
+      return table(data.articles, ['slug', 'title', 'author', 'favoritesCount', 'createdAt'])
+    }
+    if (Array.isArray(data.comments)) {
+      return table(data.comments, ['id', 'author', 'createdAt', 'body'])
+    }
+    if (Array.isArray(data.tags)) {
+      return table(
+        data.tags.map(function (tag) {
+          return { tag: tag }
+        }),
+        ['tag']
+      )
+    }
+    var entity = rows(data)[0] || {}
+    return table(
+      Object.keys(entity).map(function (key) {
+        return { key: key, value: entity[key] }
+      }),
+      ['key', 'value'],
+      true
+    )
+  }
+}
+
+/**
+ * Run the `realworld` command line interface
+ * @param {string[]} argv command line arguments, without the node binary and
+ * script name
+ * @param {Object} [opts]
+ * @param {Object} [opts.env=process.env] environment variables
+ * @param {stream.Writable} [opts.stdout=process.stdout] output stream
+ * @param {stream.Writable} [opts.stderr=process.stderr] error stream
+ * @param {Function} [opts.readStdin] called as `readStdin(cb)` to read a body
+ * file of `-`. Reads `process.stdin` by default.
+ * @param {Function} [opts.transport] transport passed to the client
+ * @param {AbortSignal} [opts.signal] signal that stops `serve`. It stops on
+ * `SIGINT` by default.
+ * @param {Function} cb called with the exit code once the command is done
+ */
+function cli (argv, opts, cb) {
+  if (typeof opts === 'function') {
+    cb = opts
+    opts = {}
+  }
+  var input = {
+    env: opts.env || process.env,
+    stdout: opts.stdout || process.stdout,
+    stderr: opts.stderr || process.stderr,
+    readStdin: opts.readStdin || readStdin,
+    signal: opts.signal
+  }
+  // minimist reads a lone - as an argument instead of the value of a flag
+  argv = argv.reduce(function (all, value) {
+    var flag = all[all.length - 1]
+    if (value === '-' && (flag === '--body-file' || flag === '--junit')) {
+      all[all.length - 1] = `${flag}=-`
+    } else {
+      all.push(value)
+    }
+    return all
+  }, [])
+  var args = minimist(argv, {
+    string: [
+      '_',
+      'api-root',
+      'token',
+      'config',
+      'output',
+      'email',
+      'username',
+      'password',
+      'bio',
+      'image',
+      'tag',
+      'author',
+      'favorited',
+      'title',
+      'description',
+      'body',
+      'body-file',
+      'host',
+      'junit'
+    ],
+    boolean: ['help'],
+    alias: { o: 'output', h: 'help' }
+  })
+  var format = formats[args.output || 'table']
+  if (!format) return fail(`unknown output format ${args.output}`, true)
+  var name = args._.shift()
+  if (args.help || name === 'help') {
+    input.stdout.write(usage)
+    return cb(0)
+  }
+  if (!name) {
+    input.stderr.write(usage)
+    return cb(1)
+  }
+  var command = commands[name]
+  if (command && typeof command === 'object') {
+    var sub = command[args._[0]] ? args._.shift() : defaults[name]
+    command = command[sub]
+  }
+  if (!command) return fail(`unknown command ${[name].concat(args._).join(' ')}`, true)
+
+  var config = args.config || input.env.REALWORLD_CONFIG ||
+    path.join(os.homedir(), '.realworld.json')
+  var saved
+  try {
+    saved = RealWorld.storage.file(config).load() || {}
+  } catch (err) {
+    return fail(`cannot read ${config}: ${err.message}`)
+  }
+  var apiRoot = args['api-root'] || input.env.REALWORLD_API_ROOT ||
+    saved.apiRoot || RealWorld.base
+  var client = new RealWorld({
+    apiRoot: apiRoot,
+    token: args.token,
+    storage: args.token ? RealWorld.storage.memory() : sessionFile(config, apiRoot),
+    transport: opts.transport,
+    strict: true,
+    dataOnly: true
+  })
+  client.ready
+    .then(function () {
+      return readBody(args, input)
+    })
+    .then(function () {
+      return command(client, args, input)
+    })
+    .then(function (data) {
+      if (data) input.stdout.write(format(data))
+      cb(0)
+    })
+    .catch(function (err) {
+      fail(err.message, err instanceof UsageError)
+      if (err.errors) {
+        Object.keys(err.errors).forEach(function (key) {
+          input.stderr.write(`  ${key} ${[].concat(err.errors[key]).join(', ')}\n`)
+        })
+      }
+    })
+
+  function fail (message, showUsage) {
+    input.stderr.write(`realworld: ${message}\n`)
+    if (showUsage) input.stderr.write(`\n${usage}`)
+    cb(1)
+  }
+}
+
+/**
+ * Session storage that also remembers the API root the session belongs to
+ */
+function sessionFile (config, apiRoot) {
+  var file = RealWorld.storage.file(config)
+  return xtend(file, {
+    load: function () {
+      var saved = file.load()
+      return saved && saved.apiRoot === apiRoot ? saved : null
+    },
+    save: function (session) {
+      file.save(xtend(session, { apiRoot: apiRoot }))
+    }
+  })
+}
+
+function UsageError (message) {
+  this.message = message
+}
+inherits(UsageError, Error)
+
+function arg (args, i, name) {
+  var value = args._[i]
+  if (value == null) throw new UsageError(`missing <${name}>`)
+  return String(value)
+}
+
+function pick (args, keys) {
+  var opts = {}
+  keys.forEach(function (key) {
+    if (args[key] != null) opts[key] = args[key]
+  })
+  return opts
+}
+
+function page (args) {
+  var opts = {}
+  if (args.limit != null) opts.limit = Number(args.limit)
+  if (args.page != null) opts.page = Math.max(Number(args.page) - 1, 0)
+  return opts
+}
+
+function password (args, input) {
+  return args.password || input.env.REALWORLD_PASSWORD
+}
+
+function body (args) {
+  var file = args['body-file']
+  if (file == null) return args.body
+  return fs.readFileSync(file, 'utf8')
+}
+
+/**
+ * Read a body file of `-` from stdin into `--body` before the command runs
+ */
+function readBody (args, input) {
+  if (args['body-file'] !== '-') return
+  return new Promise(function (resolve, reject) {
+    input.readStdin(function (err, text) {
+      if (err) return reject(err)
+      delete args['body-file']
+      args.body = text
+      resolve()
+    })
+  })
+}
+
+function readStdin (cb) {
+  var chunks = []
+  process.stdin.on('data', function (chunk) {
+    chunks.push(chunk)
+  })
+  process.stdin.on('error', cb)
+  process.stdin.on('end', function () {
+    cb(null, Buffer.concat(chunks).toString('utf8'))
+  })
+}
+
+/**
+ * The records in a response: the items of a list, or the single entity
+ */
+function rows (data) {
+  var list = data.articles || data.comments || data.tags
+  if (Array.isArray(list)) return list
+  var entity = data.article || data.comment || data.profile || data.user
+  return entity ? [entity] : [data]
+}
+
+function cell (value) {
+  if (value == null) return ''
+  if (Array.isArray(value)) return value.join(', ')
+  if (typeof value === 'object') return value.username || JSON.stringify(value)
+  var text = String(value).replace(/\s+/g, ' ')
+  return text.length > 60 ? `${text.slice(0, 59)}…` : text
+}
+
+function table (items, columns, noHeader) {
+  var lines = items.map(function (item) {
+    return columns.map(function (column) {
+      return cell(item[column])
+    })
+  })
+  if (!noHeader) {
+    lines.unshift(
+      columns.map(function (column) {
+        return column.toUpperCase()
+      })
+    )
+  }
+  var widths = columns.map(function (column, i) {
+    return Math.max.apply(
+      null,
+      lines.map(function (line) {
+        return line[i].length
+      })
+    )
+  })
+  return lines
+    .map(function (line) {
+      return line
+        .map(function (text, i) {
+          return i === line.length - 1 ? text : text.padEnd(widths[i])
+        })
+        .join('  ')
+    })
+    .join('\n') + '\n'
+}
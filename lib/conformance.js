@@ -0,0 +1,617 @@
+var RealWorld = require('../')
+var schema = require('./schema')
+
+module.exports = conformance
+module.exports.text = text
+module.exports.junit = junit
+
+/**
+ * Check a RealWorld backend against the API spec. Two throwaway users are
+ * registered, then every method of the client from `login` through
+ * `unFavoriteArticle` is called and the status code and shape of each
+ * response are checked. Tests that depend on a failed test are skipped.
+ * @param {Object} opts
+ * @param {string} opts.apiRoot the url of the backend to check
+ * @param {Function} [opts.transport] transport passed to the clients
+ * @param {Number} [opts.timeout=10000] milliseconds before each request fails
+ * @param {Function} [cb] called as `cb(err, report)` once every test has run
+ * @returns {Promise<Object>} resolves to the report, with the `apiRoot`, the
+ * `tests` run and the number `passed`, `failed` and `skipped`. Each test has a
+ * `name`, a `description`, a `status` of `passed`, `failed` or `skipped`, the
+ * `failures` found and its `duration` in milliseconds.
+ * @example
+ * conformance({ apiRoot: 'http://localhost:3000/api' }).then(function (report) {
+ *   console.log(conformance.text(report))
+ * })
+ */
+function conformance (opts, cb) {
+  var id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`
+  var client = function () {
+    return new RealWorld({
+      apiRoot: opts.apiRoot,
+      transport: opts.transport,
+      timeout: opts.timeout || 10000,
+      validate: false
+    })
+  }
+  var ctx = {
+    client: client,
+    author: client(),
+    reader: client(),
+    anonymous: client(),
+    authorName: `conformance-author-${id}`,
+    readerName: `conformance-reader-${id}`,
+    tag: `conformance-${id}`,
+    password: `secret-${id}`
+  }
+  var report = {
+    apiRoot: opts.apiRoot,
+    timestamp: new Date().toISOString(),
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  }
+  var start = Date.now()
+  var done = tests.reduce(function (p, test) {
+    return p.then(function () {
+      return run(test, ctx, report).then(function (result) {
+        report.tests.push(result)
+        report[result.status]++
+      })
+    })
+  }, Promise.resolve())
+  done = done.then(function () {
+    report.duration = Date.now() - start
+    return report
+  })
+  if (cb) {
+    done.then(function (report) {
+      cb(null, report)
+    }, cb)
+  }
+  return done
+}
+
+function run (test, ctx, report) {
+  var result = {
+    name: test.name,
+    description: test.description,
+    status: 'passed',
+    failures: [],
+    duration: 0
+  }
+  var failed = (test.needs || []).filter(function (name) {
+    return report.tests.some(function (other) {
+      return other.name === name && other.status !== 'passed'
+    })
+  })
+  if (failed.length) {
+    result.status = 'skipped'
+    result.failures.push(`depends on ${failed.join(', ')}`)
+    return Promise.resolve(result)
+  }
+  var start = Date.now()
+  var fail = function (message) {
+    result.failures.push(message)
+  }
+  return Promise.resolve()
+    .then(function () {
+      return test.run(ctx)
+    })
+    .then(
+      function (response) {
+        var status = response.res.statusCode
+        var expected = [].concat(test.status || 200)
+        if (expected.indexOf(status) === -1) {
+          fail(`expected status ${expected.join(' or ')} but got ${status}`)
+          return
+        }
+        if (test.check) test.check(response.data || {}, ctx, fail)
+      },
+      function (err) {
+        fail(err.message)
+      }
+    )
+    .then(function () {
+      result.duration = Date.now() - start
+      if (result.failures.length) result.status = 'failed'
+      return result
+    })
+}
+
+var tests = [
+  {
+    name: 'register',
+    description: 'registers a new user',
+    status: [200, 201],
+    run: function (ctx) {
+      return register(ctx.author, ctx.authorName, ctx.password)
+    },
+    check: function (data, ctx, fail) {
+      shape(data.user, 'user', 'user', fail)
+      equal(data.user, 'username', ctx.authorName, 'user', fail)
+    }
+  },
+  {
+    name: 'register (taken)',
+    description: 'rejects a username that is taken with 422 and errors',
+    status: 422,
+    needs: ['register'],
+    run: function (ctx) {
+      return register(ctx.client(), ctx.authorName, ctx.password)
+    },
+    check: checkErrors
+  },
+  {
+    name: 'register (second user)',
+    description: 'registers a second user',
+    status: [200, 201],
+    run: function (ctx) {
+      return register(ctx.reader, ctx.readerName, ctx.password)
+    },
+    check: function (data, ctx, fail) {
+      shape(data.user, 'user', 'user', fail)
+    }
+  },
+  {
+    name: 'login',
+    description: 'logs in with email and password',
+    needs: ['register'],
+    run: function (ctx) {
+      return ctx.author.login({
+        email: `${ctx.authorName}@example.com`,
+        password: ctx.password
+      })
+    },
+    check: function (data, ctx, fail) {
+      shape(data.user, 'user', 'user', fail)
+      equal(data.user, 'email', `${ctx.authorName}@example.com`, 'user', fail)
+    }
+  },
+  {
+    name: 'login (wrong password)',
+    description: 'rejects a wrong password with 401 or 422',
+    status: [401, 422],
+    needs: ['register'],
+    run: function (ctx) {
+      return ctx.client().login({
+        email: `${ctx.authorName}@example.com`,
+        password: 'wrong'
+      })
+    }
+  },
+  {
+    name: 'getUser',
+    description: 'gets the current user',
+    needs: ['login'],
+    run: function (ctx) {
+      return ctx.author.getUser()
+    },
+    check: function (data, ctx, fail) {
+      shape(data.user, 'user', 'user', fail)
+      equal(data.user, 'username', ctx.authorName, 'user', fail)
+    }
+  },
+  {
+    name: 'getUser (anonymous)',
+    description: 'rejects requests without a token with 401',
+    status: 401,
+    run: function (ctx) {
+      return ctx.anonymous.getUser()
+    }
+  },
+  {
+    name: 'updateUser',
+    description: 'updates the bio of the current user',
+    needs: ['login'],
+    run: function (ctx) {
+      return ctx.author.updateUser({ bio: 'Checking conformance' })
+    },
+    check: function (data, ctx, fail) {
+      shape(data.user, 'user', 'user', fail)
+      equal(data.user, 'bio', 'Checking conformance', 'user', fail)
+    }
+  },
+  {
+    name: 'getProfile',
+    description: 'gets the profile of another user',
+    needs: ['register (second user)'],
+    run: function (ctx) {
+      return ctx.author.getProfile(ctx.readerName)
+    },
+    check: function (data, ctx, fail) {
+      shape(data.profile, 'profile', 'profile', fail)
+      equal(data.profile, 'following', false, 'profile', fail)
+    }
+  },
+  {
+    name: 'followUser',
+    description: 'follows another user',
+    needs: ['login', 'register (second user)'],
+    run: function (ctx) {
+      return ctx.reader.followUser(ctx.authorName)
+    },
+    check: function (data, ctx, fail) {
+      shape(data.profile, 'profile', 'profile', fail)
+      equal(data.profile, 'following', true, 'profile', fail)
+    }
+  },
+  {
+    name: 'createArticle',
+    description: 'creates an article with tags',
+    status: [200, 201],
+    needs: ['login'],
+    run: function (ctx) {
+      return ctx.author.createArticle({
+        title: `Conformance ${ctx.tag}`,
+        description: 'Checking the RealWorld API spec',
+        body: 'Every backend breaks the spec in small ways',
+        tagList: [ctx.tag]
+      })
+    },
+    check: function (data, ctx, fail) {
+      shape(data.article, 'article', 'article', fail)
+      if (!data.article) return
+      ctx.slug = data.article.slug
+      equal(data.article, 'favoritesCount', 0, 'article', fail)
+      if ((data.article.tagList || []).indexOf(ctx.tag) === -1) {
+        fail(`article.tagList is missing ${ctx.tag}`)
+      }
+      if (data.article.author) {
+        equal(data.article.author, 'username', ctx.authorName, 'article.author', fail)
+      }
+    }
+  },
+  {
+    name: 'listArticles',
+    description: 'lists articles with articlesCount',
+    needs: ['createArticle'],
+    run: function (ctx) {
+      return ctx.anonymous.listArticles({ limit: 3 })
+    },
+    check: function (data, ctx, fail) {
+      list(data, 3, fail)
+    }
+  },
+  {
+    name: 'listAllArticles',
+    description: 'lists 20 articles at most',
+    needs: ['createArticle'],
+    run: function (ctx) {
+      return ctx.anonymous.listAllArticles()
+    },
+    check: function (data, ctx, fail) {
+      list(data, 20, fail)
+    }
+  },
+  {
+    name: 'listArticlesByTag',
+    description: 'filters articles by tag',
+    needs: ['createArticle'],
+    run: function (ctx) {
+      return ctx.anonymous.listArticlesByTag(ctx.tag)
+    },
+    check: function (data, ctx, fail) {
+      list(data, 10, fail)
+      includes(data, ctx.slug, fail)
+      each(data, fail, function (article) {
+        return (article.tagList || []).indexOf(ctx.tag) !== -1 ||
+          `${article.slug} is not tagged ${ctx.tag}`
+      })
+    }
+  },
+  {
+    name: 'listArticlesByAuthor',
+    description: 'filters articles by author',
+    needs: ['createArticle'],
+    run: function (ctx) {
+      return ctx.anonymous.listArticlesByAuthor(ctx.authorName)
+    },
+    check: function (data, ctx, fail) {
+      list(data, 5, fail)
+      includes(data, ctx.slug, fail)
+      each(data, fail, function (article) {
+        return (article.author && article.author.username === ctx.authorName) ||
+          `${article.slug} is not by ${ctx.authorName}`
+      })
+    }
+  },
+  {
+    name: 'feedArticles',
+    description: 'lists articles by followed users',
+    needs: ['followUser', 'createArticle'],
+    run: function (ctx) {
+      return ctx.reader.feedArticles()
+    },
+    check: function (data, ctx, fail) {
+      list(data, 10, fail)
+      includes(data, ctx.slug, fail)
+    }
+  },
+  {
+    name: 'getArticle',
+    description: 'gets an article by slug',
+    needs: ['createArticle'],
+    run: function (ctx) {
+      return ctx.anonymous.getArticle(ctx.slug)
+    },
+    check: function (data, ctx, fail) {
+      shape(data.article, 'article', 'article', fail)
+      if (data.article) equal(data.article, 'slug', ctx.slug, 'article', fail)
+    }
+  },
+  {
+    name: 'getArticle (missing)',
+    description: 'answers 404 for an article that does not exist',
+    status: 404,
+    run: function (ctx) {
+      return ctx.anonymous.getArticle(`${ctx.tag}-missing`)
+    }
+  },
+  {
+    name: 'updateArticle',
+    description: 'updates the body of an article',
+    needs: ['createArticle'],
+    run: function (ctx) {
+      return ctx.author.updateArticle(ctx.slug, { body: 'Updated body' })
+    },
+    check: function (data, ctx, fail) {
+      shape(data.article, 'article', 'article', fail)
+      if (data.article) {
+        equal(data.article, 'body', 'Updated body', 'article', fail)
+        ctx.slug = data.article.slug
+      }
+    }
+  },
+  {
+    name: 'updateArticle (not author)',
+    description: 'forbids updating the article of another user with 403',
+    status: [401, 403],
+    needs: ['createArticle', 'register (second user)'],
+    run: function (ctx) {
+      return ctx.reader.updateArticle(ctx.slug, { body: 'Not mine' })
+    }
+  },
+  {
+    name: 'addComment',
+    description: 'comments on an article',
+    status: [200, 201],
+    needs: ['createArticle', 'register (second user)'],
+    run: function (ctx) {
+      return ctx.reader.addComment(ctx.slug, { body: 'Conformance comment' })
+    },
+    check: function (data, ctx, fail) {
+      shape(data.comment, 'comment', 'comment', fail)
+      if (!data.comment) return
+      ctx.commentId = data.comment.id
+      equal(data.comment, 'body', 'Conformance comment', 'comment', fail)
+    }
+  },
+  {
+    name: 'getComments',
+    description: 'lists the comments on an article',
+    needs: ['addComment'],
+    run: function (ctx) {
+      return ctx.anonymous.getComments(ctx.slug)
+    },
+    check: function (data, ctx, fail) {
+      if (!Array.isArray(data.comments)) return fail('comments is not an array')
+      data.comments.forEach(function (comment, i) {
+        shape(comment, 'comment', `comments[${i}]`, fail)
+      })
+      var found = data.comments.some(function (comment) {
+        return String(comment.id) === String(ctx.commentId)
+      })
+      if (!found) fail(`comments is missing comment ${ctx.commentId}`)
+    }
+  },
+  {
+    name: 'deleteComment',
+    description: 'deletes a comment',
+    status: [200, 204],
+    needs: ['addComment'],
+    run: function (ctx) {
+      return ctx.reader.deleteComment(ctx.slug, ctx.commentId)
+    }
+  },
+  {
+    name: 'favoriteArticle',
+    description: 'favorites an article',
+    needs: ['createArticle', 'register (second user)'],
+    run: function (ctx) {
+      return ctx.reader.favoriteArticle(ctx.slug)
+    },
+    check: function (data, ctx, fail) {
+      shape(data.article, 'article', 'article', fail)
+      if (!data.article) return
+      equal(data.article, 'favorited', true, 'article', fail)
+      equal(data.article, 'favoritesCount', 1, 'article', fail)
+    }
+  },
+  {
+    name: 'listArticlesByAuthorFavorites',
+    description: 'filters articles favorited by a user',
+    needs: ['favoriteArticle'],
+    run: function (ctx) {
+      return ctx.anonymous.listArticlesByAuthorFavorites(ctx.readerName)
+    },
+    check: function (data, ctx, fail) {
+      list(data, 5, fail)
+      includes(data, ctx.slug, fail)
+    }
+  },
+  {
+    name: 'unFavoriteArticle',
+    description: 'unfavorites an article',
+    needs: ['favoriteArticle'],
+    run: function (ctx) {
+      return ctx.reader.unFavoriteArticle(ctx.slug)
+    },
+    check: function (data, ctx, fail) {
+      shape(data.article, 'article', 'article', fail)
+      if (!data.article) return
+      equal(data.article, 'favorited', false, 'article', fail)
+      equal(data.article, 'favoritesCount', 0, 'article', fail)
+    }
+  },
+  {
+    name: 'unFollowUser',
+    description: 'unfollows another user',
+    needs: ['followUser'],
+    run: function (ctx) {
+      return ctx.reader.unFollowUser(ctx.authorName)
+    },
+    check: function (data, ctx, fail) {
+      shape(data.profile, 'profile', 'profile', fail)
+      equal(data.profile, 'following', false, 'profile', fail)
+    }
+  },
+  {
+    name: 'getTags',
+    description: 'lists tags',
+    needs: ['createArticle'],
+    run: function (ctx) {
+      return ctx.anonymous.getTags()
+    },
+    check: function (data, ctx, fail) {
+      if (!Array.isArray(data.tags)) return fail('tags is not an array')
+      var strings = data.tags.every(function (tag) {
+        return typeof tag === 'string'
+      })
+      if (!strings) fail('tags is not an array of strings')
+    }
+  },
+  {
+    name: 'deleteArticle',
+    description: 'deletes an article',
+    status: [200, 204],
+    needs: ['createArticle'],
+    run: function (ctx) {
+      return ctx.author.deleteArticle(ctx.slug)
+    }
+  }
+]
+
+function register (client, username, password) {
+  return client.register({
+    username: username,
+    email: `${username}@example.com`,
+    password: password
+  })
+}
+
+function checkErrors (data, ctx, fail) {
+  var errors = data.errors
+  if (!errors || typeof errors !== 'object') return fail('errors is missing')
+  Object.keys(errors).forEach(function (key) {
+    if (!Array.isArray(errors[key])) fail(`errors.${key} is not an array`)
+  })
+}
+
+function list (data, max, fail) {
+  if (!Array.isArray(data.articles)) return fail('articles is not an array')
+  if (typeof data.articlesCount !== 'number') fail('articlesCount is not a number')
+  if (data.articles.length > max) {
+    fail(`expected at most ${max} articles but got ${data.articles.length}`)
+  }
+  data.articles.forEach(function (article, i) {
+    shape(article, 'article', `articles[${i}]`, fail)
+  })
+}
+
+function includes (data, slug, fail) {
+  var found = (data.articles || []).some(function (article) {
+    return article.slug === slug
+  })
+  if (!found) fail(`articles is missing ${slug}`)
+}
+
+function each (data, fail, test) {
+  ;(data.articles || []).forEach(function (article) {
+    var result = test(article)
+    if (result !== true) fail(result)
+  })
+}
+
+function equal (value, key, expected, path, fail) {
+  if (!value || value[key] !== expected) {
+    var actual = value ? JSON.stringify(value[key]) : 'missing'
+    fail(`expected ${path}.${key} to be ${JSON.stringify(expected)} but got ${actual}`)
+  }
+}
+
+function shape (value, name, path, fail) {
+  var problems = schema.validateShape(name, value, path)
+  if (!problems) return
+  Object.keys(problems).forEach(function (at) {
+    problems[at].forEach(function (problem) {
+      fail(`${at} ${problem}`)
+    })
+  })
+}
+
+/**
+ * Format a conformance report for people to read
+ * @param {Object} report report from {@link conformance}
+ * @returns {string} one line per test, with the failures of each test below it
+ */
+function text (report) {
+  var lines = [`RealWorld conformance of ${report.apiRoot}`, '']
+  report.tests.forEach(function (test) {
+    var mark = { passed: 'PASS', failed: 'FAIL', skipped: 'SKIP' }[test.status]
+    lines.push(`${mark} ${test.name} - ${test.description} (${test.duration}ms)`)
+    test.failures.forEach(function (failure) {
+      lines.push(`     ${failure}`)
+    })
+  })
+  lines.push(
+    '',
+    `${report.passed} passed, ${report.failed} failed, ${report.skipped} skipped`
+  )
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * Format a conformance report as JUnit XML for continuous integration
+ * @param {Object} report report from {@link conformance}
+ * @returns {string} XML document with one `testcase` per test
+ */
+function junit (report) {
+  var attrs = `tests="${report.tests.length}" failures="${report.failed}" ` +
+    `skipped="${report.skipped}" time="${seconds(report.duration)}"`
+  var lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="realworld-conformance" ${attrs}>`,
+    `  <testsuite name="${xml(report.apiRoot)}" timestamp="${report.timestamp}" ${attrs}>`
+  ]
+  report.tests.forEach(function (test) {
+    var open = `    <testcase classname="realworld.conformance" ` +
+      `name="${xml(`${test.name}: ${test.description}`)}" time="${seconds(test.duration)}"`
+    if (test.status === 'passed') return lines.push(`${open}/>`)
+    lines.push(`${open}>`)
+    var message = xml(test.failures[0] || '')
+    if (test.status === 'skipped') {
+      lines.push(`      <skipped message="${message}"/>`)
+    } else {
+      lines.push(
+        `      <failure message="${message}">${xml(test.failures.join('\n'))}</failure>`
+      )
+    }
+    lines.push('    </testcase>')
+  })
+  lines.push('  </testsuite>', '</testsuites>')
+  return `${lines.join('\n')}\n`
+}
+
+function seconds (ms) {
+  return ((ms || 0) / 1000).toFixed(3)
+}
+
+function xml (value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
@@ -0,0 +1,72 @@
+var xtend = require('xtend')
+
+module.exports = Dedupe
+
+/**
+ * Merges identical `GET` requests that are in flight at the same time into a
+ * single network call. Requests match when they have the same URL and
+ * `Authorization` header. Every caller that joins a request gets its own copy
+ * of the response, marked with `deduped: true`. If the first caller cancels
+ * its request, the callers that joined it send their own.
+ */
+function Dedupe () {
+  if (!(this instanceof Dedupe)) return new Dedupe()
+  this._pending = new Map()
+}
+
+/**
+ * Join an identical request in flight, or send the request and let others
+ * join it. Requests with `fresh` set never join another request.
+ * @param {Object} req outgoing request
+ * @param {Function} next called as `next(req)` to send the request
+ * @returns {Promise<Object>} response
+ */
+Dedupe.prototype.handle = function (req, next) {
+  var self = this
+  if (req.method !== 'GET') return next(req)
+  var key = `${req.url} ${(req.headers && req.headers.Authorization) || ''}`
+  var pending = self._pending.get(key)
+  if (pending && !req.fresh && !aborted(pending.signal)) {
+    return pending.response.then(copy, function (err) {
+      if (aborted(pending.signal)) return next(req)
+      throw err
+    })
+  }
+  var sent = next(req)
+  var entry = {
+    signal: req.signal,
+    response: sent.then(function (res) {
+      return xtend(res, { body: clone(res.body) })
+    })
+  }
+  var settle = function () {
+    if (self._pending.get(key) === entry) self._pending.delete(key)
+  }
+  entry.response.then(settle, settle)
+  self._pending.set(key, entry)
+  return sent
+}
+
+/**
+ * Number of requests in flight that others may join
+ * @name size
+ * @memberof Dedupe
+ * @type {Number}
+ */
+Object.defineProperty(Dedupe.prototype, 'size', {
+  get: function () {
+    return this._pending.size
+  }
+})
+
+function aborted (signal) {
+  return !!(signal && signal.aborted)
+}
+
+function copy (res) {
+  return xtend(res, { body: clone(res.body), deduped: true })
+}
+
+function clone (body) {
+  return body === undefined ? body : JSON.parse(JSON.stringify(body))
+}
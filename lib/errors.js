@@ -0,0 +1,220 @@
+var inherits = require('inherits')
+
+module.exports.RealWorldError = RealWorldError
+module.exports.ValidationError = ValidationError
+module.exports.SchemaError = SchemaError
+module.exports.UnauthorizedError = UnauthorizedError
+module.exports.ForbiddenError = ForbiddenError
+module.exports.NotFoundError = NotFoundError
+module.exports.ServerError = ServerError
+module.exports.TokenExpiredError = TokenExpiredError
+module.exports.AbortError = AbortError
+module.exports.TimeoutError = TimeoutError
+module.exports.ResponseShapeError = ResponseShapeError
+module.exports.OfflineError = OfflineError
+module.exports.fromResponse = fromResponse
+
+/**
+ * Base class for errors created from unsuccessful HTTP responses when the
+ * client runs in `strict` mode
+ * @param {string} message description of the error
+ * @param {Object} [opts]
+ * @param {Number} [opts.status] HTTP status code of the response
+ * @param {string} [opts.url] URL that was requested
+ * @param {string} [opts.method] HTTP method that was requested
+ * @param {Object} [opts.res] raw response object from the server
+ * @param {Object} [opts.data] data result from the server as JSON
+ */
+function RealWorldError (message, opts) {
+  if (!opts) opts = {}
+  this.message = message
+  this.status = opts.status
+  this.url = opts.url
+  this.method = opts.method
+  this.res = opts.res
+  this.data = opts.data
+  if (Error.captureStackTrace) Error.captureStackTrace(this, this.constructor)
+  else this.stack = new Error(message).stack
+}
+inherits(RealWorldError, Error)
+RealWorldError.prototype.name = 'RealWorldError'
+
+/**
+ * Error for 422 responses. `errors` holds the per-field messages from the
+ * response body, such as `{ email: ['has already been taken'] }`
+ * @param {string} message description of the error
+ * @param {Object} [opts] same as {@link RealWorldError}
+ */
+function ValidationError (message, opts) {
+  RealWorldError.call(this, message, opts)
+  this.errors = (this.data && this.data.errors) || {}
+}
+inherits(ValidationError, RealWorldError)
+ValidationError.prototype.name = 'ValidationError'
+
+/**
+ * Error for request bodies that do not match the RealWorld API spec. It is
+ * created before any request is sent, so it has no `status`, but `errors`
+ * holds the per-field problems in the same form as a 422 response.
+ * @param {string} message description of the error
+ * @param {Object} [opts] same as {@link RealWorldError}
+ */
+function SchemaError (message, opts) {
+  ValidationError.call(this, message, opts)
+}
+inherits(SchemaError, ValidationError)
+SchemaError.prototype.name = 'SchemaError'
+
+/**
+ * Error for 401 responses
+ * @param {string} message description of the error
+ * @param {Object} [opts] same as {@link RealWorldError}
+ */
+function UnauthorizedError (message, opts) {
+  RealWorldError.call(this, message, opts)
+}
+inherits(UnauthorizedError, RealWorldError)
+UnauthorizedError.prototype.name = 'UnauthorizedError'
+
+/**
+ * Error for 403 responses
+ * @param {string} message description of the error
+ * @param {Object} [opts] same as {@link RealWorldError}
+ */
+function ForbiddenError (message, opts) {
+  RealWorldError.call(this, message, opts)
+}
+inherits(ForbiddenError, RealWorldError)
+ForbiddenError.prototype.name = 'ForbiddenError'
+
+/**
+ * Error for 404 responses
+ * @param {string} message description of the error
+ * @param {Object} [opts] same as {@link RealWorldError}
+ */
+function NotFoundError (message, opts) {
+  RealWorldError.call(this, message, opts)
+}
+inherits(NotFoundError, RealWorldError)
+NotFoundError.prototype.name = 'NotFoundError'
+
+/**
+ * Error for 5xx responses
+ * @param {string} message description of the error
+ * @param {Object} [opts] same as {@link RealWorldError}
+ */
+function ServerError (message, opts) {
+  RealWorldError.call(this, message, opts)
+}
+inherits(ServerError, RealWorldError)
+ServerError.prototype.name = 'ServerError'
+
+/**
+ * Error for requests that were not sent because the token has expired
+ * @param {string} message description of the error
+ * @param {Object} [opts] same as {@link RealWorldError}
+ * @param {Date} [opts.expiresAt] time the token expired
+ */
+function TokenExpiredError (message, opts) {
+  UnauthorizedError.call(this, message, opts)
+  this.expiresAt = opts && opts.expiresAt
+}
+inherits(TokenExpiredError, UnauthorizedError)
+TokenExpiredError.prototype.name = 'TokenExpiredError'
+
+/**
+ * Error for requests cancelled through an `AbortSignal`
+ * @param {string} message description of the error
+ * @param {Object} [opts] same as {@link RealWorldError}
+ */
+function AbortError (message, opts) {
+  RealWorldError.call(this, message, opts)
+}
+inherits(AbortError, RealWorldError)
+AbortError.prototype.name = 'AbortError'
+
+/**
+ * Error for requests that did not finish before their timeout
+ * @param {string} message description of the error
+ * @param {Object} [opts] same as {@link RealWorldError}
+ */
+function TimeoutError (message, opts) {
+  RealWorldError.call(this, message, opts)
+}
+inherits(TimeoutError, RealWorldError)
+TimeoutError.prototype.name = 'TimeoutError'
+
+/**
+ * Error for responses whose body does not have the shape given by the
+ * RealWorld API spec. `errors` holds the problems keyed by the path of each
+ * field, such as `{ 'article.favoritesCount': ['is not a number'] }`
+ * @param {string} message description of the error
+ * @param {Object} [opts] same as {@link RealWorldError}
+ * @param {Object} [opts.errors] problems keyed by the path of each field
+ */
+function ResponseShapeError (message, opts) {
+  RealWorldError.call(this, message, opts)
+  this.errors = (opts && opts.errors) || {}
+}
+inherits(ResponseShapeError, RealWorldError)
+ResponseShapeError.prototype.name = 'ResponseShapeError'
+
+/**
+ * Error for mutations that could not be sent, such as while the device is
+ * offline, and were queued to be replayed later. `entry` is null if the
+ * mutation cancelled out a queued one, such as unfavoriting an article whose
+ * favorite was still queued.
+ * @param {string} message description of the error
+ * @param {Object} [opts] same as {@link RealWorldError}
+ * @param {Error} [opts.cause] error the request failed with
+ * @param {Object} [opts.entry] mutation that was added to the queue
+ */
+function OfflineError (message, opts) {
+  RealWorldError.call(this, message, opts)
+  this.cause = opts && opts.cause
+  this.entry = (opts && opts.entry) || null
+}
+inherits(OfflineError, RealWorldError)
+OfflineError.prototype.name = 'OfflineError'
+
+/**
+ * Create the matching error for an unsuccessful response
+ * @param {Object} req options the request was sent with
+ * @param {Object} res response object from the server
+ * @param {Object} data data result from the server as JSON
+ * @returns {RealWorldError|null} null if the response status is 2xx
+ */
+function fromResponse (req, res, data) {
+  var status = res && res.statusCode
+  if (status >= 200 && status < 300) return null
+  var opts = {
+    status: status,
+    url: req.url,
+    method: req.method,
+    res: res,
+    data: data
+  }
+  var message = `${req.method} ${req.url} failed with ${status}`
+  if (res && res.statusMessage) message += ` ${res.statusMessage}`
+  if (status === 422) {
+    var fields = describe(data && data.errors)
+    if (fields) message += `: ${fields}`
+    return new ValidationError(message, opts)
+  }
+  if (status === 401) return new UnauthorizedError(message, opts)
+  if (status === 403) return new ForbiddenError(message, opts)
+  if (status === 404) return new NotFoundError(message, opts)
+  if (status >= 500) return new ServerError(message, opts)
+  return new RealWorldError(message, opts)
+}
+
+function describe (errors) {
+  if (!errors || typeof errors !== 'object') return ''
+  return Object.keys(errors)
+    .map(function (field) {
+      return [].concat(errors[field]).map(function (v) {
+        return `${field} ${v}`
+      }).join(', ')
+    })
+    .join(', ')
+}
@@ -0,0 +1,75 @@
+module.exports = PageIterator
+
+/**
+ * Async iterator that lazily requests successive pages of a listing and
+ * yields the individual items. Iteration stops once the total count reported
+ * by the server is reached, a page comes back empty or `max` items have been
+ * yielded.
+ * @param {Function} fetchPage called as `fetchPage(page, cb)` and should call
+ * back with `(err, { items, count })`
+ * @param {Object} [opts]
+ * @param {Number} [opts.page=0] page to start from
+ * @param {Number} [opts.offset=0] number of items on the pages before `page`,
+ * so the end of the listing is found when starting past the first page
+ * @param {Number} [opts.max=Infinity] maximum number of items to yield
+ */
+function PageIterator (fetchPage, opts) {
+  if (!(this instanceof PageIterator)) return new PageIterator(fetchPage, opts)
+  if (!opts) opts = {}
+  this._fetchPage = fetchPage
+  this._page = opts.page || 0
+  this._max = opts.max == null ? Infinity : opts.max
+  this._buffer = []
+  this._yielded = 0
+  this._fetched = opts.offset || 0
+  this._count = Infinity
+  this._done = false
+  this._pending = Promise.resolve()
+}
+
+PageIterator.prototype.next = function () {
+  var self = this
+  var result = self._pending.then(function () {
+    return self._shift()
+  })
+  self._pending = result.then(noop, noop)
+  return result
+}
+
+PageIterator.prototype.return = function (value) {
+  this._done = true
+  this._buffer = []
+  return Promise.resolve({ value: value, done: true })
+}
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+  PageIterator.prototype[Symbol.asyncIterator] = function () {
+    return this
+  }
+}
+
+PageIterator.prototype._shift = function () {
+  var self = this
+  if (self._done || self._yielded >= self._max) return self.return()
+  if (self._buffer.length) {
+    self._yielded++
+    return { value: self._buffer.shift(), done: false }
+  }
+  if (self._fetched >= self._count) return self.return()
+  return new Promise(function (resolve, reject) {
+    self._fetchPage(self._page, function (err, result) {
+      if (err) {
+        self._done = true
+        return reject(err)
+      }
+      self._page++
+      if (result.count != null) self._count = result.count
+      self._fetched += result.items.length
+      self._buffer = result.items
+      if (!result.items.length) self._done = true
+      resolve(self._shift())
+    })
+  })
+}
+
+function noop () {}
@@ -0,0 +1,34 @@
+module.exports.decode = decode
+
+/**
+ * Decode the payload of a JSON Web Token without checking its signature
+ * @param {string} token JSON Web Token
+ * @returns {Object|null} payload claims, or null if the token is not a JWT
+ */
+function decode (token) {
+  if (typeof token !== 'string') return null
+  var parts = token.split('.')
+  if (parts.length !== 3) return null
+  try {
+    var payload = JSON.parse(base64url(parts[1]))
+    return payload && typeof payload === 'object' ? payload : null
+  } catch (e) {
+    return null
+  }
+}
+
+function base64url (str) {
+  var base64 = str.replace(/-/g, '+').replace(/_/g, '/')
+  while (base64.length % 4) base64 += '='
+  if (typeof atob !== 'function') {
+    return Buffer.from(base64, 'base64').toString('utf8')
+  }
+  return decodeURIComponent(
+    atob(base64)
+      .split('')
+      .map(function (c) {
+        return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2)
+      })
+      .join('')
+  )
+}
@@ -0,0 +1,207 @@
+module.exports = RateLimiter
+
+var lanes = ['high', 'normal', 'low']
+
+/**
+ * Client-side throttle for outgoing requests. A token bucket limits how many
+ * requests start per `interval`, and at most `concurrency` requests are in
+ * flight at once. Requests that have to wait are queued in three priority
+ * lanes, `high`, `normal` and `low`, and the lane with the highest priority
+ * always goes first. Requests in the same lane keep their order.
+ *
+ * Every attempt of a retried request is throttled, while responses from the
+ * cache are not. A limiter may be shared by several clients.
+ * @param {Object|boolean} [opts] options, or `true` for the defaults
+ * @param {Number} [opts.rate=10] requests that may start per `interval`. Pass
+ * `Infinity` to only limit concurrency.
+ * @param {Number} [opts.interval=1000] length of the interval in milliseconds
+ * @param {Number} [opts.burst=rate] requests that may start at once after the
+ * limiter has been idle
+ * @param {Number} [opts.concurrency=4] most requests to have in flight
+ * @example
+ * var client = new RealWorld({
+ *   rateLimit: { rate: 5, interval: 1000, concurrency: 2 }
+ * })
+ * client.getProfile('rick', { priority: 'high' }, handleResponse)
+ */
+function RateLimiter (opts) {
+  if (!(this instanceof RateLimiter)) return new RateLimiter(opts)
+  if (!opts || opts === true) opts = {}
+  this.rate = opts.rate || 10
+  this.interval = opts.interval || 1000
+  this.burst = opts.burst || this.rate
+  this.concurrency = opts.concurrency || 4
+  this._tokens = this.burst
+  this._refilled = Date.now()
+  this._active = 0
+  this._timer = null
+  this._lanes = { high: [], normal: [], low: [] }
+  this._sent = 0
+  this._cancelled = 0
+  this._throttled = 0
+  this._waited = 0
+  this._maxWait = 0
+}
+
+/**
+ * Run a task once the limits allow
+ * @param {Function} task called with no arguments once the request may
+ * start, and returns a Promise of its result
+ * @param {Object} [opts]
+ * @param {string} [opts.priority=normal] lane to wait in: `high`, `normal` or
+ * `low`
+ * @param {AbortSignal} [opts.signal] signal that removes the task from the
+ * queue if it has not started yet
+ * @returns {Promise} result of the task
+ */
+RateLimiter.prototype.schedule = function (task, opts) {
+  if (!opts) opts = {}
+  var self = this
+  var priority = opts.priority || 'normal'
+  if (lanes.indexOf(priority) === -1) {
+    return Promise.reject(
+      new TypeError(`Priority must be high, normal or low, not ${priority}`)
+    )
+  }
+  var signal = opts.signal
+  if (signal && signal.aborted) {
+    return Promise.reject(signal.reason || new Error('Request aborted'))
+  }
+  return new Promise(function (resolve, reject) {
+    var job = {
+      task: task,
+      resolve: resolve,
+      reject: reject,
+      queuedAt: Date.now(),
+      signal: signal,
+      onAbort: null,
+      throttled: false
+    }
+    if (signal) {
+      job.onAbort = function () {
+        var lane = self._lanes[priority]
+        var index = lane.indexOf(job)
+        if (index === -1) return
+        lane.splice(index, 1)
+        self._cancelled++
+        reject(signal.reason || new Error('Request aborted'))
+      }
+      signal.addEventListener('abort', job.onAbort)
+    }
+    self._lanes[priority].push(job)
+    self._pump()
+    job.throttled = true
+  })
+}
+
+/**
+ * Inspect the queue
+ * @returns {Object} metrics with the number of requests `active` (in flight)
+ * and `queued`, the number queued in each of the `lanes`, the `tokens` left in
+ * the bucket, the number of requests `sent`, `throttled` (sent after waiting)
+ * and `cancelled` while queued, and the `averageWait` and `maxWait` in
+ * milliseconds of requests that were sent
+ * @example
+ * var metrics = client.limiter.metrics()
+ * console.log(`${metrics.queued} waiting, ${metrics.lanes.high} of them urgent`)
+ */
+RateLimiter.prototype.metrics = function () {
+  var self = this
+  self._refill()
+  var queued = {}
+  lanes.forEach(function (lane) {
+    queued[lane] = self._lanes[lane].length
+  })
+  return {
+    active: self._active,
+    queued: queued.high + queued.normal + queued.low,
+    lanes: queued,
+    tokens: Math.floor(self._tokens),
+    sent: self._sent,
+    throttled: self._throttled,
+    cancelled: self._cancelled,
+    averageWait: self._sent ? Math.round(self._waited / self._sent) : 0,
+    maxWait: self._maxWait
+  }
+}
+
+RateLimiter.prototype._refill = function () {
+  if (this.rate === Infinity) {
+    this._tokens = Infinity
+    return
+  }
+  var now = Date.now()
+  var elapsed = now - this._refilled
+  this._refilled = now
+  this._tokens = Math.min(
+    this.burst,
+    this._tokens + (elapsed * this.rate) / this.interval
+  )
+}
+
+RateLimiter.prototype._next = function () {
+  for (var i = 0; i < lanes.length; i++) {
+    var lane = this._lanes[lanes[i]]
+    if (lane.length) return lane.shift()
+  }
+  return null
+}
+
+RateLimiter.prototype._pump = function () {
+  var self = this
+  while (self._active < self.concurrency) {
+    self._refill()
+    if (self._tokens < 1) {
+      if (self._hasQueued() && !self._timer) {
+        var wait = Math.ceil(((1 - self._tokens) * self.interval) / self.rate)
+        self._timer = setTimeout(function () {
+          self._timer = null
+          self._pump()
+        }, wait)
+      }
+      return
+    }
+    var job = self._next()
+    if (!job) return
+    self._tokens--
+    self._start(job)
+  }
+}
+
+RateLimiter.prototype._hasQueued = function () {
+  var self = this
+  return lanes.some(function (lane) {
+    return self._lanes[lane].length > 0
+  })
+}
+
+RateLimiter.prototype._start = function (job) {
+  var self = this
+  var waited = Date.now() - job.queuedAt
+  if (job.signal) job.signal.removeEventListener('abort', job.onAbort)
+  self._active++
+  self._sent++
+  self._waited += waited
+  if (job.throttled) self._throttled++
+  if (waited > self._maxWait) self._maxWait = waited
+  var finish = function () {
+    self._active--
+    self._pump()
+  }
+  var result
+  try {
+    result = Promise.resolve(job.task())
+  } catch (err) {
+    result = Promise.reject(err)
+  }
+  result.then(
+    function (value) {
+      finish()
+      job.resolve(value)
+    },
+    function (err) {
+      finish()
+      job.reject(err)
+    }
+  )
+}
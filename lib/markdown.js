@@ -0,0 +1,218 @@
+var remark = require('remark')
+var html = require('remark-html')
+var slug = require('remark-slug')
+var xtend = require('xtend')
+
+module.exports.render = render
+module.exports.excerpt = excerpt
+module.exports.headings = headings
+module.exports.toc = toc
+module.exports.lint = lint
+module.exports.enrich = enrich
+
+var parser = remark().use(slug)
+var renderer = remark().use(slug).use(html, { sanitize: true })
+
+var prefix = 'user-content-'
+var protocols = {
+  href: ['http', 'https', 'mailto'],
+  src: ['http', 'https']
+}
+var blocks = ['root', 'blockquote', 'list', 'listItem', 'table', 'tableRow']
+
+/**
+ * Render Markdown written by users as HTML that is safe to insert into a
+ * page. Raw HTML is removed, and so are scripts, event handlers and links or
+ * images with a protocol other than `http`, `https` or `mailto`. Headings get
+ * an `id` starting with `user-content-` so they can be linked to.
+ * @param {string} markdown article or comment body
+ * @returns {string} sanitized HTML
+ * @example
+ * var markdown = require('realworld-api/markdown')
+ * var data = await client.getArticle('how-to-train-your-dragon')
+ * el.innerHTML = markdown.render(data.article.body)
+ */
+function render (markdown) {
+  return String(renderer.processSync(markdown || ''))
+}
+
+/**
+ * Plain text from the start of a Markdown document, for previews. Headings,
+ * code blocks, images and raw HTML are left out.
+ * @param {string} markdown article or comment body
+ * @param {Number} [length=200] maximum length of the excerpt. Longer text is
+ * cut at the last whole word and ends with `…`
+ * @returns {string} plain text
+ */
+function excerpt (markdown, length) {
+  if (length == null) length = 200
+  var tree = parser.parse(markdown || '')
+  tree.children = tree.children.filter(function (node) {
+    return node.type !== 'heading'
+  })
+  var text = plain(tree).replace(/\s+/g, ' ').trim()
+  if (text.length <= length) return text
+  var cut = text.slice(0, length)
+  var space = cut.lastIndexOf(' ')
+  if (space > 0) cut = cut.slice(0, space)
+  return `${cut.replace(/[\s.,;:!?-]+$/, '')}…`
+}
+
+/**
+ * Headings of a Markdown document in the order they appear
+ * @param {string} markdown article body
+ * @returns {Object[]} headings, each with its `depth` from 1 to 6, its plain
+ * `text` and the `id` it has in the HTML from {@link render}
+ */
+function headings (markdown) {
+  var tree = parser.runSync(parser.parse(markdown || ''))
+  var found = []
+  walk(tree, function (node) {
+    if (node.type !== 'heading') return
+    found.push({
+      depth: node.depth,
+      text: plain(node).trim(),
+      id: `${prefix}${node.data.id}`
+    })
+  })
+  return found
+}
+
+/**
+ * Table of contents of a Markdown document, with each heading nested under
+ * the closest heading before it that has a smaller depth
+ * @param {string} markdown article body
+ * @param {Object} [opts]
+ * @param {Number} [opts.maxDepth=6] leave out headings deeper than this
+ * @returns {Object[]} top level headings as from {@link headings}, each with
+ * its nested `children`
+ * @example
+ * function list (items) {
+ *   return `<ul>${items.map(function (item) {
+ *     return `<li><a href="#${item.id}">${escape(item.text)}</a>${list(item.children)}</li>`
+ *   }).join('')}</ul>`
+ * }
+ * nav.innerHTML = list(markdown.toc(article.body, { maxDepth: 3 }))
+ */
+function toc (markdown, opts) {
+  var maxDepth = (opts && opts.maxDepth) || 6
+  var root = { depth: 0, children: [] }
+  var stack = [root]
+  headings(markdown).forEach(function (heading) {
+    if (heading.depth > maxDepth) return
+    var entry = xtend(heading, { children: [] })
+    while (stack[stack.length - 1].depth >= entry.depth) stack.pop()
+    stack[stack.length - 1].children.push(entry)
+    stack.push(entry)
+  })
+  return root.children
+}
+
+/**
+ * Find problems in a Markdown document before it is published
+ *
+ * - `html`: raw HTML, which {@link render} removes
+ * - `unsafe-url`: a link or image whose URL {@link render} removes because
+ *   its protocol is not `http`, `https` or (for links) `mailto`, such as
+ *   `javascript:` written as `java&#x09;script:`
+ * - `empty-link`: a link without text or without a URL
+ * - `image-alt`: an image without alt text
+ * - `heading-increment`: a heading more than one level deeper than the
+ *   heading before it
+ * @param {string} markdown article body
+ * @returns {Object[]} problems, each with the `rule` it breaks, a `message`
+ * and the `line` and `column` where it starts
+ */
+function lint (markdown) {
+  var problems = []
+  var depth = 0
+  var add = function (node, rule, message) {
+    var start = node.position.start
+    problems.push({
+      rule: rule,
+      message: message,
+      line: start.line,
+      column: start.column
+    })
+  }
+  walk(parser.parse(markdown || ''), function (node) {
+    switch (node.type) {
+      case 'html':
+        add(node, 'html', 'has HTML that will be removed')
+        break
+      case 'heading':
+        if (depth && node.depth > depth + 1) {
+          add(node, 'heading-increment', `skips from h${depth} to h${node.depth}`)
+        }
+        depth = node.depth
+        break
+      case 'link':
+      case 'definition':
+        if (!node.url) add(node, 'empty-link', 'has a link without a URL')
+        else if (!safe(node.url, protocols.href)) add(node, 'unsafe-url', `links to an unsafe URL: ${node.url}`)
+        if (node.type === 'link' && !plain(node).trim()) {
+          add(node, 'empty-link', 'has a link without text')
+        }
+        break
+      case 'image':
+        if (node.url && !safe(node.url, protocols.src)) add(node, 'unsafe-url', `embeds an unsafe URL: ${node.url}`)
+        if (!node.alt) add(node, 'image-alt', 'has an image without alt text')
+        break
+      case 'imageReference':
+        if (!node.alt) add(node, 'image-alt', 'has an image without alt text')
+        break
+    }
+  })
+  return problems
+}
+
+/**
+ * Copy of response data with a `bodyHtml` rendered from the `body` of every
+ * article and comment in it. The client calls it on every response when it
+ * has these helpers as its `markdown` option.
+ * @param {Object} data response data
+ * @returns {Object} data with rendered bodies
+ */
+function enrich (data) {
+  if (!data || typeof data !== 'object') return data
+  var add = function (entity) {
+    if (!entity || typeof entity.body !== 'string') return entity
+    return xtend(entity, { bodyHtml: render(entity.body) })
+  }
+  var changes = {}
+  ;['article', 'comment'].forEach(function (key) {
+    if (data[key]) changes[key] = add(data[key])
+  })
+  ;['articles', 'comments'].forEach(function (key) {
+    if (Array.isArray(data[key])) changes[key] = data[key].map(add)
+  })
+  return Object.keys(changes).length ? xtend(data, changes) : data
+}
+
+// Same check as the sanitizer of `render`, on the URL with its character
+// references already decoded by the parser
+function safe (url, allowed) {
+  var first = url.charAt(0)
+  if (first === '#' || first === '/') return true
+  var colon = url.indexOf(':')
+  if (colon === -1 || allowed.indexOf(url.slice(0, colon)) !== -1) return true
+  var query = url.indexOf('?')
+  var hash = url.indexOf('#')
+  return (query !== -1 && colon > query) || (hash !== -1 && colon > hash)
+}
+
+function plain (node) {
+  if (node.type === 'text' || node.type === 'inlineCode') return node.value
+  if (node.type === 'code' || node.type === 'html' || !node.children) return ' '
+  var block = blocks.indexOf(node.type) !== -1
+  return node.children.map(plain).join(block ? ' ' : '')
+}
+
+function walk (node, fn) {
+  fn(node)
+  if (node.children) {
+    node.children.forEach(function (child) {
+      walk(child, fn)
+    })
+  }
+}
@@ -0,0 +1,129 @@
+module.exports = Metrics
+module.exports.endpoint = endpoint
+module.exports.redact = redact
+
+var defaultBuckets = [50, 100, 250, 500, 1000, 2500, 5000]
+
+/**
+ * Counters and latency histograms for the calls a client makes, kept per
+ * endpoint such as `GET /articles/:slug`. Record a trace with `record` and
+ * read the numbers with `snapshot`.
+ * @param {Object|boolean} [opts] options, or `true` for the defaults
+ * @param {Number[]} [opts.buckets=[50, 100, 250, 500, 1000, 2500, 5000]]
+ * upper bounds in milliseconds of the latency histogram buckets. Slower calls
+ * are counted in a last bucket without a bound.
+ * @example
+ * var client = new RealWorld({ metrics: true })
+ * setInterval(function () {
+ *   forward(client.metrics.snapshot())
+ *   client.metrics.reset()
+ * }, 60000)
+ */
+function Metrics (opts) {
+  if (!(this instanceof Metrics)) return new Metrics(opts)
+  if (!opts || opts === true) opts = {}
+  this.buckets = (opts.buckets || defaultBuckets).slice().sort(function (a, b) {
+    return a - b
+  })
+  this._endpoints = {}
+}
+
+/**
+ * Count a finished call
+ * @param {Object} trace trace of the call, as emitted by the client's `trace`
+ * event
+ */
+Metrics.prototype.record = function (trace) {
+  var stats = this._endpoints[trace.endpoint]
+  if (!stats) {
+    stats = this._endpoints[trace.endpoint] = {
+      count: 0,
+      errors: 0,
+      retries: 0,
+      cached: 0,
+      deduped: 0,
+      statuses: {},
+      latency: {
+        sum: 0,
+        min: Infinity,
+        max: 0,
+        buckets: this.buckets.concat(Infinity).map(function (le) {
+          return { le: le, count: 0 }
+        })
+      }
+    }
+  }
+  stats.count++
+  if (trace.error) stats.errors++
+  stats.retries += trace.retries
+  if (trace.cached) stats.cached++
+  if (trace.deduped) stats.deduped++
+  if (trace.status) stats.statuses[trace.status] = (stats.statuses[trace.status] || 0) + 1
+  var latency = stats.latency
+  latency.sum += trace.duration
+  latency.min = Math.min(latency.min, trace.duration)
+  latency.max = Math.max(latency.max, trace.duration)
+  for (var i = 0; i < latency.buckets.length; i++) {
+    if (trace.duration <= latency.buckets[i].le) {
+      latency.buckets[i].count++
+      break
+    }
+  }
+}
+
+/**
+ * Copy of the numbers recorded so far
+ * @returns {Object} stats keyed by endpoint. Each has the `count` of calls,
+ * the number of `errors`, `retries`, `cached` and `deduped` responses, the
+ * count of each response status in `statuses`, and the `latency` with its
+ * `sum`, `min` and `max` in milliseconds and its `buckets`. Each bucket has
+ * the upper bound `le` and the `count` of calls that took longer than the
+ * previous bound and at most `le`.
+ */
+Metrics.prototype.snapshot = function () {
+  return JSON.parse(JSON.stringify(this._endpoints, function (key, value) {
+    return value === Infinity ? null : value
+  }))
+}
+
+/**
+ * Forget the numbers recorded so far
+ */
+Metrics.prototype.reset = function () {
+  this._endpoints = {}
+}
+
+/**
+ * Name of the endpoint a request was sent to, with the slug, username and
+ * comment id replaced by placeholders and the query string removed
+ * @param {string} method HTTP method of the request
+ * @param {string} path path of the request, relative to the API root
+ * @returns {string} endpoint such as `DELETE /articles/:slug/comments/:id`
+ */
+function endpoint (method, path) {
+  var parts = path.split('?')[0].split('/')
+  if (parts[1] === 'profiles' && parts[2]) parts[2] = ':username'
+  if (parts[1] === 'articles' && parts[2] && parts[2] !== 'feed') {
+    parts[2] = ':slug'
+    if (parts[3] === 'comments' && parts[4]) parts[4] = ':id'
+  }
+  return `${method} ${parts.join('/')}`
+}
+
+/**
+ * Copy of request headers that is safe to log, with the token hidden
+ * @param {Object} headers request headers
+ * @returns {Object} headers with `Authorization` redacted
+ */
+function redact (headers) {
+  var result = {}
+  Object.keys(headers || {}).forEach(function (name) {
+    var value = headers[name]
+    if (/^authorization$/i.test(name) && value) {
+      var scheme = /^\S+\s+/.exec(value)
+      value = `${scheme ? scheme[0] : ''}[redacted]`
+    }
+    result[name] = value
+  })
+  return result
+}
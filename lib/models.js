@@ -0,0 +1,194 @@
+module.exports.Article = Article
+module.exports.Profile = Profile
+module.exports.Comment = Comment
+module.exports.hydrate = hydrate
+
+/**
+ * An article bound to the client that fetched it. Has every field of the
+ * article from the RealWorld API, with `author` as a {@link Profile} and
+ * `createdAt` and `updatedAt` as `Date` objects.
+ * @param {RealWorld} client client the article belongs to
+ * @param {Object} data article from the RealWorld API
+ * @example
+ * var client = new RealWorld({ models: true, dataOnly: true })
+ * var data = await client.getArticle('angular-app-dev-e33mn9')
+ * await data.article.favorite()
+ * var comments = await data.article.comments()
+ */
+function Article (client, data) {
+  if (!(this instanceof Article)) return new Article(client, data)
+  bind(this, client, data)
+  if (data.author) this.author = new Profile(client, data.author)
+  dates(this, ['createdAt', 'updatedAt'])
+}
+
+/**
+ * Favorite the article (authentication required)
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
+ */
+Article.prototype.favorite = function (options, cb) {
+  return this.client.favoriteArticle(this.slug, options, cb)
+}
+
+/**
+ * Unfavorite the article (authentication required)
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
+ */
+Article.prototype.unfavorite = function (options, cb) {
+  return this.client.unFavoriteArticle(this.slug, options, cb)
+}
+
+/**
+ * Update the article (authentication required)
+ * @param {Object} opts fields to update, as for `updateArticle`
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
+ */
+Article.prototype.update = function (opts, options, cb) {
+  return this.client.updateArticle(this.slug, opts, options, cb)
+}
+
+/**
+ * Delete the article (authentication required)
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
+ */
+Article.prototype.delete = function (options, cb) {
+  return this.client.deleteArticle(this.slug, options, cb)
+}
+
+/**
+ * Get the comments on the article
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
+ */
+Article.prototype.comments = function (options, cb) {
+  return this.client.getComments(this.slug, options, cb)
+}
+
+/**
+ * Add a comment to the article (authentication required)
+ * @param {Object} opts comment, as for `addComment`
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
+ */
+Article.prototype.addComment = function (opts, options, cb) {
+  return this.client.addComment(this.slug, opts, options, cb)
+}
+
+/**
+ * A user profile bound to the client that fetched it
+ * @param {RealWorld} client client the profile belongs to
+ * @param {Object} data profile from the RealWorld API
+ */
+function Profile (client, data) {
+  if (!(this instanceof Profile)) return new Profile(client, data)
+  bind(this, client, data)
+}
+
+/**
+ * Follow the user (authentication required)
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
+ */
+Profile.prototype.follow = function (options, cb) {
+  return this.client.followUser(this.username, options, cb)
+}
+
+/**
+ * Unfollow the user (authentication required)
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
+ */
+Profile.prototype.unfollow = function (options, cb) {
+  return this.client.unFollowUser(this.username, options, cb)
+}
+
+/**
+ * Request the articles written by the user
+ * @param {Number} [page=0] specify which page of articles to show
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
+ */
+Profile.prototype.articles = function (page, options, cb) {
+  return this.client.listArticlesByAuthor(this.username, page, options, cb)
+}
+
+/**
+ * A comment bound to the client that fetched it and the article it was made
+ * on, with `author` as a {@link Profile} and `createdAt` and `updatedAt` as
+ * `Date` objects
+ * @param {RealWorld} client client the comment belongs to
+ * @param {Object} data comment from the RealWorld API
+ * @param {string} slug shortname (slug) of the article the comment is on
+ */
+function Comment (client, data, slug) {
+  if (!(this instanceof Comment)) return new Comment(client, data, slug)
+  bind(this, client, data)
+  Object.defineProperty(this, 'slug', { value: slug, writable: true })
+  if (data.author) this.author = new Profile(client, data.author)
+  dates(this, ['createdAt', 'updatedAt'])
+}
+
+/**
+ * Delete the comment (authentication required)
+ * @param {RealWorld~requestOptions} [options] options for this call
+ * @param {RealWorld~requestCallback} [cb] Callback function
+ */
+Comment.prototype.delete = function (options, cb) {
+  return this.client.deleteComment(this.slug, this.id, options, cb)
+}
+
+/**
+ * Replace the articles, profiles and comments in a response with models.
+ * Anything that is not an object is left as it is.
+ * @param {RealWorld} client client the models belong to
+ * @param {Object} data data result from the server as JSON
+ * @param {string} path path that was requested, relative to the API root
+ * @returns {Object} copy of `data` holding models
+ */
+function hydrate (client, data, path) {
+  if (!data || typeof data !== 'object') return data
+  var match = /^\/articles\/([^/?]+)\/comments/.exec(path)
+  var slug = match && decodeURIComponent(match[1])
+  var result = {}
+  Object.keys(data).forEach(function (key) {
+    var value = data[key]
+    if (key === 'article' && entity(value)) {
+      value = new Article(client, value)
+    } else if (key === 'articles' && Array.isArray(value)) {
+      value = value.map(function (article) {
+        return entity(article) ? new Article(client, article) : article
+      })
+    } else if (key === 'profile' && entity(value)) {
+      value = new Profile(client, value)
+    } else if (key === 'comment' && entity(value)) {
+      value = new Comment(client, value, slug)
+    } else if (key === 'comments' && Array.isArray(value)) {
+      value = value.map(function (comment) {
+        return entity(comment) ? new Comment(client, comment, slug) : comment
+      })
+    }
+    result[key] = value
+  })
+  return result
+}
+
+function entity (value) {
+  return value !== null && typeof value === 'object'
+}
+
+function bind (model, client, data) {
+  Object.defineProperty(model, 'client', { value: client, writable: true })
+  Object.keys(data).forEach(function (key) {
+    model[key] = data[key]
+  })
+}
+
+function dates (model, keys) {
+  keys.forEach(function (key) {
+    if (typeof model[key] === 'string') model[key] = new Date(model[key])
+  })
+}
@@ -0,0 +1,267 @@
+var errors = require('./errors')
+var memoryStorage = require('./storage/memory')
+
+module.exports = OfflineQueue
+
+/**
+ * Queue of mutations that could not be sent, such as while the device is
+ * offline. Creating, updating and deleting articles and comments, favoriting
+ * and following are queued when their request fails because the server
+ * cannot be reached, such as with an `ECONNREFUSED` or `ENETWORK` error. The call still fails, with an `OfflineError`, and the mutation is
+ * saved to storage and replayed in order once the client is back online.
+ *
+ * Favoriting and then unfavoriting the same article, or following and then
+ * unfollowing the same user, cancel each other out in the queue.
+ *
+ * The client emits these events:
+ *
+ * - `offline:queued` with the queued entry
+ * - `offline:replayed` with the entry, response and data result once an entry
+ *   is sent successfully
+ * - `offline:conflict` with the error and the entry when the server rejects a
+ *   replayed entry, such as a 404 for an article deleted in the meantime, or
+ *   it fails for a reason other than the network. The entry is dropped.
+ * - `offline:error` with the error when the queue cannot be loaded or saved
+ * @param {RealWorld} client client to send the mutations with
+ * @param {Object|boolean} [opts] options, or `true` for the defaults
+ * @param {Object} [opts.storage=RealWorld.storage.memory()] storage adapter
+ * the queue is saved to and restored from. Give it a different key or path
+ * than the session storage.
+ * @param {boolean} [opts.listen=true] replay the queue when the browser fires
+ * an `online` event, until {@link OfflineQueue#destroy} is called. The queue
+ * is also replayed after any request to the server succeeds.
+ * @example
+ * var client = new RealWorld({
+ *   offline: {
+ *     storage: RealWorld.storage.localStorage({ key: 'realworld-offline' })
+ *   }
+ * })
+ * client.on('offline:conflict', function (err, entry) {
+ *   console.log(`could not ${entry.method} ${entry.url}: ${err.message}`)
+ * })
+ */
+function OfflineQueue (client, opts) {
+  if (!(this instanceof OfflineQueue)) return new OfflineQueue(client, opts)
+  if (!opts || opts === true) opts = {}
+  var self = this
+  this.client = client
+  this.storage = opts.storage || memoryStorage()
+  this.entries = []
+  this._nextId = 1
+  this._replaying = null
+  this._online = null
+  this.ready = this.restore().catch(function (err) {
+    client._emit('offline:error', err)
+    return self
+  })
+  if (opts.listen !== false && typeof global.addEventListener === 'function') {
+    this._online = function () {
+      self.replay()
+    }
+    global.addEventListener('online', this._online)
+  }
+}
+
+/**
+ * Stop listening for `online` events. The queue keeps its entries and can
+ * still be replayed by hand.
+ */
+OfflineQueue.prototype.destroy = function () {
+  if (!this._online) return
+  global.removeEventListener('online', this._online)
+  this._online = null
+}
+
+/**
+ * Restore the queue saved in storage. Entries queued before it is restored
+ * are kept after the saved ones.
+ * @returns {Promise<OfflineQueue>} resolves once the queue is restored
+ */
+OfflineQueue.prototype.restore = function () {
+  var self = this
+  var saved
+  try {
+    saved = self.storage.load()
+  } catch (err) {
+    return Promise.reject(err)
+  }
+  if (saved && typeof saved.then === 'function') return saved.then(apply)
+  return Promise.resolve(apply(saved))
+
+  function apply (saved) {
+    if (!Array.isArray(saved)) return self
+    self.entries = saved.concat(self.entries)
+    self.entries.forEach(function (entry) {
+      if (entry.id >= self._nextId) self._nextId = entry.id + 1
+    })
+    return self
+  }
+}
+
+/**
+ * Add a mutation to the queue, or drop it along with a queued mutation it
+ * cancels out
+ * @param {string} method HTTP method of the request
+ * @param {string} url URL of the request, relative to the API root
+ * @param {Object} [body] body of the request
+ * @returns {Object|null} the queued entry with its `id`, `method`, `url`,
+ * `body` and `queuedAt` time, or null if the mutation cancelled out
+ */
+OfflineQueue.prototype.enqueue = function (method, url, body) {
+  var entries = this.entries
+  if (toggle.test(url)) {
+    for (var i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].url !== url) continue
+      if (entries[i].method === method) return entries[i]
+      entries.splice(i, 1)
+      this._save()
+      return null
+    }
+  }
+  var entry = {
+    id: this._nextId++,
+    method: method,
+    url: url,
+    body: body,
+    queuedAt: new Date().toISOString()
+  }
+  entries.push(entry)
+  this._save()
+  this.client._emit('offline:queued', entry)
+  return entry
+}
+
+/**
+ * Send the queued mutations in order, one at a time. Replaying stops, and
+ * keeps the rest of the queue, when the server still cannot be reached, when
+ * it answers with a 5xx or 401 status, or when a request times out.
+ * @returns {Promise<Object[]>} one result for each entry that was sent, with
+ * the `entry`, whether it is `ok`, the response `status`, and the `data`
+ * result or the `error` it was rejected with
+ */
+OfflineQueue.prototype.replay = function () {
+  var self = this
+  if (self._replaying) return self._replaying
+  var results = []
+  var next = function () {
+    var entry = self.entries[0]
+    if (!entry) return results
+    return self._send(entry).then(function (result) {
+      if (!result) return results
+      var index = self.entries.indexOf(entry)
+      if (index !== -1) self.entries.splice(index, 1)
+      var res = result.res
+      delete result.res
+      results.push(result)
+      return self._save().then(function () {
+        if (result.ok) {
+          self.client._emit('offline:replayed', entry, res, result.data)
+        } else {
+          self.client._emit('offline:conflict', result.error, entry)
+        }
+        return next()
+      })
+    })
+  }
+  self._replaying = self.ready.then(next).then(function (results) {
+    self._replaying = null
+    return results
+  })
+  return self._replaying
+}
+
+var toggle = /\/(favorite|follow)$/
+
+var networkCodes = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ENETWORK'
+]
+
+var unreachable = function (err) {
+  return !!err && networkCodes.indexOf(err.code) !== -1
+}
+
+var transient = function (err) {
+  return (
+    unreachable(err) ||
+    err instanceof errors.ServerError ||
+    err instanceof errors.UnauthorizedError ||
+    err instanceof errors.TimeoutError
+  )
+}
+
+OfflineQueue.prototype._accepts = function (method, url, options) {
+  if (options && options.offline === false) return false
+  return method !== 'GET' && /^\/(articles|profiles)(\/|$)/.test(url)
+}
+
+OfflineQueue.prototype._capture = function (method, url, body, err, options) {
+  if (!unreachable(err)) return err
+  if (!this._accepts(method, url, options)) return err
+  var entry = this.enqueue(method, url, body)
+  return new errors.OfflineError(
+    `Queued ${method} ${url} to send once back online`,
+    {
+      method: method,
+      url: `${this.client.apiRoot}${url}`,
+      cause: err,
+      entry: entry
+    }
+  )
+}
+
+OfflineQueue.prototype._resume = function () {
+  if (this.entries.length && !this._replaying) this.replay()
+}
+
+OfflineQueue.prototype._send = function (entry) {
+  var client = this.client
+  var req = { method: entry.method, url: `${client.apiRoot}${entry.url}` }
+  return new Promise(function (resolve) {
+    client._request(
+      entry.method,
+      entry.url,
+      entry.body,
+      { offline: false, priority: 'low' },
+      function (err, res, data) {
+        if (!err) err = errors.fromResponse(req, res, data)
+        if (err && transient(err)) return resolve(null)
+        var status = res && res.statusCode
+        resolve(
+          err
+            ? { entry: entry, ok: false, status: status, error: err }
+            : { entry: entry, ok: true, status: status, data: data, res: res }
+        )
+      }
+    )
+  })
+}
+
+OfflineQueue.prototype._save = function () {
+  var self = this
+  var result
+  try {
+    result = self.entries.length
+      ? self.storage.save(self.entries)
+      : self.storage.clear()
+  } catch (err) {
+    self.client._emit('offline:error', err)
+    return Promise.resolve(self)
+  }
+  return Promise.resolve(result).then(
+    function () {
+      return self
+    },
+    function (err) {
+      self.client._emit('offline:error', err)
+      return self
+    }
+  )
+}
@@ -0,0 +1,127 @@
+module.exports = RetryPolicy
+
+/**
+ * Retry policy for transient failures. Failed requests are sent again after
+ * an exponential backoff, honoring the `Retry-After` header when the server
+ * sends one. Only `GET` requests are retried unless other methods are listed
+ * in `methods`.
+ * @param {Object|boolean} [opts] options, or `true` for the defaults
+ * @param {Number} [opts.attempts=3] maximum number of attempts, including the
+ * first
+ * @param {Number} [opts.minDelay=100] delay in milliseconds before the first
+ * retry
+ * @param {Number} [opts.maxDelay=30000] longest delay in milliseconds between
+ * attempts
+ * @param {Number} [opts.factor=2] multiplier applied to the delay after each
+ * attempt
+ * @param {boolean} [opts.jitter=true] randomize each delay between zero and
+ * the computed backoff
+ * @param {string[]} [opts.methods=['GET']] HTTP methods that may be retried
+ * @param {Number[]} [opts.statusCodes=[408, 429, 500, 502, 503, 504]]
+ * response status codes that are retried
+ * @param {string[]} [opts.errorCodes] network error codes that are retried,
+ * such as `ECONNRESET`. The built-in transports give network errors without
+ * a known cause the code `ENETWORK`.
+ * @param {Function} [opts.shouldRetry] called as `shouldRetry(err, res, req)`
+ * to decide whether to retry instead of `statusCodes` and `errorCodes`
+ */
+function RetryPolicy (opts) {
+  if (!(this instanceof RetryPolicy)) return new RetryPolicy(opts)
+  if (!opts || opts === true) opts = {}
+  this.attempts = opts.attempts || 3
+  this.minDelay = opts.minDelay != null ? opts.minDelay : 100
+  this.maxDelay = opts.maxDelay != null ? opts.maxDelay : 30000
+  this.factor = opts.factor || 2
+  this.jitter = opts.jitter !== false
+  this.methods = (opts.methods || ['GET']).map(function (method) {
+    return method.toUpperCase()
+  })
+  this.statusCodes = opts.statusCodes || [408, 429, 500, 502, 503, 504]
+  this.errorCodes = opts.errorCodes || [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'ENETWORK'
+  ]
+  this._shouldRetry = opts.shouldRetry
+}
+
+/**
+ * Send a request, retrying it according to the policy
+ * @param {Object} req request to send
+ * @param {Function} send called as `send(req)` and returns a Promise of the
+ * response
+ * @returns {Promise<Object>} the last response. Rejects with the last error
+ * if no response was received. No further attempts are made once
+ * `req.signal` is aborted, and a pending backoff is cancelled.
+ */
+RetryPolicy.prototype.run = function (req, send) {
+  var self = this
+  var attempt = 1
+  function tryAgain () {
+    if (req.signal && req.signal.aborted) {
+      return Promise.reject(req.signal.reason || new Error('Request aborted'))
+    }
+    return send(req).then(
+      function (res) {
+        if (!self._retryable(req, null, res, attempt)) return res
+        return wait(self.delay(attempt++, res), req.signal).then(tryAgain)
+      },
+      function (err) {
+        if (!self._retryable(req, err, null, attempt)) throw err
+        return wait(self.delay(attempt++), req.signal).then(tryAgain)
+      }
+    )
+  }
+  return tryAgain()
+}
+
+/**
+ * Milliseconds to wait before the next attempt
+ * @param {Number} attempt number of attempts made so far
+ * @param {Object} [res] last response, checked for a `Retry-After` header
+ * @returns {Number} delay in milliseconds
+ */
+RetryPolicy.prototype.delay = function (attempt, res) {
+  var after = retryAfter(res)
+  if (after != null) return Math.min(after, this.maxDelay)
+  var backoff = Math.min(
+    this.minDelay * Math.pow(this.factor, attempt - 1),
+    this.maxDelay
+  )
+  return this.jitter ? Math.round(Math.random() * backoff) : backoff
+}
+
+RetryPolicy.prototype._retryable = function (req, err, res, attempt) {
+  if (attempt >= this.attempts) return false
+  if (this.methods.indexOf(req.method.toUpperCase()) === -1) return false
+  if (this._shouldRetry) return !!this._shouldRetry(err, res, req)
+  if (err) return this.errorCodes.indexOf(err.code) !== -1
+  return this.statusCodes.indexOf(res.statusCode) !== -1
+}
+
+function retryAfter (res) {
+  var value = res && res.headers && res.headers['retry-after']
+  if (!value) return null
+  if (/^\d+$/.test(value)) return Number(value) * 1000
+  var date = Date.parse(value)
+  if (isNaN(date)) return null
+  return Math.max(date - Date.now(), 0)
+}
+
+function wait (ms, signal) {
+  return new Promise(function (resolve, reject) {
+    var abort = function () {
+      clearTimeout(timer)
+      reject(signal.reason || new Error('Request aborted'))
+    }
+    var timer = setTimeout(function () {
+      if (signal) signal.removeEventListener('abort', abort)
+      resolve()
+    }, ms)
+    if (signal) signal.addEventListener('abort', abort)
+  })
+}
@@ -0,0 +1,279 @@
+var errors = require('./errors')
+
+/**
+ * Request body schemas from the RealWorld API spec, keyed by method name.
+ * Each field describes its `type`, whether it is `required`, whether it may
+ * be `nullable`, the type of its `items` for arrays and an optional `format`.
+ */
+var schemas = {
+  login: {
+    email: { type: 'string', required: true },
+    password: { type: 'string', required: true }
+  },
+  register: {
+    username: { type: 'string', required: true },
+    email: { type: 'string', required: true },
+    password: { type: 'string', required: true }
+  },
+  updateUser: {
+    email: { type: 'string' },
+    username: { type: 'string' },
+    password: { type: 'string' },
+    bio: { type: 'string', nullable: true },
+    image: { type: 'string', nullable: true, format: 'url' }
+  },
+  createArticle: {
+    title: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    body: { type: 'string', required: true },
+    tagList: { type: 'array', items: 'string' }
+  },
+  updateArticle: {
+    title: { type: 'string' },
+    description: { type: 'string' },
+    body: { type: 'string' }
+  },
+  addComment: {
+    body: { type: 'string', required: true }
+  }
+}
+
+/**
+ * Shapes of the entities in responses from the RealWorld API spec. Each field
+ * is a type name, a type name ending in `?` for nullable fields, the name of
+ * another shape, or an array holding the type of its items.
+ */
+var shapes = {
+  user: {
+    email: 'string',
+    token: 'string',
+    username: 'string',
+    bio: 'string?',
+    image: 'string?'
+  },
+  profile: {
+    username: 'string',
+    bio: 'string?',
+    image: 'string?',
+    following: 'boolean'
+  },
+  article: {
+    slug: 'string',
+    title: 'string',
+    description: 'string',
+    body: 'string',
+    tagList: ['string'],
+    createdAt: 'date',
+    updatedAt: 'date',
+    favorited: 'boolean',
+    favoritesCount: 'number',
+    author: 'profile'
+  },
+  comment: {
+    id: 'id',
+    createdAt: 'date',
+    updatedAt: 'date',
+    body: 'string',
+    author: 'profile'
+  }
+}
+
+module.exports.schemas = schemas
+module.exports.shapes = shapes
+module.exports.validate = validate
+module.exports.check = check
+module.exports.validateShape = validateShape
+module.exports.validateResponse = validateResponse
+module.exports.checkResponse = checkResponse
+
+/**
+ * Validate a request body against the schema of a method
+ * @param {string} name name of the method, such as `createArticle`
+ * @param {Object} value request body to validate
+ * @returns {Object|null} field problems in the same form as a 422 response,
+ * such as `{ title: ["can't be blank"] }`, or null if the body is valid
+ */
+function validate (name, value) {
+  var schema = schemas[name]
+  var problems = {}
+  var add = function (field, message) {
+    problems[field] = (problems[field] || []).concat(message)
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    add('body', 'must be an object')
+    return problems
+  }
+  Object.keys(value).forEach(function (field) {
+    if (!schema[field]) add(field, 'is not allowed')
+  })
+  Object.keys(schema).forEach(function (field) {
+    var rule = schema[field]
+    var v = value[field]
+    if (v === undefined || v === '') {
+      if (rule.required) add(field, "can't be blank")
+      return
+    }
+    if (v === null) {
+      if (!rule.nullable) add(field, "can't be null")
+      return
+    }
+    if (rule.type === 'array') {
+      if (!Array.isArray(v)) return add(field, 'must be an array')
+      var wrong = v.some(function (item) {
+        return typeof item !== rule.items
+      })
+      if (wrong) add(field, `must be an array of ${rule.items}s`)
+      return
+    }
+    if (typeof v !== rule.type) return add(field, `must be a ${rule.type}`)
+    if (rule.format === 'url' && !isUrl(v)) add(field, 'must be a URL')
+  })
+  return Object.keys(problems).length ? problems : null
+}
+
+/**
+ * Validate a request body and create an error describing any problems
+ * @param {string} name name of the method, such as `createArticle`
+ * @param {Object} value request body to validate
+ * @returns {SchemaError|null} error listing each field problem, or null if the
+ * body is valid
+ */
+function check (name, value) {
+  var problems = validate(name, value)
+  if (!problems) return null
+  var fields = Object.keys(problems).map(function (field) {
+    return `${field} ${problems[field].join(', ')}`
+  })
+  return new errors.SchemaError(`Invalid ${name}: ${fields.join('; ')}`, {
+    data: { errors: problems }
+  })
+}
+
+function isUrl (value) {
+  return /^https?:\/\/[^\s/$.?#][^\s]*$/i.test(value)
+}
+
+/**
+ * Validate an entity against its response shape
+ * @param {string} name name of the shape, such as `article`
+ * @param {*} value entity to validate
+ * @param {string} [path=name] path of the entity used in the problems
+ * @returns {Object|null} problems keyed by the path of each field, such as
+ * `{ 'article.author.following': ['is not a boolean'] }`, or null if the
+ * entity has the right shape
+ */
+function validateShape (name, value, path) {
+  var problems = {}
+  shape(value, name, path || name, problems)
+  return Object.keys(problems).length ? problems : null
+}
+
+/**
+ * Validate a response body against the shapes of the entities it holds. The
+ * `user`, `profile`, `article`, `articles`, `comment`, `comments` and `tags`
+ * keys are checked, and `articlesCount` must go with `articles`. Other keys
+ * are ignored.
+ * @param {Object} data data result from the server as JSON
+ * @returns {Object|null} problems keyed by the path of each field, or null if
+ * the response has the right shape
+ */
+function validateResponse (data) {
+  var problems = {}
+  if (!data || typeof data !== 'object') {
+    add(problems, 'body', 'is not an object')
+    return problems
+  }
+  ;['user', 'profile', 'article', 'comment'].forEach(function (name) {
+    if (data[name] !== undefined) shape(data[name], name, name, problems)
+  })
+  if (data.articles !== undefined) {
+    list(data.articles, 'article', 'articles', problems)
+    if (typeof data.articlesCount !== 'number') {
+      add(problems, 'articlesCount', 'is not a number')
+    }
+  }
+  if (data.comments !== undefined) {
+    list(data.comments, 'comment', 'comments', problems)
+  }
+  if (data.tags !== undefined) field(data.tags, ['string'], 'tags', problems)
+  return Object.keys(problems).length ? problems : null
+}
+
+/**
+ * Validate a response body and create an error describing any problems
+ * @param {Object} req options the request was sent with
+ * @param {Object} res response object from the server
+ * @param {Object} data data result from the server as JSON
+ * @returns {ResponseShapeError|null} error listing each field problem, or
+ * null if the response has the right shape
+ */
+function checkResponse (req, res, data) {
+  var problems = validateResponse(data)
+  if (!problems) return null
+  var fields = Object.keys(problems).map(function (path) {
+    return `${path} ${problems[path].join(', ')}`
+  })
+  return new errors.ResponseShapeError(
+    `${req.method} ${req.url} answered with an invalid body: ${fields.join('; ')}`,
+    {
+      status: res.statusCode,
+      url: req.url,
+      method: req.method,
+      res: res,
+      data: data,
+      errors: problems
+    }
+  )
+}
+
+function add (problems, path, message) {
+  problems[path] = (problems[path] || []).concat(message)
+}
+
+function list (value, name, path, problems) {
+  if (!Array.isArray(value)) return add(problems, path, 'is not an array')
+  value.forEach(function (item, i) {
+    shape(item, name, `${path}[${i}]`, problems)
+  })
+}
+
+function shape (value, name, path, problems) {
+  if (value === undefined) return add(problems, path, 'is missing')
+  if (!value || typeof value !== 'object') {
+    return add(problems, path, 'is not an object')
+  }
+  var fields = shapes[name]
+  Object.keys(fields).forEach(function (key) {
+    field(value[key], fields[key], `${path}.${key}`, problems)
+  })
+}
+
+function field (value, type, path, problems) {
+  if (Array.isArray(type)) {
+    if (!Array.isArray(value)) return add(problems, path, 'is not an array')
+    var wrong = value.some(function (item) {
+      return typeof item !== type[0]
+    })
+    if (wrong) add(problems, path, `is not an array of ${type[0]}s`)
+    return
+  }
+  if (shapes[type]) return shape(value, type, path, problems)
+  var nullable = /\?$/.test(type)
+  type = type.replace(/\?$/, '')
+  if (value === undefined) return add(problems, path, 'is missing')
+  if (value === null) {
+    if (!nullable) add(problems, path, 'is null')
+    return
+  }
+  if (type === 'id') {
+    if (typeof value !== 'number' && typeof value !== 'string') {
+      add(problems, path, 'is not a number or string')
+    }
+  } else if (type === 'date') {
+    if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+      add(problems, path, 'is not a date')
+    }
+  } else if (typeof value !== type) {
+    add(problems, path, `is not a ${type}`)
+  }
+}
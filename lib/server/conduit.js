@@ -0,0 +1,581 @@
+var crypto = require('crypto')
+
+module.exports = Conduit
+
+/**
+ * In-memory Conduit backend that follows the RealWorld API spec: users with
+ * signed JSON Web Tokens, profiles and follows, articles with slugs, tags,
+ * favorites and feeds, comments, pagination and validation errors. Nothing is
+ * saved, so every instance starts empty.
+ * @param {Object} [opts]
+ * @param {string} [opts.root=/api] path the API is served under
+ * @param {string} [opts.secret] secret tokens are signed with. Random by
+ * default, so tokens do not outlive the server.
+ * @param {Number} [opts.tokenTtl=86400] seconds before a token expires
+ * @example
+ * var conduit = new Conduit()
+ * var client = new RealWorld({
+ *   apiRoot: 'http://localhost/api',
+ *   transport: conduit.transport()
+ * })
+ */
+function Conduit (opts) {
+  if (!(this instanceof Conduit)) return new Conduit(opts)
+  if (!opts) opts = {}
+  this.root = (opts.root == null ? '/api' : opts.root).replace(/\/$/, '')
+  this.secret = opts.secret || crypto.randomBytes(32).toString('hex')
+  this.tokenTtl = opts.tokenTtl || 24 * 60 * 60
+  this.reset()
+}
+
+/**
+ * Remove every user, article and comment
+ */
+Conduit.prototype.reset = function () {
+  this.users = []
+  this.articles = []
+  this.comments = []
+  this._ids = 0
+}
+
+/**
+ * Answer a single request
+ * @param {Object} req request with `method`, `url`, `headers` and `body`,
+ * where `url` may be absolute or a path
+ * @returns {Object} response with `statusCode`, `headers` and `body`
+ */
+Conduit.prototype.handle = function (req) {
+  var res = this._route(req)
+  return {
+    statusCode: res.statusCode,
+    headers: { 'content-type': 'application/json; charset=utf-8' },
+    body: JSON.parse(JSON.stringify(res.body))
+  }
+}
+
+Conduit.prototype._route = function (req) {
+  var url = new URL(req.url, 'http://localhost')
+  var path = url.pathname
+  if (path.indexOf(`${this.root}/`) !== 0) return notFound()
+  path = path.slice(this.root.length)
+  var method = (req.method || 'GET').toUpperCase()
+  var ctx = {
+    query: url.searchParams,
+    body: req.body && typeof req.body === 'object' ? req.body : {},
+    user: null
+  }
+  var token = authorization(req.headers)
+  if (token) {
+    ctx.user = this._verify(token)
+    if (!ctx.user) return error(401, 'token', 'is invalid')
+  }
+  for (var i = 0; i < routes.length; i++) {
+    var route = routes[i]
+    var match = route[1].exec(path)
+    if (!match || route[0] !== method) continue
+    if (route[3] && !ctx.user) return error(401, 'token', 'is missing')
+    try {
+      ctx.params = match.slice(1).map(decodeURIComponent)
+    } catch (e) {
+      return error(400, 'path', 'is not a valid URI')
+    }
+    return route[2].call(this, ctx)
+  }
+  return notFound()
+}
+
+/**
+ * Transport that answers requests from this server without any network
+ * @returns {Function} transport for the `transport` option of the client
+ */
+Conduit.prototype.transport = function () {
+  var self = this
+  return function conduit (req, cb) {
+    var res = self.handle(req)
+    setImmediate(function () {
+      if (req.signal && req.signal.aborted) return cb(new Error('Request aborted'))
+      cb(null, res)
+    })
+  }
+}
+
+var routes = [
+  ['POST', /^\/users\/login$/, login],
+  ['POST', /^\/users$/, register],
+  ['GET', /^\/user$/, getUser, true],
+  ['PUT', /^\/user$/, updateUser, true],
+  ['GET', /^\/profiles\/([^/]+)$/, getProfile],
+  ['POST', /^\/profiles\/([^/]+)\/follow$/, follow, true],
+  ['DELETE', /^\/profiles\/([^/]+)\/follow$/, unfollow, true],
+  ['GET', /^\/articles$/, listArticles],
+  ['GET', /^\/articles\/feed$/, feedArticles, true],
+  ['POST', /^\/articles$/, createArticle, true],
+  ['GET', /^\/articles\/([^/]+)$/, getArticle],
+  ['PUT', /^\/articles\/([^/]+)$/, updateArticle, true],
+  ['DELETE', /^\/articles\/([^/]+)$/, deleteArticle, true],
+  ['POST', /^\/articles\/([^/]+)\/favorite$/, favorite, true],
+  ['DELETE', /^\/articles\/([^/]+)\/favorite$/, unfavorite, true],
+  ['GET', /^\/articles\/([^/]+)\/comments$/, getComments],
+  ['POST', /^\/articles\/([^/]+)\/comments$/, addComment, true],
+  ['DELETE', /^\/articles\/([^/]+)\/comments\/([^/]+)$/, deleteComment, true],
+  ['GET', /^\/tags$/, getTags]
+]
+
+function login (ctx) {
+  var fields = ctx.body.user || {}
+  var errors = required(fields, ['email', 'password'])
+  if (errors) return invalid(errors)
+  var user = this.users.find(function (user) {
+    return user.email === fields.email
+  })
+  if (!user || user.hash !== hash(fields.password, user.salt)) {
+    return error(422, 'email or password', 'is invalid')
+  }
+  return ok({ user: this._user(user) })
+}
+
+function register (ctx) {
+  var fields = ctx.body.user || {}
+  var errors = required(fields, ['username', 'email', 'password']) ||
+    this._unique(fields)
+  if (errors) return invalid(errors)
+  var user = {
+    id: ++this._ids,
+    username: fields.username,
+    email: fields.email,
+    bio: null,
+    image: null,
+    following: []
+  }
+  setPassword(user, fields.password)
+  this.users.push(user)
+  return created({ user: this._user(user) })
+}
+
+function getUser (ctx) {
+  return ok({ user: this._user(ctx.user) })
+}
+
+function updateUser (ctx) {
+  var fields = ctx.body.user || {}
+  var errors = blank(fields, ['username', 'email', 'password']) ||
+    this._unique(fields, ctx.user)
+  if (errors) return invalid(errors)
+  var user = ctx.user
+  ;['username', 'email', 'bio', 'image'].forEach(function (key) {
+    if (fields[key] !== undefined) user[key] = fields[key]
+  })
+  if (fields.password) setPassword(user, fields.password)
+  return ok({ user: this._user(user) })
+}
+
+function getProfile (ctx) {
+  var profile = this._findUser(ctx.params[0])
+  if (!profile) return notFound('profile')
+  return ok({ profile: this._profile(profile, ctx.user) })
+}
+
+function follow (ctx) {
+  var profile = this._findUser(ctx.params[0])
+  if (!profile) return notFound('profile')
+  if (ctx.user.following.indexOf(profile.id) === -1) {
+    ctx.user.following.push(profile.id)
+  }
+  return ok({ profile: this._profile(profile, ctx.user) })
+}
+
+function unfollow (ctx) {
+  var profile = this._findUser(ctx.params[0])
+  if (!profile) return notFound('profile')
+  ctx.user.following = ctx.user.following.filter(function (id) {
+    return id !== profile.id
+  })
+  return ok({ profile: this._profile(profile, ctx.user) })
+}
+
+function listArticles (ctx) {
+  var self = this
+  var tag = ctx.query.get('tag')
+  var author = ctx.query.get('author')
+  var favorited = ctx.query.get('favorited')
+  var authorId = author && id(self._findUser(author))
+  var favoritedId = favorited && id(self._findUser(favorited))
+  var articles = self.articles.filter(function (article) {
+    if (tag && article.tagList.indexOf(tag) === -1) return false
+    if (author && article.author !== authorId) return false
+    if (favorited && article.favorited.indexOf(favoritedId) === -1) return false
+    return true
+  })
+  return self._page(articles, ctx)
+}
+
+function feedArticles (ctx) {
+  var following = ctx.user.following
+  var articles = this.articles.filter(function (article) {
+    return following.indexOf(article.author) !== -1
+  })
+  return this._page(articles, ctx)
+}
+
+function createArticle (ctx) {
+  var fields = ctx.body.article || {}
+  var errors = required(fields, ['title', 'description', 'body']) ||
+    tagList(fields)
+  if (errors) return invalid(errors)
+  var now = new Date().toISOString()
+  var article = {
+    id: ++this._ids,
+    slug: this._slug(fields.title),
+    title: fields.title,
+    description: fields.description,
+    body: fields.body,
+    tagList: (fields.tagList || []).slice(),
+    createdAt: now,
+    updatedAt: now,
+    favorited: [],
+    author: ctx.user.id
+  }
+  this.articles.unshift(article)
+  return created({ article: this._article(article, ctx.user) })
+}
+
+function getArticle (ctx) {
+  var article = this._findArticle(ctx.params[0])
+  if (!article) return notFound('article')
+  return ok({ article: this._article(article, ctx.user) })
+}
+
+function updateArticle (ctx) {
+  var article = this._findArticle(ctx.params[0])
+  if (!article) return notFound('article')
+  if (article.author !== ctx.user.id) return forbidden('article')
+  var fields = ctx.body.article || {}
+  var errors = blank(fields, ['title', 'description', 'body']) || tagList(fields)
+  if (errors) return invalid(errors)
+  if (fields.title !== undefined && fields.title !== article.title) {
+    article.slug = this._slug(fields.title, article)
+  }
+  ;['title', 'description', 'body'].forEach(function (key) {
+    if (fields[key] !== undefined) article[key] = fields[key]
+  })
+  if (fields.tagList !== undefined) article.tagList = fields.tagList.slice()
+  article.updatedAt = new Date().toISOString()
+  return ok({ article: this._article(article, ctx.user) })
+}
+
+function deleteArticle (ctx) {
+  var article = this._findArticle(ctx.params[0])
+  if (!article) return notFound('article')
+  if (article.author !== ctx.user.id) return forbidden('article')
+  this.articles = this.articles.filter(function (other) {
+    return other !== article
+  })
+  this.comments = this.comments.filter(function (comment) {
+    return comment.article !== article.id
+  })
+  return ok({})
+}
+
+function favorite (ctx) {
+  var article = this._findArticle(ctx.params[0])
+  if (!article) return notFound('article')
+  if (article.favorited.indexOf(ctx.user.id) === -1) {
+    article.favorited.push(ctx.user.id)
+  }
+  return ok({ article: this._article(article, ctx.user) })
+}
+
+function unfavorite (ctx) {
+  var article = this._findArticle(ctx.params[0])
+  if (!article) return notFound('article')
+  article.favorited = article.favorited.filter(function (id) {
+    return id !== ctx.user.id
+  })
+  return ok({ article: this._article(article, ctx.user) })
+}
+
+function getComments (ctx) {
+  var self = this
+  var article = self._findArticle(ctx.params[0])
+  if (!article) return notFound('article')
+  var comments = self.comments
+    .filter(function (comment) {
+      return comment.article === article.id
+    })
+    .map(function (comment) {
+      return self._comment(comment, ctx.user)
+    })
+  return ok({ comments: comments })
+}
+
+function addComment (ctx) {
+  var article = this._findArticle(ctx.params[0])
+  if (!article) return notFound('article')
+  var fields = ctx.body.comment || {}
+  var errors = required(fields, ['body'])
+  if (errors) return invalid(errors)
+  var now = new Date().toISOString()
+  var comment = {
+    id: ++this._ids,
+    createdAt: now,
+    updatedAt: now,
+    body: fields.body,
+    article: article.id,
+    author: ctx.user.id
+  }
+  this.comments.push(comment)
+  return created({ comment: this._comment(comment, ctx.user) })
+}
+
+function deleteComment (ctx) {
+  var article = this._findArticle(ctx.params[0])
+  if (!article) return notFound('article')
+  var id = Number(ctx.params[1])
+  var comment = this.comments.find(function (comment) {
+    return comment.id === id && comment.article === article.id
+  })
+  if (!comment) return notFound('comment')
+  if (comment.author !== ctx.user.id) return forbidden('comment')
+  this.comments = this.comments.filter(function (other) {
+    return other !== comment
+  })
+  return ok({})
+}
+
+function getTags () {
+  var tags = []
+  this.articles.forEach(function (article) {
+    article.tagList.forEach(function (tag) {
+      if (tags.indexOf(tag) === -1) tags.push(tag)
+    })
+  })
+  return ok({ tags: tags })
+}
+
+Conduit.prototype._findUser = function (username) {
+  return this.users.find(function (user) {
+    return user.username === username
+  })
+}
+
+Conduit.prototype._findArticle = function (slug) {
+  return this.articles.find(function (article) {
+    return article.slug === slug
+  })
+}
+
+Conduit.prototype._unique = function (fields, self) {
+  var errors = {}
+  this.users.forEach(function (user) {
+    if (user === self) return
+    if (fields.username != null && user.username === fields.username) {
+      errors.username = ['has already been taken']
+    }
+    if (fields.email != null && user.email === fields.email) {
+      errors.email = ['has already been taken']
+    }
+  })
+  return Object.keys(errors).length ? errors : null
+}
+
+Conduit.prototype._slug = function (title, self) {
+  var articles = this.articles
+  var base = String(title)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'article'
+  var taken = function (slug) {
+    return articles.some(function (article) {
+      return article !== self && article.slug === slug
+    })
+  }
+  var slug = base
+  for (var n = 2; taken(slug); n++) slug = `${base}-${n}`
+  return slug
+}
+
+Conduit.prototype._page = function (articles, ctx) {
+  var self = this
+  var limit = integer(ctx.query.get('limit'), 20)
+  var offset = integer(ctx.query.get('offset'), 0)
+  return ok({
+    articles: articles.slice(offset, offset + limit).map(function (article) {
+      return self._article(article, ctx.user)
+    }),
+    articlesCount: articles.length
+  })
+}
+
+Conduit.prototype._sign = function (user) {
+  var now = Math.floor(Date.now() / 1000)
+  var header = encode({ alg: 'HS256', typ: 'JWT' })
+  var payload = encode({
+    id: user.id,
+    username: user.username,
+    iat: now,
+    exp: now + this.tokenTtl
+  })
+  return `${header}.${payload}.${this._signature(`${header}.${payload}`)}`
+}
+
+Conduit.prototype._verify = function (token) {
+  var parts = token.split('.')
+  if (parts.length !== 3) return null
+  if (parts[2] !== this._signature(`${parts[0]}.${parts[1]}`)) return null
+  var payload
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'))
+  } catch (e) {
+    return null
+  }
+  if (payload.exp * 1000 <= Date.now()) return null
+  return this.users.find(function (user) {
+    return user.id === payload.id
+  }) || null
+}
+
+Conduit.prototype._signature = function (data) {
+  return base64url(crypto.createHmac('sha256', this.secret).update(data).digest('base64'))
+}
+
+Conduit.prototype._user = function (user) {
+  return {
+    email: user.email,
+    token: this._sign(user),
+    username: user.username,
+    bio: user.bio,
+    image: user.image
+  }
+}
+
+Conduit.prototype._profile = function (user, viewer) {
+  return {
+    username: user.username,
+    bio: user.bio,
+    image: user.image,
+    following: !!viewer && viewer.following.indexOf(user.id) !== -1
+  }
+}
+
+Conduit.prototype._article = function (article, viewer) {
+  var author = this.users.find(function (user) {
+    return user.id === article.author
+  })
+  return {
+    slug: article.slug,
+    title: article.title,
+    description: article.description,
+    body: article.body,
+    tagList: article.tagList,
+    createdAt: article.createdAt,
+    updatedAt: article.updatedAt,
+    favorited: !!viewer && article.favorited.indexOf(viewer.id) !== -1,
+    favoritesCount: article.favorited.length,
+    author: this._profile(author, viewer)
+  }
+}
+
+Conduit.prototype._comment = function (comment, viewer) {
+  var author = this.users.find(function (user) {
+    return user.id === comment.author
+  })
+  return {
+    id: comment.id,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt,
+    body: comment.body,
+    author: this._profile(author, viewer)
+  }
+}
+
+function authorization (headers) {
+  if (!headers) return null
+  var key = Object.keys(headers).find(function (key) {
+    return key.toLowerCase() === 'authorization'
+  })
+  var match = key && /^(?:Token|Bearer) (.+)$/.exec(headers[key])
+  return match ? match[1] : null
+}
+
+function required (fields, keys) {
+  var errors = {}
+  keys.forEach(function (key) {
+    if (typeof fields[key] !== 'string' || !fields[key].trim()) {
+      errors[key] = ["can't be blank"]
+    }
+  })
+  if (!errors.email && fields.email != null && !/^[^@\s]+@[^@\s]+$/.test(fields.email)) {
+    errors.email = ['is invalid']
+  }
+  return Object.keys(errors).length ? errors : null
+}
+
+function blank (fields, keys) {
+  return required(
+    fields,
+    keys.filter(function (key) {
+      return fields[key] !== undefined
+    })
+  )
+}
+
+function tagList (fields) {
+  var tags = fields.tagList
+  if (tags === undefined) return null
+  var valid = Array.isArray(tags) && tags.every(function (tag) {
+    return typeof tag === 'string'
+  })
+  return valid ? null : { tagList: ['must be an array of strings'] }
+}
+
+function setPassword (user, password) {
+  user.salt = crypto.randomBytes(16).toString('hex')
+  user.hash = hash(password, user.salt)
+}
+
+function hash (password, salt) {
+  return crypto.createHash('sha256').update(`${salt}:${password}`).digest('hex')
+}
+
+function id (entity) {
+  return entity ? entity.id : null
+}
+
+function integer (value, fallback) {
+  var n = parseInt(value, 10)
+  return n >= 0 ? n : fallback
+}
+
+function encode (obj) {
+  return base64url(Buffer.from(JSON.stringify(obj)).toString('base64'))
+}
+
+function base64url (base64) {
+  return base64.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+}
+
+function ok (body) {
+  return { statusCode: 200, body: body }
+}
+
+function created (body) {
+  return { statusCode: 201, body: body }
+}
+
+function invalid (errors) {
+  return { statusCode: 422, body: { errors: errors } }
+}
+
+function error (status, key, message) {
+  var errors = {}
+  errors[key] = [message]
+  return { statusCode: status, body: { errors: errors } }
+}
+
+function notFound (what) {
+  return error(404, what || 'path', 'not found')
+}
+
+function forbidden (what) {
+  return error(403, what, 'forbidden')
+}
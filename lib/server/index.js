@@ -0,0 +1,75 @@
+var http = require('http')
+var xtend = require('xtend')
+var Conduit = require('./conduit')
+
+module.exports.Conduit = Conduit
+module.exports.createServer = createServer
+
+/**
+ * Create an HTTP server for an in-memory {@link Conduit} backend. Browsers may
+ * call it from any origin. The backend is available as `server.conduit`.
+ * Only available in Node.js.
+ * @param {Object|Conduit} [opts] a Conduit, or options to create one with
+ * @returns {http.Server} server that has not started listening yet
+ * @example
+ * var server = require('realworld-api/lib/server').createServer()
+ * server.listen(3000, function () {
+ *   var client = new RealWorld({ apiRoot: 'http://localhost:3000/api' })
+ * })
+ */
+function createServer (opts) {
+  var conduit = opts instanceof Conduit ? opts : new Conduit(opts)
+  var server = http.createServer(function (req, res) {
+    var chunks = []
+    req.on('data', function (chunk) {
+      chunks.push(chunk)
+    })
+    req.on('end', function () {
+      if (req.method === 'OPTIONS') return send(res, { statusCode: 204, headers: {} })
+      var text = Buffer.concat(chunks).toString('utf8')
+      var body
+      try {
+        body = text ? JSON.parse(text) : undefined
+      } catch (e) {
+        return send(res, {
+          statusCode: 400,
+          headers: { 'content-type': 'application/json; charset=utf-8' },
+          body: { errors: { body: ['is not valid JSON'] } }
+        })
+      }
+      var response
+      try {
+        response = conduit.handle({
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: body
+        })
+      } catch (e) {
+        response = {
+          statusCode: 500,
+          headers: { 'content-type': 'application/json; charset=utf-8' },
+          body: { errors: { server: [e.message] } }
+        }
+      }
+      send(res, response)
+    })
+  })
+  server.conduit = conduit
+  return server
+}
+
+function send (res, response) {
+  res.writeHead(
+    response.statusCode,
+    xtend(
+      {
+        'access-control-allow-origin': '*',
+        'access-control-allow-methods': 'GET, POST, PUT, DELETE, OPTIONS',
+        'access-control-allow-headers': 'Authorization, Content-Type'
+      },
+      response.headers
+    )
+  )
+  res.end(response.body === undefined ? '' : JSON.stringify(response.body))
+}
@@ -0,0 +1,146 @@
+var memoryStorage = require('./storage/memory')
+var jwt = require('./jwt')
+
+module.exports = Session
+
+/**
+ * The authentication state of a client: the token sent with requests and the
+ * user it belongs to. Every change is saved to the storage adapter and
+ * reported to `onChange`.
+ * @param {Object} [opts]
+ * @param {Object} [opts.storage=RealWorld.storage.memory()] storage adapter
+ * the session is saved to and restored from
+ * @param {Function} [onChange] called as `onChange(session, err)` after the
+ * session changes, where `err` is set if saving the session failed
+ */
+function Session (opts, onChange) {
+  if (!(this instanceof Session)) return new Session(opts, onChange)
+  if (!opts) opts = {}
+  this.storage = opts.storage || memoryStorage()
+  this.token = null
+  this.user = null
+  this._onChange = onChange || function () {}
+}
+
+/**
+ * Restore the session saved in storage
+ * @returns {Promise<Session>} resolves once the session is restored. With a
+ * synchronous storage adapter the session is restored before this returns.
+ */
+Session.prototype.restore = function () {
+  var self = this
+  var saved
+  try {
+    saved = self.storage.load()
+  } catch (err) {
+    return Promise.reject(err)
+  }
+  if (saved && typeof saved.then === 'function') return saved.then(apply)
+  return Promise.resolve(apply(saved))
+
+  function apply (saved) {
+    if (saved && saved.token) {
+      self.token = saved.token
+      self.user = saved.user || null
+      self._onChange(self, null)
+    }
+    return self
+  }
+}
+
+/**
+ * Start a session from a user returned by `login`, `register` or `updateUser`
+ * @param {Object} user user object including its `token`
+ * @returns {Promise<Session>} resolves once the session is saved
+ */
+Session.prototype.setUser = function (user) {
+  this.user = user
+  this.token = user.token || this.token
+  return this._save()
+}
+
+/**
+ * Change the token without a user, such as a token from a previous session
+ * @param {string} token authentication token, or null to clear the session
+ * @returns {Promise<Session>} resolves once the session is saved
+ */
+Session.prototype.setToken = function (token) {
+  if (!token) return this.clear()
+  if (this.user && this.user.token !== token) this.user = null
+  this.token = token
+  return this._save()
+}
+
+/**
+ * End the session and remove it from storage
+ * @returns {Promise<Session>} resolves once the session is removed
+ */
+Session.prototype.clear = function () {
+  var self = this
+  self.token = null
+  self.user = null
+  return self._persist(function () {
+    return self.storage.clear()
+  })
+}
+
+/**
+ * Time the token expires, read from the `exp` claim of the token. The token
+ * signature is not checked. Null if there is no token or it does not expire.
+ * @name expiresAt
+ * @memberof Session
+ * @type {Date|null}
+ */
+Object.defineProperty(Session.prototype, 'expiresAt', {
+  get: function () {
+    var payload = jwt.decode(this.token)
+    if (!payload || typeof payload.exp !== 'number') return null
+    return new Date(payload.exp * 1000)
+  }
+})
+
+/**
+ * Check whether the token has expired
+ * @param {Number} [leeway=0] milliseconds before `expiresAt` that the token
+ * should already count as expired, to allow for clock skew
+ * @returns {boolean} true if the token has expired
+ */
+Session.prototype.isExpired = function (leeway) {
+  var expiresAt = this.expiresAt
+  if (!expiresAt) return false
+  return expiresAt.getTime() - (leeway || 0) <= Date.now()
+}
+
+Session.prototype.toJSON = function () {
+  return {
+    token: this.token,
+    user: this.user
+  }
+}
+
+Session.prototype._save = function () {
+  var self = this
+  return self._persist(function () {
+    return self.storage.save(self.toJSON())
+  })
+}
+
+Session.prototype._persist = function (fn) {
+  var self = this
+  var result
+  var done = function (err) {
+    self._onChange(self, err || null)
+    return self
+  }
+  try {
+    result = fn()
+  } catch (err) {
+    return Promise.resolve(done(err))
+  }
+  if (result && typeof result.then === 'function') {
+    return result.then(function () {
+      return done()
+    }, done)
+  }
+  return Promise.resolve(done())
+}
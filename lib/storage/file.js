@@ -0,0 +1,37 @@
+var fs = require('fs')
+
+module.exports = fileStorage
+
+/**
+ * Storage that keeps the session in a JSON file. Only available in Node.js.
+ * The file is readable by the current user only.
+ * @param {string} path path of the JSON file
+ * @returns {Object} storage adapter
+ * @example
+ * var client = new RealWorld({
+ *   storage: RealWorld.storage.file(path.join(os.homedir(), '.realworld.json'))
+ * })
+ */
+function fileStorage (path) {
+  if (!path) throw new Error('Must supply a path for the session file')
+  return {
+    load: function () {
+      try {
+        return JSON.parse(fs.readFileSync(path, 'utf8'))
+      } catch (err) {
+        if (err.code === 'ENOENT') return null
+        throw err
+      }
+    },
+    save: function (session) {
+      fs.writeFileSync(path, JSON.stringify(session, null, 2), { mode: 0o600 })
+    },
+    clear: function () {
+      try {
+        fs.unlinkSync(path)
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err
+      }
+    }
+  }
+}
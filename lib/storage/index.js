@@ -0,0 +1,11 @@
+/**
+ * Built-in session storage adapters. A storage adapter is an object with
+ * three methods, each of which may return a Promise:
+ *
+ * - `load()` returns the saved session, or null if there is none
+ * - `save(session)` saves the session, an object with `token` and `user`
+ * - `clear()` removes the saved session
+ */
+module.exports.memory = require('./memory')
+module.exports.localStorage = require('./local')
+module.exports.file = require('./file')
@@ -0,0 +1,33 @@
+module.exports = localStorageAdapter
+
+/**
+ * Storage that keeps the session as JSON in the browser's `localStorage`
+ * @param {Object} [opts]
+ * @param {string} [opts.key=realworld-session] key to save the session under
+ * @param {Storage} [opts.storage=window.localStorage] storage object to use,
+ * such as `sessionStorage`
+ * @returns {Object} storage adapter
+ * @example
+ * var client = new RealWorld({ storage: RealWorld.storage.localStorage() })
+ */
+function localStorageAdapter (opts) {
+  if (!opts) opts = {}
+  var key = opts.key || 'realworld-session'
+  var storage = function () {
+    var store = opts.storage || global.localStorage
+    if (!store) throw new Error('localStorage is not available')
+    return store
+  }
+  return {
+    load: function () {
+      var value = storage().getItem(key)
+      return value ? JSON.parse(value) : null
+    },
+    save: function (session) {
+      storage().setItem(key, JSON.stringify(session))
+    },
+    clear: function () {
+      storage().removeItem(key)
+    }
+  }
+}
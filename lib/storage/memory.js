@@ -0,0 +1,24 @@
+module.exports = memoryStorage
+
+/**
+ * Storage that keeps the session in memory for the life of the process. This
+ * is the default storage.
+ * @param {Object} [session] session to start with
+ * @returns {Object} storage adapter
+ * @example
+ * var client = new RealWorld({ storage: RealWorld.storage.memory() })
+ */
+function memoryStorage (session) {
+  var saved = session || null
+  return {
+    load: function () {
+      return saved
+    },
+    save: function (session) {
+      saved = session
+    },
+    clear: function () {
+      saved = null
+    }
+  }
+}
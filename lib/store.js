@@ -0,0 +1,299 @@
+var xtend = require('xtend')
+
+module.exports = Store
+
+/**
+ * Normalized store of the entities returned by the client. Articles are kept
+ * by slug, profiles by username and comments by id, with each `author`
+ * replaced by its username. Listings are kept by the path that was requested.
+ * Subscribers are told about every change.
+ * @example
+ * var store = new RealWorld.Store()
+ * var client = new RealWorld({ store: store })
+ * store.subscribe(function (changes) {
+ *   changes.forEach(function (change) {
+ *     if (change.type === 'article') render(store.getArticle(change.id))
+ *   })
+ * })
+ * @param {Object} [opts]
+ * @param {Object} [opts.logger=console] logger with an `error` method that
+ * gets the errors thrown by subscribers
+ */
+function Store (opts) {
+  if (!(this instanceof Store)) return new Store(opts)
+  if (!opts) opts = {}
+  this.logger = opts.logger || console
+  this.articles = {}
+  this.profiles = {}
+  this.comments = {}
+  this.articleComments = {}
+  this.lists = {}
+  this.tags = []
+  this._subscribers = []
+  this._tempIds = 0
+}
+
+/**
+ * Call a function after every change to the store
+ * @param {Function} fn called as `fn(changes, store)` where each change has
+ * the `type` (`article`, `profile`, `comment`, `comments`, `list` or `tags`)
+ * and `id` of the entity that changed. Errors it throws are logged, so they
+ * never fail the request that changed the store.
+ * @returns {Function} call to unsubscribe
+ */
+Store.prototype.subscribe = function (fn) {
+  var subscribers = this._subscribers
+  subscribers.push(fn)
+  return function () {
+    var i = subscribers.indexOf(fn)
+    if (i !== -1) subscribers.splice(i, 1)
+  }
+}
+
+/**
+ * Article with the given slug, with its author profile
+ * @param {string} slug shortname (slug) of article
+ * @returns {Object|undefined} article
+ */
+Store.prototype.getArticle = function (slug) {
+  var article = this.articles[slug]
+  if (!article) return undefined
+  return xtend(article, { author: this.profiles[article.author] })
+}
+
+/**
+ * Profile with the given username
+ * @param {string} username username of profile
+ * @returns {Object|undefined} profile
+ */
+Store.prototype.getProfile = function (username) {
+  return this.profiles[username]
+}
+
+/**
+ * Comments on the article with the given slug, with their author profiles
+ * @param {string} slug shortname (slug) of article
+ * @returns {Object[]} comments
+ */
+Store.prototype.getComments = function (slug) {
+  var self = this
+  return (self.articleComments[slug] || []).map(function (id) {
+    var comment = self.comments[id]
+    return xtend(comment, { author: self.profiles[comment.author] })
+  })
+}
+
+/**
+ * Articles of a listing, such as `/articles?tag=dragons&limit=10&offset=0`
+ * @param {string} path path of the listing, relative to the API root
+ * @returns {Object|undefined} `articles` and `articlesCount` of the listing
+ */
+Store.prototype.getList = function (path) {
+  var self = this
+  var list = self.lists[path]
+  if (!list) return undefined
+  return {
+    articles: list.slugs.map(function (slug) {
+      return self.getArticle(slug)
+    }),
+    articlesCount: list.articlesCount
+  }
+}
+
+/**
+ * Merge a response into the store
+ * @param {Object} data data result from the server as JSON
+ * @param {string} path path that was requested, relative to the API root
+ */
+Store.prototype.merge = function (data, path) {
+  var self = this
+  if (!data || typeof data !== 'object') return
+  var changes = []
+  var match = /^\/articles\/([^/?]+)\/comments/.exec(path)
+  var slug = match && decodeURIComponent(match[1])
+  if (data.article) self._putArticle(data.article, changes)
+  if (Array.isArray(data.articles)) {
+    self.lists[path] = {
+      slugs: data.articles.map(function (article) {
+        return self._putArticle(article, changes)
+      }),
+      articlesCount: data.articlesCount
+    }
+    changes.push({ type: 'list', id: path })
+  }
+  if (data.profile) self._putProfile(data.profile, changes)
+  if (data.comment && slug) self._putComment(data.comment, slug, changes)
+  if (Array.isArray(data.comments) && slug) {
+    self.articleComments[slug] = data.comments.map(function (comment) {
+      return self._putComment(comment, slug, changes)
+    })
+    changes.push({ type: 'comments', id: slug })
+  }
+  if (Array.isArray(data.tags)) {
+    self.tags = data.tags.slice()
+    changes.push({ type: 'tags', id: null })
+  }
+  self._notify(changes)
+}
+
+/**
+ * Remove an article and its comments
+ * @param {string} slug shortname (slug) of article
+ */
+Store.prototype.removeArticle = function (slug) {
+  var self = this
+  if (!self.articles[slug]) return
+  ;(self.articleComments[slug] || []).forEach(function (id) {
+    delete self.comments[id]
+  })
+  delete self.articles[slug]
+  delete self.articleComments[slug]
+  self._notify([{ type: 'article', id: slug }])
+}
+
+/**
+ * Remove a comment
+ * @param {string} slug shortname (slug) of article the comment is on
+ * @param {string|Number} id unique id of comment
+ */
+Store.prototype.removeComment = function (slug, id) {
+  var ids = this.articleComments[slug]
+  delete this.comments[id]
+  if (ids) {
+    this.articleComments[slug] = ids.filter(function (other) {
+      return String(other) !== String(id)
+    })
+  }
+  this._notify([
+    { type: 'comment', id: id },
+    { type: 'comments', id: slug }
+  ])
+}
+
+/**
+ * Optimistically mark an article as favorited or not
+ * @param {string} slug shortname (slug) of article
+ * @param {boolean} favorited whether the article is favorited
+ * @returns {Function} call to roll the change back
+ */
+Store.prototype.favorite = function (slug, favorited) {
+  var self = this
+  var article = self.articles[slug]
+  if (!article || article.favorited === favorited) return noop
+  self.articles[slug] = xtend(article, {
+    favorited: favorited,
+    favoritesCount: article.favoritesCount + (favorited ? 1 : -1)
+  })
+  self._notify([{ type: 'article', id: slug }])
+  return function () {
+    var current = self.articles[slug]
+    if (!current) return
+    self.articles[slug] = xtend(current, {
+      favorited: article.favorited,
+      favoritesCount: article.favoritesCount
+    })
+    self._notify([{ type: 'article', id: slug }])
+  }
+}
+
+/**
+ * Optimistically mark a profile as followed or not
+ * @param {string} username username of profile
+ * @param {boolean} following whether the profile is followed
+ * @returns {Function} call to roll the change back
+ */
+Store.prototype.follow = function (username, following) {
+  var self = this
+  var profile = self.profiles[username]
+  if (!profile || profile.following === following) return noop
+  self.profiles[username] = xtend(profile, { following: following })
+  self._notify([{ type: 'profile', id: username }])
+  return function () {
+    var current = self.profiles[username]
+    if (!current) return
+    self.profiles[username] = xtend(current, { following: profile.following })
+    self._notify([{ type: 'profile', id: username }])
+  }
+}
+
+/**
+ * Optimistically add a comment with a temporary id. When the request succeeds
+ * the temporary comment is replaced by the one from the server.
+ * @param {string} slug shortname (slug) of article
+ * @param {Object} comment comment with its `body`
+ * @param {Object} [author] profile of the user adding the comment
+ * @returns {Function} call to remove the temporary comment
+ */
+Store.prototype.addComment = function (slug, comment, author) {
+  var self = this
+  var id = `temp-${++self._tempIds}`
+  var now = new Date().toISOString()
+  var changes = []
+  if (author) self._putProfile(author, changes)
+  self.comments[id] = xtend(comment, {
+    id: id,
+    createdAt: now,
+    updatedAt: now,
+    author: author ? author.username : null,
+    slug: slug,
+    pending: true
+  })
+  self.articleComments[slug] = (self.articleComments[slug] || []).concat(id)
+  changes.push({ type: 'comment', id: id }, { type: 'comments', id: slug })
+  self._notify(changes)
+  return function () {
+    self.removeComment(slug, id)
+  }
+}
+
+Store.prototype._putArticle = function (article, changes) {
+  var author = article.author
+  if (author && typeof author === 'object') {
+    this._putProfile(author, changes)
+    author = author.username
+  }
+  this.articles[article.slug] = xtend(article, { author: author })
+  changes.push({ type: 'article', id: article.slug })
+  return article.slug
+}
+
+Store.prototype._putProfile = function (profile, changes) {
+  this.profiles[profile.username] = xtend(
+    this.profiles[profile.username],
+    profile
+  )
+  changes.push({ type: 'profile', id: profile.username })
+  return profile.username
+}
+
+Store.prototype._putComment = function (comment, slug, changes) {
+  var author = comment.author
+  if (author && typeof author === 'object') {
+    this._putProfile(author, changes)
+    author = author.username
+  }
+  this.comments[comment.id] = xtend(comment, { author: author, slug: slug })
+  var ids = this.articleComments[slug] || []
+  var exists = ids.some(function (id) {
+    return String(id) === String(comment.id)
+  })
+  if (!exists) this.articleComments[slug] = ids.concat(comment.id)
+  changes.push({ type: 'comment', id: comment.id })
+  return comment.id
+}
+
+Store.prototype._notify = function (changes) {
+  var self = this
+  if (!changes.length) return
+  self._subscribers.slice().forEach(function (fn) {
+    try {
+      fn(changes, self)
+    } catch (err) {
+      var logger = self.logger
+      var log = logger.error || logger.log
+      if (log) log.call(logger, 'A store subscriber failed', { error: err })
+    }
+  })
+}
+
+function noop () {}
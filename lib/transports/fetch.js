@@ -0,0 +1,59 @@
+var xtend = require('xtend')
+var parse = require('./json')
+var network = require('./network')
+
+module.exports = fetchTransport
+
+/**
+ * Transport that sends requests with the
+ * [Fetch API](https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API).
+ * @param {Object} [opts]
+ * @param {Function} [opts.fetch=fetch] fetch implementation to use
+ * @param {Object} [opts.init] extra options passed to fetch with every request,
+ * such as `credentials` or `mode`
+ * @returns {Function} transport
+ * @example
+ * var client = new RealWorld({ transport: RealWorld.transports.fetch() })
+ */
+function fetchTransport (opts) {
+  if (!opts) opts = {}
+  return function fetch (req, cb) {
+    var fetchImpl = opts.fetch || global.fetch
+    if (typeof fetchImpl !== 'function') {
+      return cb(new Error('fetch is not available in this environment'))
+    }
+    var init = xtend(opts.init, {
+      method: req.method,
+      headers: xtend({ Accept: 'application/json' }, req.headers)
+    })
+    if (req.signal) init.signal = req.signal
+    if (req.body !== undefined) {
+      init.headers['Content-Type'] = 'application/json'
+      init.body = JSON.stringify(req.body)
+    }
+    fetchImpl(req.url, init)
+      .catch(function (err) {
+        throw network(err, req)
+      })
+      .then(function (response) {
+        return response.text().then(function (text) {
+          var headers = {}
+          response.headers.forEach(function (value, name) {
+            headers[name.toLowerCase()] = value
+          })
+          return {
+            statusCode: response.status,
+            statusMessage: response.statusText,
+            headers: headers,
+            body: parse(text)
+          }
+        })
+      })
+      .then(
+        function (res) {
+          cb(null, res)
+        },
+        cb
+      )
+  }
+}
@@ -0,0 +1,75 @@
+var http = require('http')
+var https = require('https')
+var xtend = require('xtend')
+var parse = require('./json')
+
+module.exports = httpTransport
+
+/**
+ * Transport that sends requests with the Node.js `http` and `https` modules.
+ * Pass an `agent` to reuse connections with keep-alive.
+ * @param {Object} [opts]
+ * @param {http.Agent} [opts.agent] agent used for `http:` and `https:` URLs
+ * @param {http.Agent} [opts.httpAgent] agent used for `http:` URLs
+ * @param {https.Agent} [opts.httpsAgent] agent used for `https:` URLs
+ * @returns {Function} transport
+ * @example
+ * var https = require('https')
+ * var client = new RealWorld({
+ *   transport: RealWorld.transports.http({
+ *     agent: new https.Agent({ keepAlive: true })
+ *   })
+ * })
+ */
+function httpTransport (opts) {
+  if (!opts) opts = {}
+  return function node (req, cb) {
+    var url = new URL(req.url)
+    var secure = url.protocol === 'https:'
+    var payload
+    var headers = xtend({ Accept: 'application/json' }, req.headers)
+    if (req.body !== undefined) {
+      payload = JSON.stringify(req.body)
+      headers['Content-Type'] = 'application/json'
+      headers['Content-Length'] = Buffer.byteLength(payload)
+    }
+    var called = false
+    var signal = req.signal
+    var onAbort = function () {
+      outgoing.destroy(new Error('Request aborted'))
+    }
+    var done = function (err, res) {
+      if (called) return
+      called = true
+      if (signal) signal.removeEventListener('abort', onAbort)
+      cb(err, res)
+    }
+    var outgoing = (secure ? https : http).request(
+      url,
+      {
+        method: req.method,
+        headers: headers,
+        agent: (secure ? opts.httpsAgent : opts.httpAgent) || opts.agent
+      },
+      function (incoming) {
+        var chunks = []
+        incoming.on('data', function (chunk) {
+          chunks.push(chunk)
+        })
+        incoming.on('error', done)
+        incoming.on('end', function () {
+          done(null, {
+            statusCode: incoming.statusCode,
+            statusMessage: incoming.statusMessage,
+            headers: incoming.headers,
+            body: parse(Buffer.concat(chunks).toString())
+          })
+        })
+      }
+    )
+    outgoing.on('error', done)
+    if (signal) signal.addEventListener('abort', onAbort)
+    outgoing.end(payload)
+    return outgoing
+  }
+}
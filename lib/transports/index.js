@@ -0,0 +1,21 @@
+/**
+ * Built-in transport adapters. A transport is a function called as
+ * `transport(req, cb)` that sends a single HTTP request:
+ *
+ * - `req.method` HTTP method such as `GET` or `POST`
+ * - `req.url` absolute URL to request
+ * - `req.headers` object of request headers, such as `Authorization`
+ * - `req.body` optional object to send as JSON
+ * - `req.signal` optional `AbortSignal` that fires when the request is
+ *   cancelled or times out. Transports should stop the request when it does.
+ *
+ * When the response arrives the transport calls `cb(err, res)` where `res`
+ * has a numeric `statusCode`, an optional `statusMessage`, a `headers` object
+ * with lower-case names and the `body` parsed from JSON. `err` should only be
+ * set when no response could be received, such as a dropped connection, and
+ * should have a `code` such as `ECONNREFUSED`, or `ENETWORK` when the cause
+ * is not known.
+ */
+module.exports.nets = require('./nets')
+module.exports.fetch = require('./fetch')
+module.exports.http = require('./http')
@@ -0,0 +1,16 @@
+module.exports = parse
+
+/**
+ * Parse a response body as JSON, falling back to the raw text for responses
+ * that are not JSON, such as HTML error pages from a proxy
+ * @param {string} text response body
+ * @returns {*} parsed body, or undefined if the body is empty
+ */
+function parse (text) {
+  if (!text) return undefined
+  try {
+    return JSON.parse(text)
+  } catch (e) {
+    return text
+  }
+}
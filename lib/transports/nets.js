@@ -0,0 +1,39 @@
+var request = require('nets')
+var xtend = require('xtend')
+var network = require('./network')
+
+module.exports = netsTransport
+
+/**
+ * Transport that sends requests with [nets](https://github.com/maxogden/nets),
+ * which uses `XMLHttpRequest` in browsers and `request` in Node.js. This is
+ * the default transport. The `res` passed back is the response object from
+ * nets with the parsed JSON as its `body`.
+ * @param {Object} [opts] extra options passed to nets with every request
+ * @returns {Function} transport
+ * @example
+ * var client = new RealWorld({ transport: RealWorld.transports.nets() })
+ */
+function netsTransport (opts) {
+  return function nets (req, cb) {
+    var params = xtend(opts, {
+      json: true,
+      method: req.method,
+      url: req.url,
+      headers: req.headers
+    })
+    if (req.body !== undefined) params.body = req.body
+    var signal = req.signal
+    var onAbort = function () {
+      outgoing.abort()
+    }
+    var outgoing = request(params, function (err, res, body) {
+      if (signal) signal.removeEventListener('abort', onAbort)
+      if (err && !res) network(err, req)
+      if (res) res.body = body
+      cb(err, res)
+    })
+    if (signal) signal.addEventListener('abort', onAbort)
+    return outgoing
+  }
+}
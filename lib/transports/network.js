@@ -0,0 +1,17 @@
+module.exports = network
+
+/**
+ * Tag an error for a request that got no response with a `code`, so retries
+ * and the offline queue can tell a dropped connection from a bug. Errors from
+ * Node.js keep their code, such as `ECONNREFUSED`. Fetch and XMLHttpRequest
+ * errors have none and get the code of their `cause`, or `ENETWORK`.
+ * @param {Error} err error passed back by the underlying request
+ * @param {Object} req request that failed
+ * @returns {Error} the same error
+ */
+function network (err, req) {
+  if (!err || err.code || (req.signal && req.signal.aborted)) return err
+  if (err.name === 'AbortError') return err
+  err.code = (err.cause && err.cause.code) || 'ENETWORK'
+  return err
+}
@@ -0,0 +1,4 @@
+import RealWorld = require('./index')
+
+declare const markdown: RealWorld.MarkdownHelpers
+export = markdown
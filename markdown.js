@@ -0,0 +1,9 @@
+/**
+ * Markdown helpers for article and comment bodies. They live in their own
+ * entry point so that clients which do not render Markdown do not bundle a
+ * Markdown parser.
+ * @example
+ * var markdown = require('realworld-api/markdown')
+ * var client = new RealWorld({ markdown: markdown })
+ */
+module.exports = require('./lib/markdown')
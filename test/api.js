@@ -149,6 +149,53 @@ TestCluster.test(
   }
 )
 
+/**
+ * Create a test cluster for checking that methods return a Promise when the
+ * callback is omitted, and that `dataOnly` clients resolve with just the data.
+ */
+TestCluster.test(
+  'promise methods',
+  {
+    port: port
+  },
+  function (cluster, t) {
+    var dataClient = new API({
+      apiRoot: url,
+      dataOnly: true
+    })
+    client.setToken('promised')
+    Promise.all([
+      client.getArticle('fizzbuzz'),
+      client.favoriteArticle('fizzbuzz'),
+      dataClient.getTags()
+    ])
+      .then(function (results) {
+        t.equal(results[0].res.statusCode, 200, 'resolves with res')
+        t.equal(
+          results[0].data.url,
+          '/api/articles/fizzbuzz',
+          'resolves with data'
+        )
+        t.equal(
+          results[1].data.headers.authorization,
+          'Token promised',
+          'token submitted in header'
+        )
+        t.equal(results[2].url, '/api/tags', 'dataOnly resolves with data')
+        return client.login({ email: 'foo@example.com' })
+      })
+      .then(
+        function () {
+          t.fail('login without password should reject')
+        },
+        function (err) {
+          t.ok(err instanceof Error, 'rejects when missing arguments')
+        }
+      )
+      .then(t.end, t.end)
+  }
+)
+
 /**
  * Each key in this object is the name of a unit test in the `getTests` object.
  * Each value includes the URL we expect the respective test to request.
@@ -198,6 +245,18 @@ var getExpected = {
   },
   'feed-articles-10': {
     url: '/api/articles/feed?limit=10&offset=100'
+  },
+  'article-list-default': {
+    url: '/api/articles?limit=20&offset=0'
+  },
+  'article-list-combined': {
+    url: '/api/articles?tag=c%2B%2B&author=rick%20s&favorited=m%26m&limit=3&offset=6'
+  },
+  'article-list-offset': {
+    url: '/api/articles?author=rick&limit=15&offset=7'
+  },
+  'article-list-feed': {
+    url: '/api/articles/feed?limit=5&offset=5'
   }
 }
 
@@ -251,6 +310,27 @@ var getTests = {
   },
   'feed-articles-10': function (cb) {
     client.feedArticles(10, cb)
+  },
+  'article-list-default': function (cb) {
+    client.listArticles(cb)
+  },
+  'article-list-combined': function (cb) {
+    client.listArticles(
+      {
+        tag: 'c++',
+        author: 'rick s',
+        favorited: 'm&m',
+        limit: 3,
+        page: 2
+      },
+      cb
+    )
+  },
+  'article-list-offset': function (cb) {
+    client.listArticles({ author: 'rick', limit: 15, page: 2, offset: 7 }, cb)
+  },
+  'article-list-feed': function (cb) {
+    client.listArticles({ feed: true, tag: 'ignored', limit: 5, page: 1 }, cb)
   }
 }
 
@@ -0,0 +1,186 @@
+var test = require('tape')
+var API = require('../')
+var fixtures = require('./fixtures')
+
+var url = fixtures.url
+var register = fixtures.register
+
+function setup (transport) {
+  return fixtures.setup({ transport: transport })
+}
+
+function publish (client, titles) {
+  return titles.reduce(function (p, title) {
+    return p.then(function () {
+      return client.createArticle({
+        title: title,
+        description: `About ${title}`,
+        body: `All about ${title}`
+      })
+    })
+  }, Promise.resolve())
+}
+
+test('deletes articles and reports failures per item', function (t) {
+  var s = setup()
+  var rick = s.client()
+  register(rick, 'rick')
+    .then(function () {
+      return publish(rick, ['One', 'Two', 'Three'])
+    })
+    .then(function () {
+      return rick.batch.deleteArticles(['one', 'missing', 'three'])
+    })
+    .then(function (report) {
+      t.equal(report.succeeded, 2)
+      t.equal(report.failed, 1)
+      t.deepEqual(
+        report.results.map(function (result) {
+          return [result.item, result.ok, result.status]
+        }),
+        [['one', true, 200], ['missing', false, 404], ['three', true, 200]],
+        'keeps the order of the items'
+      )
+      var err = report.results[1].error
+      t.ok(err instanceof API.NotFoundError, 'fails even without strict mode')
+      t.equal(err.url, `${url}/articles/missing`)
+      t.equal(err.method, 'DELETE')
+      return rick.listArticles()
+    })
+    .then(function (data) {
+      t.equal(data.articlesCount, 1)
+      t.equal(data.articles[0].slug, 'two')
+      t.end()
+    }, t.end)
+})
+
+test('limits concurrency and reports progress', function (t) {
+  var inFlight = 0
+  var most = 0
+  var s = setup(function (backend) {
+    return function (req, cb) {
+      inFlight++
+      most = Math.max(most, inFlight)
+      setTimeout(function () {
+        backend(req, function (err, res) {
+          inFlight--
+          cb(err, res)
+        })
+      }, 5)
+    }
+  })
+  var rick = s.client()
+  var progress = []
+  var titles = ['A', 'B', 'C', 'D', 'E']
+  register(rick, 'rick')
+    .then(function () {
+      return publish(rick, titles)
+    })
+    .then(function () {
+      most = 0
+      return rick.batch.favoriteArticles(['a', 'b', 'c', 'd', 'e'], {
+        concurrency: 2,
+        onProgress: function (result, status) {
+          progress.push([status.done, status.failed, status.total])
+        }
+      })
+    })
+    .then(function (report) {
+      t.equal(most, 2, 'never more than two requests in flight')
+      t.equal(report.succeeded, 5)
+      t.deepEqual(progress, [[1, 0, 5], [2, 0, 5], [3, 0, 5], [4, 0, 5], [5, 0, 5]])
+      t.ok(report.results.every(function (result) {
+        return result.data.article.favorited
+      }))
+      t.end()
+    }, t.end)
+})
+
+test('follows and unfollows users with a callback', function (t) {
+  var s = setup()
+  var rick = s.client({ strict: true })
+  register(rick, 'rick')
+    .then(function () {
+      return register(s.client(), 'morty')
+    })
+    .then(function () {
+      return register(s.client(), 'summer')
+    })
+    .then(function () {
+      rick.batch.followUsers(['morty', 'nobody', 'summer'], function (err, report) {
+        t.error(err)
+        t.equal(report.failed, 1)
+        t.ok(report.results[1].error instanceof API.NotFoundError)
+        t.equal(report.results[2].data.profile.following, true)
+        rick.batch.unFollowUsers(['morty', 'summer'], { concurrency: 1 }, function (err, report) {
+          t.error(err)
+          t.equal(report.succeeded, 2)
+          t.equal(report.results[0].data.profile.following, false)
+          t.end()
+        })
+      })
+    })
+    .catch(t.end)
+})
+
+test('cancels the remaining items', function (t) {
+  var sent = 0
+  var s = setup(function (backend) {
+    return function (req, cb) {
+      sent++
+      backend(req, cb)
+    }
+  })
+  var client = s.client({ token: 'token' })
+  var controller = new AbortController()
+  controller.abort()
+  client.batch
+    .unFavoriteArticles(['a', 'b'], { signal: controller.signal })
+    .then(function (report) {
+      t.equal(sent, 0, 'sends nothing')
+      t.equal(report.failed, 2)
+      t.ok(report.results[0].error instanceof API.AbortError)
+      return client.batch.deleteArticles([])
+    })
+    .then(function (report) {
+      t.deepEqual(report, { results: [], succeeded: 0, failed: 0 })
+      return client.batch.deleteArticles('a')
+    })
+    .then(
+      function () {
+        t.fail('should fail')
+      },
+      function (err) {
+        t.ok(err instanceof TypeError, 'rejects items that are not an array')
+        client.batch.deleteArticles('a', function (err) {
+          t.ok(err instanceof TypeError, 'passes the error to the callback')
+          t.end()
+        })
+      }
+    )
+    .catch(t.end)
+})
+
+test('finishes when the progress callback throws', function (t) {
+  var s = setup()
+  var logged = []
+  var logger = {
+    error: function (message, fields) {
+      logged.push(fields.error.message)
+    }
+  }
+  var rick = s.client({ logger: logger })
+  register(rick, 'rick')
+    .then(function () {
+      return rick.batch.deleteArticles(['a', 'b'], {
+        onProgress: function () {
+          throw new Error('oops')
+        }
+      })
+    })
+    .then(function (report) {
+      t.equal(report.failed, 2)
+      t.deepEqual(logged, ['oops', 'oops'], 'logs the error')
+      t.end()
+    }, t.end)
+})
@@ -0,0 +1,182 @@
+var test = require('tape')
+var API = require('../')
+
+var url = 'http://localhost/api'
+
+/**
+ * Create a transport that records every request and answers with the path
+ * and a version number, so we can tell fresh responses from cached ones.
+ * Requests sending a matching `If-None-Match` get a 304.
+ */
+function counting (requests, opts) {
+  if (!opts) opts = {}
+  return function (req, cb) {
+    requests.push(req)
+    var etag = opts.etag && '"v1"'
+    if (etag && req.headers['If-None-Match'] === etag) {
+      return cb(null, { statusCode: 304, headers: {} })
+    }
+    cb(null, {
+      statusCode: 200,
+      headers: etag ? { etag: etag } : {},
+      body: { path: req.url.slice(url.length), version: requests.length }
+    })
+  }
+}
+
+test('caches GET responses per endpoint', function (t) {
+  var requests = []
+  var client = new API({
+    apiRoot: url,
+    dataOnly: true,
+    cache: true,
+    transport: counting(requests)
+  })
+  client
+    .getTags()
+    .then(function () {
+      return client.getTags()
+    })
+    .then(function (data) {
+      t.equal(data.version, 1, 'second getTags served from cache')
+      data.version = 99
+      return client.getTags()
+    })
+    .then(function (data) {
+      t.equal(data.version, 1, 'cached data is copied')
+      return client.getComments('foo')
+    })
+    .then(function () {
+      return client.getComments('foo')
+    })
+    .then(function () {
+      t.equal(requests.length, 3, 'comments are not cached by default')
+      client.setToken('other')
+      return client.getTags()
+    })
+    .then(function (data) {
+      t.equal(data.version, 4, 'cache is keyed by token')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('expires entries after their ttl', function (t) {
+  var requests = []
+  var client = new API({
+    apiRoot: url,
+    dataOnly: true,
+    cache: { ttls: { profile: 1 } },
+    transport: counting(requests)
+  })
+  client
+    .getProfile('rick')
+    .then(function () {
+      return new Promise(function (resolve) {
+        setTimeout(resolve, 10)
+      })
+    })
+    .then(function () {
+      return client.getProfile('rick')
+    })
+    .then(function (data) {
+      t.equal(data.version, 2, 'expired profile requested again')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('revalidates with ETags', function (t) {
+  var requests = []
+  var client = new API({
+    apiRoot: url,
+    cache: { ttls: { article: 1 } },
+    transport: counting(requests, { etag: true })
+  })
+  client
+    .getArticle('foo')
+    .then(function () {
+      return new Promise(function (resolve) {
+        setTimeout(resolve, 10)
+      })
+    })
+    .then(function () {
+      return client.getArticle('foo')
+    })
+    .then(function (result) {
+      t.equal(
+        requests[1].headers['If-None-Match'],
+        '"v1"',
+        'sends If-None-Match'
+      )
+      t.equal(result.res.statusCode, 200, 'serves 304 as cached 200')
+      t.equal(result.data.version, 1, 'serves cached body')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('mutations invalidate related entries', function (t) {
+  var requests = []
+  var client = new API({
+    apiRoot: url,
+    dataOnly: true,
+    cache: { ttls: { articles: 60000 } },
+    transport: counting(requests)
+  })
+  function versions () {
+    return Promise.all([
+      client.getArticle('foo'),
+      client.getArticle('bar'),
+      client.listAllArticles(),
+      client.getProfile('rick'),
+      client.getProfile('morty'),
+      client.getTags()
+    ]).then(function (results) {
+      return results.map(function (data) {
+        return data.version
+      })
+    })
+  }
+  var before
+  versions()
+    .then(function (v) {
+      before = v
+      return client.favoriteArticle('foo')
+    })
+    .then(versions)
+    .then(function (v) {
+      t.notEqual(v[0], before[0], 'favorite evicts the article')
+      t.equal(v[1], before[1], 'favorite keeps other articles')
+      t.notEqual(v[2], before[2], 'favorite evicts listings')
+      t.equal(v[3], before[3], 'favorite keeps profiles')
+      before = v
+      return client.followUser('rick')
+    })
+    .then(versions)
+    .then(function (v) {
+      t.notEqual(v[3], before[3], 'follow evicts the profile')
+      t.equal(v[4], before[4], 'follow keeps other profiles')
+      t.equal(v[0], before[0], 'follow keeps articles')
+      before = v
+      return client.deleteArticle('bar')
+    })
+    .then(versions)
+    .then(function (v) {
+      t.notEqual(v[1], before[1], 'delete evicts the article')
+      t.equal(v[0], before[0], 'delete keeps other articles')
+      t.notEqual(v[5], before[5], 'delete evicts tags')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('memory store evicts least recently used entries', function (t) {
+  var store = new API.Cache.MemoryStore({ max: 2 })
+  store.set('a', 1)
+  store.set('b', 2)
+  store.get('a')
+  store.set('c', 3)
+  t.deepEqual(store.keys(), ['a', 'c'], 'evicts b')
+  t.end()
+})
@@ -0,0 +1,105 @@
+var http = require('http')
+var test = require('tape')
+var API = require('../')
+
+var port = 57893
+var url = `http://localhost:${port}/api`
+
+/**
+ * The slow server never answers on its own. Each request is kept open until
+ * the client gives up, and we count the requests received and the ones the
+ * client closed.
+ */
+var received = 0
+var closed = 0
+var server = http.createServer(function (req, res) {
+  received++
+  res.on('close', function () {
+    closed++
+  })
+})
+
+function waitFor (check, cb) {
+  if (check()) return cb()
+  setTimeout(waitFor, 5, check, cb)
+}
+
+test('start slow server', function (t) {
+  server.listen(port, t.end)
+})
+
+Object.keys(API.transports).forEach(function (name) {
+  test(`${name} transport times out and aborts`, function (t) {
+    var client = new API({
+      apiRoot: url,
+      timeout: 200,
+      transport: API.transports[name]()
+    })
+    var started = Date.now()
+    client.getTags(function (err) {
+      t.ok(err instanceof API.TimeoutError, 'fails with TimeoutError')
+      t.ok(err instanceof API.RealWorldError, 'is a RealWorldError')
+      t.equal(err.url, `${url}/tags`, 'error has url')
+      t.ok(Date.now() - started < 2000, 'fails at the timeout')
+      waitFor(
+        function () {
+          return received === closed
+        },
+        function () {
+          t.pass('no request left open')
+          t.end()
+        }
+      )
+    })
+  })
+})
+
+test('per-call signal cancels a request', function (t) {
+  var client = new API({ apiRoot: url, timeout: 5000 })
+  var controller = new AbortController()
+  client
+    .listArticlesByTag('dragons', { signal: controller.signal })
+    .then(
+      function () {
+        t.fail('should be cancelled')
+      },
+      function (err) {
+        t.ok(err instanceof API.AbortError, 'fails with AbortError')
+        t.notOk(err instanceof API.TimeoutError, 'is not a TimeoutError')
+        t.end()
+      }
+    )
+  setTimeout(function () {
+    controller.abort()
+  }, 20)
+})
+
+test('per-call timeout overrides the client timeout', function (t) {
+  var client = new API({ apiRoot: url })
+  client.listAllArticles({ timeout: 20 }, function (err) {
+    t.ok(err instanceof API.TimeoutError, 'fails with TimeoutError')
+    client.updateArticle('foo', { title: 'x' }, { timeout: 20 }, function (err) {
+      t.ok(err instanceof API.TimeoutError, 'options before callback')
+      t.end()
+    })
+  })
+})
+
+test('already aborted signals send nothing', function (t) {
+  var before = received
+  var client = new API({ apiRoot: url })
+  var controller = new AbortController()
+  controller.abort()
+  client.getArticle('foo', { signal: controller.signal }, function (err) {
+    t.ok(err instanceof API.AbortError, 'fails with AbortError')
+    setTimeout(function () {
+      t.equal(received, before, 'no request received')
+      t.end()
+    }, 20)
+  })
+})
+
+test('stop slow server', function (t) {
+  server.closeAllConnections()
+  server.close(t.end)
+})
@@ -0,0 +1,298 @@
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var test = require('tape')
+var API = require('../')
+var cli = require('../lib/cli')
+
+var url = 'http://localhost/api'
+
+var author = {
+  username: 'rick',
+  bio: null,
+  image: null,
+  following: false
+}
+
+var article = {
+  slug: 'how-to-train-your-dragon',
+  title: 'How to train your dragon',
+  description: 'Ever wonder how?',
+  body: 'It takes a Jacobian',
+  tagList: ['dragons', 'training'],
+  createdAt: '2016-02-18T03:22:56.637Z',
+  updatedAt: '2016-02-18T03:48:35.824Z',
+  favorited: false,
+  favoritesCount: 0,
+  author: author
+}
+
+var user = {
+  email: 'rick@example.com',
+  token: 'abc',
+  username: 'rick',
+  bio: null,
+  image: null
+}
+
+/**
+ * A transport that answers like a RealWorld backend and records every request
+ */
+function conduit (requests) {
+  return function (req, cb) {
+    var path = req.url.slice(url.length).split('?')[0]
+    requests.push(req)
+    var body
+    if (path === '/users/login' && req.body.user.password !== 'secret') {
+      return cb(null, {
+        statusCode: 422,
+        headers: {},
+        body: { errors: { 'email or password': ['is invalid'] } }
+      })
+    }
+    if (/^\/users?/.test(path)) body = { user: user }
+    else if (/\/comments/.test(path)) body = { comments: [] }
+    else if (path === '/tags') body = { tags: ['dragons', 'training'] }
+    else if (path === '/articles') body = { articles: [article, article], articlesCount: 2 }
+    else body = { article: article }
+    cb(null, { statusCode: 200, headers: {}, body: body })
+  }
+}
+
+function run (argv, opts, cb) {
+  var out = ''
+  var err = ''
+  cli(
+    argv,
+    Object.assign(
+      {
+        env: { REALWORLD_API_ROOT: url },
+        stdout: { write: function (text) { out += text } },
+        stderr: { write: function (text) { err += text } }
+      },
+      opts
+    ),
+    function (code) {
+      cb(code, out, err)
+    }
+  )
+}
+
+/**
+ * Path of a session file in a new temporary directory, which is removed with
+ * the saved token once the test ends
+ */
+function tmpConfig (t) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'realworld-cli-'))
+  t.on('end', function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+  return path.join(dir, 'session.json')
+}
+
+test('prints usage', function (t) {
+  run(['--help'], {}, function (code, out) {
+    t.equal(code, 0)
+    t.ok(/^usage: realworld/.test(out))
+    run([], {}, function (code, out, err) {
+      t.equal(code, 1, 'fails without a command')
+      t.ok(/^usage: realworld/.test(err))
+      run(['article', 'frobnicate'], {}, function (code, out, err) {
+        t.equal(code, 1)
+        t.ok(/unknown command article frobnicate/.test(err))
+        t.end()
+      })
+    })
+  })
+})
+
+test('saves the session to the config file', function (t) {
+  var config = tmpConfig(t)
+  var requests = []
+  var opts = { transport: conduit(requests) }
+  run(
+    ['login', '--email', 'rick@example.com', '--password', 'secret', '--config', config],
+    opts,
+    function (code) {
+      t.equal(code, 0)
+      var saved = JSON.parse(fs.readFileSync(config, 'utf8'))
+      t.equal(saved.token, 'abc')
+      t.equal(saved.apiRoot, url, 'remembers the API root')
+      run(['user', '--config', config], { transport: opts.transport, env: {} }, function (code, out) {
+        t.equal(code, 0)
+        t.equal(requests[1].url, `${url}/user`, 'uses the saved API root')
+        t.equal(requests[1].headers.Authorization, 'Token abc')
+        t.ok(/email +rick@example.com/.test(out), 'prints a key value table')
+        run(['logout', '--config', config], opts, function (code) {
+          t.equal(code, 0)
+          t.notOk(fs.existsSync(config), 'logout removes the session')
+          t.end()
+        })
+      })
+    }
+  )
+})
+
+test('uses --token without saving it', function (t) {
+  var config = tmpConfig(t)
+  var requests = []
+  run(
+    ['profile', 'follow', 'rick', '--token', 'xyz', '--config', config],
+    { transport: conduit(requests) },
+    function (code) {
+      t.equal(code, 0)
+      t.equal(requests[0].method, 'POST')
+      t.equal(requests[0].url, `${url}/profiles/rick/follow`)
+      t.equal(requests[0].headers.Authorization, 'Token xyz')
+      t.notOk(fs.existsSync(config))
+      t.end()
+    }
+  )
+})
+
+test('lists articles as a table, json or ndjson', function (t) {
+  var requests = []
+  var opts = { transport: conduit(requests) }
+  var argv = ['articles', '--tag', 'dragons', '--page', '2', '--config', tmpConfig(t)]
+  run(argv, opts, function (code, out) {
+    t.equal(code, 0)
+    t.equal(requests[0].url, `${url}/articles?tag=dragons&limit=20&offset=20`)
+    var lines = out.trim().split('\n')
+    t.equal(lines.length, 3)
+    t.ok(/^SLUG +TITLE +AUTHOR +FAVORITESCOUNT +CREATEDAT$/.test(lines[0]))
+    t.ok(/^how-to-train-your-dragon +How to train your dragon +rick +0 /.test(lines[1]))
+    run(argv.concat('-o', 'json'), opts, function (code, out) {
+      t.deepEqual(JSON.parse(out), { articles: [article, article], articlesCount: 2 })
+      run(argv.concat('--output', 'ndjson'), opts, function (code, out) {
+        var lines = out.trim().split('\n')
+        t.equal(lines.length, 2)
+        t.deepEqual(JSON.parse(lines[0]), article)
+        run(argv.concat('-o', 'xml'), opts, function (code, out, err) {
+          t.equal(code, 1)
+          t.ok(/unknown output format xml/.test(err))
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+test('creates articles from a body file', function (t) {
+  var requests = []
+  var file = path.join(path.dirname(tmpConfig(t)), 'post.md')
+  fs.writeFileSync(file, '# Dragons\n\nIt takes a Jacobian')
+  run(
+    [
+      'article', 'create',
+      '--title', 'How to train your dragon',
+      '--description', 'Ever wonder how?',
+      '--body-file', file,
+      '--tag', 'dragons',
+      '--tag', 'training',
+      '--token', 'abc'
+    ],
+    { transport: conduit(requests) },
+    function (code) {
+      t.equal(code, 0)
+      t.equal(requests[0].method, 'POST')
+      t.deepEqual(requests[0].body, {
+        article: {
+          title: 'How to train your dragon',
+          description: 'Ever wonder how?',
+          body: '# Dragons\n\nIt takes a Jacobian',
+          tagList: ['dragons', 'training']
+        }
+      })
+      t.end()
+    }
+  )
+})
+
+test('reads a comment body from stdin', function (t) {
+  var requests = []
+  run(
+    ['comments', 'add', '123', '--body-file', '-', '--token', 'abc'],
+    {
+      transport: conduit(requests),
+      readStdin: function (cb) {
+        cb(null, 'Wubba lubba dub dub')
+      }
+    },
+    function (code) {
+      t.equal(code, 0)
+      t.equal(requests[0].url, `${url}/articles/123/comments`)
+      t.deepEqual(requests[0].body, { comment: { body: 'Wubba lubba dub dub' } })
+      run(
+        ['comments', 'delete', '123', '1', '--token', 'abc'],
+        { transport: conduit(requests) },
+        function (code, out) {
+          t.equal(code, 0)
+          t.equal(requests[1].method, 'DELETE')
+          t.equal(requests[1].url, `${url}/articles/123/comments/1`)
+          t.equal(out, '', 'prints nothing')
+          t.end()
+        }
+      )
+    }
+  )
+})
+
+test('prints tags', function (t) {
+  run(['tags', '--config', tmpConfig(t)], { transport: conduit([]) }, function (code, out) {
+    t.equal(code, 0)
+    t.equal(out, 'TAG\ndragons\ntraining\n')
+    t.end()
+  })
+})
+
+test('reports errors', function (t) {
+  var config = tmpConfig(t)
+  var opts = { transport: conduit([]) }
+  run(
+    ['login', '--email', 'rick@example.com', '--password', 'wrong', '--config', config],
+    opts,
+    function (code, out, err) {
+      t.equal(code, 1)
+      t.ok(/^realworld: /.test(err))
+      t.ok(/email or password is invalid/.test(err), 'lists field errors')
+      run(['article', 'get', '--config', config], opts, function (code, out, err) {
+        t.equal(code, 1)
+        t.ok(/missing <slug>/.test(err))
+        t.end()
+      })
+    }
+  )
+})
+
+test('serves an in-memory backend until stopped', function (t) {
+  var controller = new AbortController()
+  var err = ''
+  cli(
+    ['serve', '--port', '0', '--config', tmpConfig(t)],
+    {
+      env: {},
+      signal: controller.signal,
+      stderr: {
+        write: function (text) {
+          err += text
+          var root = /listening on (\S+)/.exec(text)[1]
+          run(
+            ['register', '--username', 'rick', '--email', 'rick@example.com',
+              '--password', 'secret', '--api-root', root, '--config', tmpConfig(t), '-o', 'json'],
+            { transport: API.transports.http() },
+            function (code, out) {
+              t.equal(code, 0)
+              t.equal(JSON.parse(out).user.username, 'rick')
+              controller.abort()
+            }
+          )
+        }
+      }
+    },
+    function (code) {
+      t.equal(code, 0, 'exits once stopped')
+      t.ok(/^Conduit listening on http:\/\/localhost:\d+\/api\n$/.test(err))
+      t.end()
+    }
+  )
+})
@@ -0,0 +1,190 @@
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var test = require('tape')
+var conformance = require('../lib/conformance')
+var cli = require('../lib/cli')
+var server = require('../lib/server')
+
+var url = 'http://localhost/api'
+
+/**
+ * A backend that breaks the spec by registering users without a token
+ */
+function broken () {
+  var transport = new server.Conduit().transport()
+  return function (req, cb) {
+    transport(req, function (err, res) {
+      if (req.url === `${url}/users` && res.statusCode === 201) {
+        res.body.user.token = null
+      }
+      cb(err, res)
+    })
+  }
+}
+
+test('passes the reference backend', function (t) {
+  var conduit = new server.Conduit()
+  conformance({ apiRoot: url, transport: conduit.transport() }, function (err, report) {
+    t.error(err)
+    t.equal(report.apiRoot, url)
+    t.equal(report.failed, 0)
+    t.equal(report.skipped, 0)
+    t.equal(report.passed, report.tests.length)
+    var names = report.tests.map(function (test) {
+      return test.name
+    })
+    ;[
+      'login',
+      'register',
+      'getUser',
+      'updateUser',
+      'getProfile',
+      'followUser',
+      'unFollowUser',
+      'listArticles',
+      'listAllArticles',
+      'listArticlesByTag',
+      'listArticlesByAuthor',
+      'listArticlesByAuthorFavorites',
+      'feedArticles',
+      'getArticle',
+      'createArticle',
+      'updateArticle',
+      'deleteArticle',
+      'addComment',
+      'getComments',
+      'deleteComment',
+      'favoriteArticle',
+      'unFavoriteArticle',
+      'getTags'
+    ].forEach(function (name) {
+      t.ok(names.indexOf(name) !== -1, `checks ${name}`)
+    })
+    t.equal(conduit.users.length, 2, 'registers two throwaway users')
+    t.end()
+  })
+})
+
+test('reports failures and skips dependent tests', function (t) {
+  conformance({ apiRoot: url, transport: broken() }).then(function (report) {
+    var byName = {}
+    report.tests.forEach(function (test) {
+      byName[test.name] = test
+    })
+    t.equal(byName.register.status, 'failed')
+    t.deepEqual(byName.register.failures, ['user.token is null'])
+    t.equal(byName.login.status, 'skipped')
+    t.deepEqual(byName.login.failures, ['depends on register'])
+    t.equal(byName['getUser (anonymous)'].status, 'passed')
+    t.equal(report.failed + report.skipped + report.passed, report.tests.length)
+    t.ok(report.skipped > 0)
+    t.end()
+  }, t.end)
+})
+
+test('reports missing fields of listings', function (t) {
+  var transport = new server.Conduit().transport()
+  conformance({
+    apiRoot: url,
+    transport: function (req, cb) {
+      transport(req, function (err, res) {
+        if (res.body.articles) delete res.body.articlesCount
+        cb(err, res)
+      })
+    }
+  }).then(function (report) {
+    var listing = report.tests.filter(function (test) {
+      return test.name === 'listArticles'
+    })[0]
+    t.equal(listing.status, 'failed')
+    t.deepEqual(listing.failures, ['articlesCount is not a number'])
+    t.end()
+  }, t.end)
+})
+
+test('formats reports as text and JUnit XML', function (t) {
+  var report = {
+    apiRoot: 'http://example.com/api?a=1&b=2',
+    timestamp: '2017-01-01T00:00:00.000Z',
+    duration: 1500,
+    passed: 1,
+    failed: 1,
+    skipped: 1,
+    tests: [
+      { name: 'register', description: 'registers', status: 'passed', failures: [], duration: 12 },
+      {
+        name: 'login',
+        description: 'logs in',
+        status: 'failed',
+        failures: ['expected "a" < "b"', 'second'],
+        duration: 3
+      },
+      { name: 'getUser', description: 'gets', status: 'skipped', failures: ['depends on login'], duration: 0 }
+    ]
+  }
+  t.equal(
+    conformance.text(report),
+    [
+      'RealWorld conformance of http://example.com/api?a=1&b=2',
+      '',
+      'PASS register - registers (12ms)',
+      'FAIL login - logs in (3ms)',
+      '     expected "a" < "b"',
+      '     second',
+      'SKIP getUser - gets (0ms)',
+      '     depends on login',
+      '',
+      '1 passed, 1 failed, 1 skipped',
+      ''
+    ].join('\n')
+  )
+  t.equal(
+    conformance.junit(report),
+    [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<testsuites name="realworld-conformance" tests="3" failures="1" skipped="1" time="1.500">',
+      '  <testsuite name="http://example.com/api?a=1&amp;b=2" timestamp="2017-01-01T00:00:00.000Z" tests="3" failures="1" skipped="1" time="1.500">',
+      '    <testcase classname="realworld.conformance" name="register: registers" time="0.012"/>',
+      '    <testcase classname="realworld.conformance" name="login: logs in" time="0.003">',
+      '      <failure message="expected &quot;a&quot; &lt; &quot;b&quot;">expected &quot;a&quot; &lt; &quot;b&quot;\nsecond</failure>',
+      '    </testcase>',
+      '    <testcase classname="realworld.conformance" name="getUser: gets" time="0.000">',
+      '      <skipped message="depends on login"/>',
+      '    </testcase>',
+      '  </testsuite>',
+      '</testsuites>',
+      ''
+    ].join('\n')
+  )
+  t.end()
+})
+
+test('runs from the command line', function (t) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'realworld-conformance-'))
+  t.on('end', function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+  var junit = path.join(dir, 'report.xml')
+  var out = ''
+  var err = ''
+  var argv = ['conformance', '--api-root', url, '--config', path.join(dir, 'session.json')]
+  var streams = {
+    env: {},
+    stdout: { write: function (text) { out += text } },
+    stderr: { write: function (text) { err += text } }
+  }
+  cli(argv.concat('--junit', junit), Object.assign({ transport: new server.Conduit().transport() }, streams), function (code) {
+    t.equal(code, 0)
+    t.ok(/^RealWorld conformance of http:\/\/localhost\/api\n/.test(out))
+    t.ok(/ 0 failed, 0 skipped\n$/.test(out))
+    t.ok(/^<\?xml/.test(fs.readFileSync(junit, 'utf8')), 'writes the JUnit report')
+    out = ''
+    cli(argv.concat('--junit', '-'), Object.assign({ transport: broken() }, streams), function (code) {
+      t.equal(code, 1, 'fails when a test fails')
+      t.ok(/^<\?xml/.test(out), 'prints the JUnit report')
+      t.ok(/realworld: \d+ of \d+ tests failed/.test(err))
+      t.end()
+    })
+  })
+})
@@ -0,0 +1,128 @@
+var test = require('tape')
+var API = require('../')
+
+var url = 'http://localhost/api'
+
+function setup (options) {
+  var s = { sent: [] }
+  var transport = function (req, cb) {
+    s.sent.push(`${req.url.slice(url.length)} ${req.headers.Authorization || ''}`.trim())
+    setTimeout(function () {
+      if (req.signal && req.signal.aborted) return cb(new Error('aborted'))
+      var body = /tags/.test(req.url)
+        ? { tags: ['dragons'] }
+        : { profile: { username: 'rick', bio: null, image: null, following: false } }
+      cb(null, { statusCode: 200, headers: {}, body: body })
+    }, 5)
+  }
+  s.client = new API(
+    Object.assign({ apiRoot: url, transport: transport, dataOnly: true, dedupe: true }, options)
+  )
+  return s
+}
+
+test('merges identical requests in flight', function (t) {
+  var s = setup()
+  Promise.all([
+    s.client.getTags(),
+    s.client.getTags(),
+    s.client.getProfile('rick'),
+    s.client.getTags()
+  ])
+    .then(function (results) {
+      t.deepEqual(s.sent, ['/tags', '/profiles/rick'])
+      t.deepEqual(results[0], { tags: ['dragons'] })
+      t.deepEqual(results[1], results[0])
+      t.deepEqual(results[3], results[0])
+      results[1].tags.push('mutated')
+      t.deepEqual(results[3].tags, ['dragons'], 'each caller gets a copy')
+      t.equal(s.client.dedupe.size, 0, 'forgets settled requests')
+      return s.client.getTags()
+    })
+    .then(function () {
+      t.equal(s.sent.length, 3, 'sends again once the first has settled')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('marks responses of joined requests', function (t) {
+  var s = setup({ dataOnly: false })
+  Promise.all([s.client.getTags(), s.client.getTags()])
+    .then(function (results) {
+      t.notOk(results[0].res.deduped)
+      t.equal(results[1].res.deduped, true)
+      t.equal(results[1].res.statusCode, 200)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('keeps requests with different tokens apart', function (t) {
+  var s = setup({ token: 'rick' })
+  var first = s.client.getTags()
+  s.client.setToken('morty')
+  Promise.all([first, s.client.getTags(), s.client.getTags()])
+    .then(function () {
+      t.deepEqual(s.sent, ['/tags Token rick', '/tags Token morty'])
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('sends fresh requests on their own', function (t) {
+  var s = setup({ cache: true })
+  s.client
+    .getTags()
+    .then(function () {
+      return Promise.all([
+        s.client.getTags(),
+        s.client.getTags({ fresh: true }),
+        s.client.getTags({ fresh: true })
+      ])
+    })
+    .then(function () {
+      t.equal(s.sent.length, 3, 'skips the cache and requests in flight')
+      return s.client.getTags()
+    })
+    .then(function () {
+      t.equal(s.sent.length, 3, 'fresh responses are cached')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('is off by default', function (t) {
+  var s = setup({ dedupe: undefined })
+  t.equal(s.client.dedupe, null)
+  Promise.all([s.client.getTags(), s.client.getTags()])
+    .then(function () {
+      t.equal(s.sent.length, 2)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('sends its own request when the first caller cancels', function (t) {
+  var s = setup()
+  var controller = new AbortController()
+  var first = s.client.getTags({ signal: controller.signal })
+  var second = s.client.getTags()
+  controller.abort()
+  first
+    .then(
+      function () {
+        t.fail('should fail')
+      },
+      function (err) {
+        t.ok(err instanceof API.AbortError)
+        return second
+      }
+    )
+    .then(function (data) {
+      t.deepEqual(data, { tags: ['dragons'] })
+      t.equal(s.sent.length, 2)
+      t.end()
+    })
+    .catch(t.end)
+})
@@ -0,0 +1,103 @@
+var http = require('http')
+var test = require('tape')
+var API = require('../')
+
+var port = 57889
+var url = `http://localhost:${port}/api`
+
+/**
+ * Each key in this object is a profile name the status server knows about.
+ * Each value is the status code and body the server responds with.
+ */
+var responses = {
+  ok: [200, { profile: { username: 'ok' } }],
+  invalid: [
+    422,
+    {
+      errors: {
+        email: ["can't be blank"],
+        password: ['is too short']
+      }
+    }
+  ],
+  anonymous: [401, {}],
+  forbidden: [403, {}],
+  missing: [404, {}],
+  broken: [503, {}],
+  teapot: [418, {}]
+}
+
+var server = http.createServer(function (req, res) {
+  var name = req.url.split('/').pop()
+  var response = responses[name]
+  res.statusCode = response[0]
+  res.end(JSON.stringify(response[1]))
+})
+
+test('start status server', function (t) {
+  server.listen(port, t.end)
+})
+
+test('non-strict client passes responses through', function (t) {
+  var client = new API({ apiRoot: url })
+  client.getProfile('invalid', function (err, res, data) {
+    t.error(err, 'no error')
+    t.equal(res.statusCode, 422, 'status is 422')
+    t.deepEqual(data.errors.password, ['is too short'], 'errors in data')
+    t.end()
+  })
+})
+
+test('strict client creates typed errors', function (t) {
+  var client = new API({ apiRoot: url, strict: true })
+  var expected = {
+    invalid: API.ValidationError,
+    anonymous: API.UnauthorizedError,
+    forbidden: API.ForbiddenError,
+    missing: API.NotFoundError,
+    broken: API.ServerError,
+    teapot: API.RealWorldError
+  }
+  Promise.all(
+    Object.keys(expected).map(function (name) {
+      return client.getProfile(name).then(
+        function () {
+          t.fail(`${name} should reject`)
+        },
+        function (err) {
+          t.ok(
+            err instanceof expected[name],
+            `${name} is ${expected[name].name}`
+          )
+          t.ok(err instanceof API.RealWorldError, `${name} is RealWorldError`)
+          t.equal(err.status, responses[name][0], `${name} has status`)
+          t.equal(err.method, 'GET', `${name} has method`)
+          t.equal(err.url, `${url}/profiles/${name}`, `${name} has url`)
+          t.equal(err.res.statusCode, err.status, `${name} has raw response`)
+        }
+      )
+    })
+  ).then(function () {
+    t.end()
+  }, t.end)
+})
+
+test('validation errors carry field messages', function (t) {
+  var client = new API({ apiRoot: url, strict: true })
+  client.getProfile('invalid', function (err, res, data) {
+    t.equal(err.name, 'ValidationError', 'named ValidationError')
+    t.deepEqual(err.errors, responses.invalid[1].errors, 'errors map')
+    t.ok(/email can't be blank/.test(err.message), 'message lists fields')
+    t.equal(res.statusCode, 422, 'res still passed to callback')
+    t.deepEqual(data, responses.invalid[1], 'data still passed to callback')
+    client.getProfile('ok', function (err, res, data) {
+      t.error(err, 'no error for 2xx')
+      t.equal(data.profile.username, 'ok', 'data for 2xx')
+      t.end()
+    })
+  })
+})
+
+test('stop status server', function (t) {
+  server.close(t.end)
+})
@@ -0,0 +1,211 @@
+var test = require('tape')
+var API = require('../')
+var fixtures = require('./fixtures')
+
+var url = fixtures.url
+var register = fixtures.register
+
+function setup (options) {
+  return fixtures.setup().client(options)
+}
+
+function record (client, names) {
+  var events = []
+  names.forEach(function (name) {
+    client.on(name, function () {
+      events.push([name].concat(Array.prototype.slice.call(arguments)))
+    })
+  })
+  return events
+}
+
+test('emits request, response and token events', function (t) {
+  var client = setup()
+  var events = record(client, ['request', 'response', 'token'])
+  register(client, 'rick')
+    .then(function (data) {
+      t.deepEqual(
+        events.map(function (event) {
+          return event[0]
+        }),
+        ['request', 'response', 'token']
+      )
+      t.equal(events[0][1].method, 'POST')
+      t.equal(events[0][1].url, `${url}/users`)
+      t.equal(events[1][1].statusCode, 201)
+      t.equal(events[1][2], events[0][1], 'passes the request with the response')
+      t.equal(events[2][1], data.user.token)
+      events.length = 0
+      client.setToken('other')
+      client.setToken('other')
+      client.setToken(null)
+      t.deepEqual(events, [['token', 'other'], ['token', null]], 'only when the token changes')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('emits errors only when something listens', function (t) {
+  var client = setup({ strict: true })
+  client
+    .getUser()
+    .catch(function (err) {
+      t.ok(err instanceof API.UnauthorizedError, 'does not throw without a listener')
+      var emitted = []
+      client.on('error', function (err, req) {
+        emitted.push([err, req])
+      })
+      return client.getProfile('nobody').catch(function (err) {
+        t.equal(emitted.length, 1)
+        t.equal(emitted[0][0], err)
+        t.equal(emitted[0][1].url, `${url}/profiles/nobody`)
+        t.end()
+      })
+    })
+    .catch(t.end)
+})
+
+test('emits domain events after changes succeed', function (t) {
+  var client = setup()
+  var events
+  var slug
+  var id
+  register(client, 'rick')
+    .then(function () {
+      events = record(client, [
+        'article:created',
+        'article:updated',
+        'article:deleted',
+        'article:favorited',
+        'article:unfavorited',
+        'comment:added',
+        'comment:deleted',
+        'user:followed',
+        'user:unfollowed',
+        'user:updated'
+      ])
+      return client.createArticle({
+        title: 'Dragons',
+        description: 'Ever wonder how?',
+        body: 'Very carefully'
+      })
+    })
+    .then(function (data) {
+      slug = data.article.slug
+      return client.updateArticle(slug, { title: 'Dragons 2' })
+    })
+    .then(function (data) {
+      slug = data.article.slug
+      return client.favoriteArticle(slug)
+    })
+    .then(function () {
+      return client.unFavoriteArticle(slug)
+    })
+    .then(function () {
+      return client.addComment(slug, { body: 'First!' })
+    })
+    .then(function (data) {
+      id = data.comment.id
+      return client.deleteComment(slug, id)
+    })
+    .then(function () {
+      return client.updateUser({ bio: 'Scientist' })
+    })
+    .then(function () {
+      return client.followUser('nobody').catch(function () {})
+    })
+    .then(function () {
+      return client.deleteArticle(slug)
+    })
+    .then(function () {
+      t.deepEqual(
+        events.map(function (event) {
+          return event[0]
+        }),
+        [
+          'article:created',
+          'article:updated',
+          'article:favorited',
+          'article:unfavorited',
+          'comment:added',
+          'comment:deleted',
+          'user:updated',
+          'article:deleted'
+        ],
+        'skips calls that failed'
+      )
+      t.equal(events[0][1].title, 'Dragons')
+      t.equal(events[1][1].slug, 'dragons-2')
+      t.equal(events[1][2], 'dragons', 'with the old slug')
+      t.equal(events[2][1].favorited, true)
+      t.equal(events[3][1].favorited, false)
+      t.equal(events[4][1].body, 'First!')
+      t.equal(events[4][2], 'dragons-2')
+      t.deepEqual(events[5].slice(1), [id, 'dragons-2'])
+      t.equal(events[6][1].bio, 'Scientist')
+      t.deepEqual(events[7], ['article:deleted', 'dragons-2'])
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('emits follow events', function (t) {
+  var s = fixtures.setup()
+  var rick = s.client()
+  var morty = s.client()
+  var events = record(morty, ['user:followed', 'user:unfollowed'])
+  register(rick, 'rick')
+    .then(function () {
+      return register(morty, 'morty')
+    })
+    .then(function () {
+      return morty.followUser('rick')
+    })
+    .then(function () {
+      return morty.unFollowUser('rick')
+    })
+    .then(function () {
+      t.equal(events.length, 2)
+      t.equal(events[0][0], 'user:followed')
+      t.equal(events[0][1].following, true)
+      t.equal(events[1][0], 'user:unfollowed')
+      t.equal(events[1][1].username, 'rick')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('settles calls when a listener throws', function (t) {
+  var logged = []
+  var client = setup({
+    logger: {
+      error: function (message, fields) {
+        logged.push(`${message}: ${fields.error.message}`)
+      }
+    }
+  })
+  ;['request', 'response', 'token', 'article:created'].forEach(function (event) {
+    client.on(event, function () {
+      throw new Error(`broken ${event} listener`)
+    })
+  })
+  register(client, 'rick')
+    .then(function (data) {
+      t.equal(data.user.username, 'rick')
+      t.equal(client.token, data.user.token, 'still starts the session')
+      return client.createArticle({ title: 'Dragons', description: 'How?', body: 'Carefully' })
+    })
+    .then(function (data) {
+      t.equal(data.article.title, 'Dragons')
+      t.deepEqual(logged, [
+        'A listener for request failed: broken request listener',
+        'A listener for response failed: broken response listener',
+        'A listener for token failed: broken token listener',
+        'A listener for request failed: broken request listener',
+        'A listener for response failed: broken response listener',
+        'A listener for article:created failed: broken article:created listener'
+      ])
+      t.end()
+    })
+    .catch(t.end)
+})
@@ -0,0 +1,79 @@
+var xtend = require('xtend')
+var API = require('../')
+var server = require('../lib/server')
+
+var url = 'http://localhost/api'
+
+module.exports.url = url
+module.exports.setup = setup
+module.exports.register = register
+module.exports.article = article
+module.exports.unexpected = unexpected
+
+/**
+ * Create an in-memory Conduit backend and a factory for clients that talk to
+ * it without any network
+ * @param {Object} [opts]
+ * @param {Object} [opts.server] options for the Conduit
+ * @param {Object} [opts.client] options for every client, merged with the
+ * options given to the factory
+ * @param {Function} [opts.transport] called with the transport of the backend
+ * and returns the transport the clients use, to watch or change requests
+ * @returns {Object} the `conduit` and the `client` factory
+ */
+function setup (opts) {
+  if (!opts) opts = {}
+  var conduit = new server.Conduit(opts.server)
+  var backend = conduit.transport()
+  var transport = opts.transport ? opts.transport(backend) : backend
+  var client = function (options) {
+    return new API(
+      xtend(
+        { apiRoot: url, transport: transport, dataOnly: true },
+        opts.client,
+        options
+      )
+    )
+  }
+  return { conduit: conduit, client: client }
+}
+
+/**
+ * Register a user named `name` with the password `secret`
+ * @param {RealWorld} client client to register with
+ * @param {string} name username
+ * @returns {Promise<Object>} data of the registered user
+ */
+function register (client, name) {
+  return client.register({
+    username: name,
+    email: `${name}@example.com`,
+    password: 'secret'
+  })
+}
+
+/**
+ * Fields of a new article with the given title
+ * @param {string} title title of the article
+ * @param {string[]} [tags] tags of the article
+ * @returns {Object} fields for `createArticle`
+ */
+function article (title, tags) {
+  return {
+    title: title,
+    description: `About ${title}`,
+    body: `All about ${title}`,
+    tagList: tags || []
+  }
+}
+
+/**
+ * Fail the test when a call that should fail succeeds
+ * @param {Object} t tape test
+ * @returns {Function} handler for the resolved promise
+ */
+function unexpected (t) {
+  return function () {
+    t.fail('should fail')
+  }
+}
@@ -0,0 +1,138 @@
+var http = require('http')
+var test = require('tape')
+var API = require('../')
+
+var port = 57890
+var url = `http://localhost:${port}/api`
+
+/**
+ * The listing server holds 23 articles and responds to `limit` and `offset`
+ * like a RealWorld backend. Every request URL is recorded so we can verify
+ * that pages are requested lazily.
+ */
+var articles = []
+for (var i = 0; i < 23; i++) articles.push({ slug: `article-${i}` })
+
+var requested = []
+
+var server = http.createServer(function (req, res) {
+  requested.push(req.url)
+  var query = new URL(req.url, url).searchParams
+  var offset = Number(query.get('offset'))
+  var count = Number(query.get('limit'))
+  res.end(
+    JSON.stringify({
+      articles: articles.slice(offset, offset + count),
+      articlesCount: articles.length
+    })
+  )
+})
+
+var client = new API({ apiRoot: url })
+
+function collect (iterator) {
+  var items = []
+  function step () {
+    return iterator.next().then(function (result) {
+      if (result.done) return items
+      items.push(result.value.slug)
+      return step()
+    })
+  }
+  return step()
+}
+
+test('start listing server', function (t) {
+  server.listen(port, t.end)
+})
+
+test('iterates every page of articles', function (t) {
+  requested = []
+  collect(client.iterateArticles({ tag: 'dragons' })).then(function (slugs) {
+    t.equal(slugs.length, 23, 'yields every article')
+    t.equal(slugs[22], 'article-22', 'yields articles in order')
+    t.deepEqual(
+      requested,
+      [
+        '/api/articles?tag=dragons&limit=10&offset=0',
+        '/api/articles?tag=dragons&limit=10&offset=10',
+        '/api/articles?tag=dragons&limit=10&offset=20'
+      ],
+      'stops requesting at articlesCount'
+    )
+    t.end()
+  }, t.end)
+})
+
+test('stops at the max-items cap', function (t) {
+  requested = []
+  var iterator = client.iterateArticles({ author: 'rick', max: 7 })
+  collect(iterator).then(function (slugs) {
+    t.equal(slugs.length, 7, 'yields max articles')
+    t.deepEqual(
+      requested,
+      [
+        '/api/articles?author=rick&limit=5&offset=0',
+        '/api/articles?author=rick&limit=5&offset=5'
+      ],
+      'requests only the pages it needs'
+    )
+    t.end()
+  }, t.end)
+})
+
+test('combines filters with a custom page size', function (t) {
+  requested = []
+  var iterator = client.iterateArticles({ tag: 'js', author: 'rick', limit: 12 })
+  collect(iterator).then(function (slugs) {
+    t.equal(slugs.length, 23, 'yields every article')
+    t.deepEqual(
+      requested,
+      [
+        '/api/articles?tag=js&author=rick&limit=12&offset=0',
+        '/api/articles?tag=js&author=rick&limit=12&offset=12'
+      ],
+      'requests pages with both filters'
+    )
+    t.end()
+  }, t.end)
+})
+
+test('supports for await', function (t) {
+  requested = []
+  var slugs = []
+  ;(async function () {
+    for await (var article of client.iterateArticles({ feed: true, page: 2 })) {
+      slugs.push(article.slug)
+      if (slugs.length === 2) break
+    }
+  })().then(function () {
+    t.deepEqual(slugs, ['article-20', 'article-21'], 'starts at page')
+    t.deepEqual(
+      requested,
+      ['/api/articles/feed?limit=10&offset=20'],
+      'break stops requesting'
+    )
+    t.end()
+  }, t.end)
+})
+
+test('stops at articlesCount when starting past the first page', function (t) {
+  requested = []
+  collect(client.iterateArticles({ tag: 'dragons', page: 1 })).then(function (slugs) {
+    t.equal(slugs.length, 13, 'yields the rest of the articles')
+    t.deepEqual(
+      requested,
+      [
+        '/api/articles?tag=dragons&limit=10&offset=10',
+        '/api/articles?tag=dragons&limit=10&offset=20'
+      ],
+      'does not request past the end'
+    )
+    t.end()
+  }, t.end)
+})
+
+test('stop listing server', function (t) {
+  server.close(t.end)
+})
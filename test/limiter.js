@@ -0,0 +1,166 @@
+var test = require('tape')
+var API = require('../')
+var RateLimiter = require('../lib/limiter')
+var server = require('../lib/server')
+
+function deferred () {
+  var d = {}
+  d.promise = new Promise(function (resolve) {
+    d.resolve = resolve
+  })
+  return d
+}
+
+test('limits requests in flight', function (t) {
+  var limiter = new RateLimiter({ rate: Infinity, concurrency: 2 })
+  var active = 0
+  var most = 0
+  var task = function (n) {
+    return function () {
+      active++
+      most = Math.max(most, active)
+      return new Promise(function (resolve) {
+        setTimeout(function () {
+          active--
+          resolve(n)
+        }, 5)
+      })
+    }
+  }
+  var runs = [1, 2, 3, 4, 5].map(function (n) {
+    return limiter.schedule(task(n))
+  })
+  t.equal(limiter.metrics().active, 2)
+  t.equal(limiter.metrics().queued, 3)
+  Promise.all(runs).then(function (results) {
+    t.deepEqual(results, [1, 2, 3, 4, 5])
+    t.equal(most, 2)
+    var metrics = limiter.metrics()
+    t.equal(metrics.sent, 5)
+    t.equal(metrics.throttled, 3)
+    t.equal(metrics.active, 0)
+    t.end()
+  }, t.end)
+})
+
+test('starts no more than rate requests per interval', function (t) {
+  var limiter = new RateLimiter({ rate: 2, interval: 100, concurrency: 10 })
+  var start = Date.now()
+  var started = []
+  var runs = [1, 2, 3, 4].map(function (n) {
+    return limiter.schedule(function () {
+      started.push(Date.now() - start)
+      return n
+    })
+  })
+  t.equal(started.length, 2, 'bursts up to the rate')
+  t.equal(limiter.metrics().tokens, 0)
+  Promise.all(runs).then(function () {
+    t.ok(started[2] >= 45, `third waits for a token (${started[2]}ms)`)
+    t.ok(started[3] >= 95, `fourth waits for another (${started[3]}ms)`)
+    t.ok(limiter.metrics().maxWait >= 95)
+    t.end()
+  }, t.end)
+})
+
+test('serves higher priority lanes first', function (t) {
+  var limiter = new RateLimiter({ rate: Infinity, concurrency: 1 })
+  var blocker = deferred()
+  var order = []
+  var task = function (name) {
+    return function () {
+      order.push(name)
+    }
+  }
+  var runs = [
+    limiter.schedule(function () {
+      return blocker.promise
+    }),
+    limiter.schedule(task('low 1'), { priority: 'low' }),
+    limiter.schedule(task('normal')),
+    limiter.schedule(task('low 2'), { priority: 'low' }),
+    limiter.schedule(task('high'), { priority: 'high' })
+  ]
+  t.deepEqual(limiter.metrics().lanes, { high: 1, normal: 1, low: 2 })
+  blocker.resolve()
+  Promise.all(runs)
+    .then(function () {
+      t.deepEqual(order, ['high', 'normal', 'low 1', 'low 2'])
+      return limiter.schedule(task('urgent'), { priority: 'urgent' })
+    })
+    .then(
+      function () {
+        t.fail('should fail')
+      },
+      function (err) {
+        t.ok(err instanceof TypeError)
+        t.end()
+      }
+    )
+})
+
+test('drops queued requests that are cancelled', function (t) {
+  var limiter = new RateLimiter({ rate: Infinity, concurrency: 1 })
+  var blocker = deferred()
+  var controller = new AbortController()
+  var ran = false
+  var first = limiter.schedule(function () {
+    return blocker.promise
+  })
+  var second = limiter.schedule(
+    function () {
+      ran = true
+    },
+    { signal: controller.signal }
+  )
+  controller.abort()
+  second.then(
+    function () {
+      t.fail('should fail')
+    },
+    function () {
+      t.equal(limiter.metrics().queued, 0)
+      t.equal(limiter.metrics().cancelled, 1)
+      blocker.resolve()
+      first.then(function () {
+        t.notOk(ran, 'never runs the task')
+        t.end()
+      })
+    }
+  )
+})
+
+test('throttles client requests', function (t) {
+  var backend = new server.Conduit().transport()
+  var sent = []
+  var client = new API({
+    apiRoot: 'http://localhost/api',
+    dataOnly: true,
+    rateLimit: { rate: Infinity, concurrency: 1 },
+    transport: function (req, cb) {
+      sent.push(req.url.replace('http://localhost/api', ''))
+      backend(req, cb)
+    }
+  })
+  t.ok(client.limiter instanceof API.RateLimiter)
+  var shared = new API.RateLimiter()
+  t.equal(new API({ rateLimit: shared }).limiter, shared, 'accepts a limiter')
+  Promise.all([
+    client.getTags(),
+    client.batch.unFavoriteArticles(['a', 'b'], { concurrency: 2 }),
+    client.getProfile('rick', { priority: 'high' }).catch(function () {}),
+    client.listArticles()
+  ])
+    .then(function () {
+      t.deepEqual(sent, [
+        '/tags',
+        '/profiles/rick',
+        '/articles?limit=20&offset=0',
+        '/articles/a/favorite',
+        '/articles/b/favorite'
+      ])
+      t.equal(client.limiter.metrics().sent, 5)
+      t.end()
+    })
+    .catch(t.end)
+})
@@ -0,0 +1,189 @@
+var test = require('tape')
+var API = require('../')
+var fixtures = require('./fixtures')
+var markdown = require('../markdown')
+
+var register = fixtures.register
+
+var body = [
+  '# How to train your dragon',
+  '',
+  'It takes *a lot* of patience and a `bucket` of fish.',
+  '',
+  '## Feeding',
+  '',
+  '#### Fish',
+  '',
+  '## Flying',
+  '',
+  '<script>alert("hi")</script>',
+  '',
+  '[Click me](javascript:alert(1)) <a href="#" onclick="steal()">here</a>',
+  '',
+  '![](http://example.com/dragon.png)'
+].join('\n')
+
+function setup (options) {
+  return fixtures.setup({ client: { markdown: markdown } }).client(options)
+}
+
+test('renders sanitized HTML', function (t) {
+  var html = markdown.render(body)
+  t.ok(/<h1 id="user-content-how-to-train-your-dragon">How to train your dragon<\/h1>/.test(html))
+  t.ok(/<em>a lot<\/em>/.test(html))
+  t.equal(html.indexOf('<script'), -1, 'removes scripts')
+  t.equal(html.indexOf('onclick'), -1, 'removes event handlers')
+  t.equal(html.indexOf('javascript:'), -1, 'removes javascript: URLs')
+  t.ok(/<img src="http:\/\/example.com\/dragon.png">/.test(html), 'keeps safe images')
+  t.end()
+})
+
+test('extracts excerpts, headings and a table of contents', function (t) {
+  t.equal(
+    markdown.excerpt(body),
+    'It takes a lot of patience and a bucket of fish. Click me here',
+    'leaves out headings and HTML'
+  )
+  t.equal(markdown.excerpt(body, 20), 'It takes a lot of…')
+  t.deepEqual(markdown.headings(body), [
+    { depth: 1, text: 'How to train your dragon', id: 'user-content-how-to-train-your-dragon' },
+    { depth: 2, text: 'Feeding', id: 'user-content-feeding' },
+    { depth: 4, text: 'Fish', id: 'user-content-fish' },
+    { depth: 2, text: 'Flying', id: 'user-content-flying' }
+  ])
+  var toc = markdown.toc(body)
+  t.equal(toc.length, 1)
+  t.deepEqual(
+    toc[0].children.map(function (heading) {
+      return heading.text
+    }),
+    ['Feeding', 'Flying']
+  )
+  t.equal(toc[0].children[0].children[0].text, 'Fish', 'nests deeper headings')
+  t.deepEqual(markdown.toc(body, { maxDepth: 2 })[0].children[0].children, [])
+  t.end()
+})
+
+test('lints markdown', function (t) {
+  var problems = markdown.lint(body)
+  t.deepEqual(
+    problems.map(function (problem) {
+      return `${problem.line}:${problem.column} ${problem.rule}`
+    }),
+    [
+      '7:1 heading-increment',
+      '11:1 html',
+      '13:1 unsafe-url',
+      '13:33 html',
+      '13:67 html',
+      '15:1 image-alt'
+    ]
+  )
+  t.equal(problems[0].message, 'skips from h2 to h4')
+  t.equal(problems[2].message, 'links to an unsafe URL: javascript:alert(1)')
+  t.deepEqual(markdown.lint('[](http://example.com) [dragons]()'), [
+    { rule: 'empty-link', message: 'has a link without text', line: 1, column: 1 },
+    { rule: 'empty-link', message: 'has a link without a URL', line: 1, column: 24 }
+  ])
+  t.deepEqual(markdown.lint('# Dragons\n\n[Mail us](mailto:a@b.c) [top](#dragons) [q](?a=b:c)'), [])
+  t.end()
+})
+
+test('lints the URLs that rendering removes', function (t) {
+  var obfuscated = '[Click me](java&#x09;script:alert(1)) [Shout](JAVASCRIPT:alert(1)) ![Dragon](mailto:a@b.c)'
+  t.deepEqual(
+    markdown.lint(obfuscated).map(function (problem) {
+      return problem.rule
+    }),
+    ['unsafe-url', 'unsafe-url', 'unsafe-url']
+  )
+  t.equal(markdown.render(obfuscated), '<p><a>Click me</a> <a>Shout</a> <img alt="Dragon"></p>\n')
+  t.end()
+})
+
+test('adds rendered bodies to articles and comments', function (t) {
+  var client = setup()
+  var slug
+  register(client, 'rick')
+    .then(function () {
+      return client.createArticle({
+        title: 'Dragons',
+        description: 'Ever wonder how?',
+        body: body
+      })
+    })
+    .then(function (data) {
+      slug = data.article.slug
+      t.equal(data.article.bodyHtml, markdown.render(body))
+      return client.addComment(slug, { body: '**First!**' })
+    })
+    .then(function () {
+      return Promise.all([client.getArticle(slug), client.getComments(slug)])
+    })
+    .then(function (results) {
+      t.equal(results[0].article.body, body, 'keeps the markdown')
+      t.equal(results[0].article.bodyHtml, markdown.render(body))
+      t.equal(results[1].comments[0].bodyHtml, '<p><strong>First!</strong></p>\n')
+      return client.getTags()
+    })
+    .then(function (data) {
+      t.deepEqual(data, { tags: [] }, 'leaves other data alone')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('needs the helpers to lint', function (t) {
+  t.throws(function () {
+    return new API({ lintMarkdown: 'reject' })
+  }, TypeError)
+  t.equal(new API().markdown, null, 'renders nothing by default')
+  t.end()
+})
+
+test('lints articles before sending', function (t) {
+  var client = setup({ lintMarkdown: 'reject' })
+  var warned = setup({ lintMarkdown: 'warn' })
+  var linted = []
+  warned.on('lint', function (problems, name) {
+    linted.push([problems.length, name])
+  })
+  register(client, 'rick')
+    .then(function () {
+      return client.createArticle({ title: 'Dragons', description: 'How?', body: body })
+    })
+    .then(
+      function () {
+        t.fail('should fail')
+      },
+      function (err) {
+        t.ok(err instanceof API.SchemaError)
+        t.equal(err.errors.body.length, 6)
+        t.equal(err.errors.body[0], 'line 7 skips from h2 to h4')
+        return client.createArticle({ title: 'Dragons', description: 'How?', body: 'Carefully' })
+      }
+    )
+    .then(function (data) {
+      return client.updateArticle(data.article.slug, { body: '[Very](javascript:void(0)) carefully' })
+    })
+    .then(
+      function () {
+        t.fail('should fail')
+      },
+      function (err) {
+        t.deepEqual(err.errors, { body: ['line 1 links to an unsafe URL: javascript:void(0)'] })
+      }
+    )
+    .then(function () {
+      return register(warned, 'morty')
+    })
+    .then(function () {
+      return warned.createArticle({ title: 'Dragons', description: 'How?', body: body })
+    })
+    .then(function (data) {
+      t.equal(data.article.body, body, 'sends the article when warning')
+      t.deepEqual(linted, [[6, 'createArticle']])
+      t.end()
+    })
+    .catch(t.end)
+})
@@ -0,0 +1,206 @@
+var test = require('tape')
+var API = require('../')
+var Metrics = require('../lib/metrics')
+
+var url = 'http://localhost/api'
+
+function respond (responses) {
+  return function (req, cb) {
+    var res = responses.shift() || { statusCode: 200, body: {} }
+    setImmediate(function () {
+      if (res instanceof Error) return cb(res)
+      cb(null, Object.assign({ headers: {} }, res))
+    })
+  }
+}
+
+function logger () {
+  var logs = []
+  var log = function (level) {
+    return function (message, fields) {
+      logs.push({ level: level, message: message, fields: fields })
+    }
+  }
+  return {
+    logs: logs,
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error')
+  }
+}
+
+test('emits a trace of every call without the token', function (t) {
+  var client = new API({
+    apiRoot: url,
+    token: 'secret-token',
+    transport: respond([
+      { statusCode: 200, headers: { 'content-length': '42' }, body: { tags: [] } }
+    ])
+  })
+  client.on('trace', function (trace) {
+    t.equal(trace.method, 'GET')
+    t.equal(trace.url, `${url}/articles/how-to-train-your-dragon`)
+    t.equal(trace.endpoint, 'GET /articles/:slug')
+    t.equal(trace.status, 200)
+    t.equal(trace.retries, 0)
+    t.equal(trace.size, 42)
+    t.equal(trace.error, null)
+    t.ok(trace.duration >= 0)
+    t.equal(trace.headers.Authorization, 'Token [redacted]')
+    t.equal(JSON.stringify(trace).indexOf('secret-token'), -1, 'redacts the token')
+    t.end()
+  })
+  client.getArticle('how-to-train-your-dragon', function () {})
+})
+
+test('logs traces in debug mode', function (t) {
+  var log = logger()
+  var client = new API({
+    apiRoot: url,
+    logger: log,
+    debug: true,
+    transport: respond([
+      { statusCode: 200, body: { tags: ['dragons'] } },
+      new Error('socket hang up')
+    ])
+  })
+  client
+    .getTags()
+    .then(function () {
+      return client.getTags({ fresh: true })
+    })
+    .then(
+      function () {
+        t.fail('should fail')
+      },
+      function () {
+        t.equal(log.logs.length, 2)
+        t.equal(log.logs[0].level, 'debug')
+        t.ok(/^GET http:\/\/localhost\/api\/tags 200 \d+ms$/.test(log.logs[0].message), log.logs[0].message)
+        t.equal(log.logs[0].fields.size, JSON.stringify({ tags: ['dragons'] }).length)
+        t.ok(/^GET http:\/\/localhost\/api\/tags socket hang up \d+ms$/.test(log.logs[1].message), log.logs[1].message)
+        t.equal(log.logs[1].fields.status, null)
+        t.end()
+      }
+    )
+})
+
+test('sends warnings to the logger', function (t) {
+  var log = logger()
+  var client = new API({
+    apiRoot: url,
+    logger: log,
+    checkResponses: 'warn',
+    transport: respond([{ statusCode: 200, body: { tags: 'dragons' } }])
+  })
+  client.getTags(function (err) {
+    t.error(err)
+    t.equal(log.logs.length, 1, 'logs nothing else without debug')
+    t.equal(log.logs[0].level, 'warn')
+    t.deepEqual(log.logs[0].fields, { errors: { tags: ['is not an array'] } })
+    t.end()
+  })
+})
+
+test('counts retries', function (t) {
+  var client = new API({
+    apiRoot: url,
+    retry: { minDelay: 0, jitter: false },
+    transport: respond([{ statusCode: 503 }, { statusCode: 503 }, { statusCode: 200, body: { tags: [] } }])
+  })
+  client.on('trace', function (trace) {
+    t.equal(trace.retries, 2)
+    t.equal(trace.status, 200)
+    t.end()
+  })
+  client.getTags(function () {})
+})
+
+test('records counters and latency histograms per endpoint', function (t) {
+  var client = new API({
+    apiRoot: url,
+    metrics: { buckets: [1000, 10] },
+    transport: respond([
+      { statusCode: 200, body: {} },
+      { statusCode: 404, body: {} },
+      new Error('socket hang up')
+    ])
+  })
+  t.ok(client.metrics instanceof API.Metrics)
+  client
+    .getArticle('a')
+    .then(function () {
+      return client.getArticle('b')
+    })
+    .then(function () {
+      return client.deleteComment('a', 1).catch(function () {})
+    })
+    .then(function () {
+      var snapshot = client.metrics.snapshot()
+      t.deepEqual(Object.keys(snapshot), [
+        'GET /articles/:slug',
+        'DELETE /articles/:slug/comments/:id'
+      ])
+      var article = snapshot['GET /articles/:slug']
+      t.equal(article.count, 2)
+      t.equal(article.errors, 1)
+      t.deepEqual(article.statuses, { 200: 1, 404: 1 })
+      t.deepEqual(
+        article.latency.buckets.map(function (bucket) {
+          return bucket.le
+        }),
+        [10, 1000, null],
+        'sorts the buckets and adds one without a bound'
+      )
+      t.equal(
+        article.latency.buckets.reduce(function (sum, bucket) {
+          return sum + bucket.count
+        }, 0),
+        2
+      )
+      t.ok(article.latency.max >= article.latency.min)
+      var comment = snapshot['DELETE /articles/:slug/comments/:id']
+      t.equal(comment.errors, 1)
+      t.deepEqual(comment.statuses, {})
+      client.metrics.reset()
+      t.deepEqual(client.metrics.snapshot(), {})
+      var shared = new API.Metrics()
+      t.equal(new API({ metrics: shared }).metrics, shared, 'accepts metrics')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('names endpoints and redacts headers', function (t) {
+  t.equal(Metrics.endpoint('GET', '/articles?tag=dragons&limit=10&offset=0'), 'GET /articles')
+  t.equal(Metrics.endpoint('GET', '/articles/feed?limit=10&offset=0'), 'GET /articles/feed')
+  t.equal(Metrics.endpoint('POST', '/articles/dragons/favorite'), 'POST /articles/:slug/favorite')
+  t.equal(Metrics.endpoint('GET', '/articles/dragons/comments'), 'GET /articles/:slug/comments')
+  t.equal(Metrics.endpoint('DELETE', '/profiles/rick/follow'), 'DELETE /profiles/:username/follow')
+  t.equal(Metrics.endpoint('PUT', '/user'), 'PUT /user')
+  t.deepEqual(Metrics.redact({ authorization: 'abc', 'Content-Type': 'application/json' }), {
+    authorization: '[redacted]',
+    'Content-Type': 'application/json'
+  })
+  t.end()
+})
+
+test('skips traces nobody reads', function (t) {
+  var client = new API({
+    apiRoot: url,
+    transport: respond([{ statusCode: 200, body: { tags: [] } }])
+  })
+  var redact = Metrics.redact
+  var redacted = 0
+  Metrics.redact = function (headers) {
+    redacted++
+    return redact(headers)
+  }
+  client.getTags(function (err) {
+    Metrics.redact = redact
+    t.error(err)
+    t.equal(redacted, 0, 'builds no trace')
+    t.end()
+  })
+})
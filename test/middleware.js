@@ -0,0 +1,86 @@
+var API = require('../')
+var TestCluster = require('./helper')
+
+var port = 57892
+var url = `http://localhost:${port}/api`
+
+TestCluster.test(
+  'middleware modifies requests and responses',
+  {
+    port: port
+  },
+  function (cluster, t) {
+    var order = []
+    var client = new API({ apiRoot: url })
+      .use(function (req, next) {
+        order.push('first')
+        req.headers['X-Correlation-Id'] = 'abc123'
+        return next(req).then(function (res) {
+          order.push('first response')
+          res.body.seen = true
+          return res
+        })
+      })
+      .use(async function (req, next) {
+        order.push('second')
+        req.url = req.url.replace('/api/', '/gateway/api/')
+        var res = await next(req)
+        order.push('second response')
+        return res
+      })
+    client.getArticle('foo', function (err, res, data) {
+      t.error(err, 'no errors')
+      t.equal(data.headers['x-correlation-id'], 'abc123', 'header added')
+      t.equal(data.url, '/gateway/api/articles/foo', 'url rewritten')
+      t.ok(data.seen, 'response transformed')
+      t.deepEqual(
+        order,
+        ['first', 'second', 'second response', 'first response'],
+        'middleware runs in order'
+      )
+      t.end()
+    })
+  }
+)
+
+TestCluster.test(
+  'middleware short-circuits requests',
+  {
+    port: port
+  },
+  function (cluster, t) {
+    var client = new API({
+      apiRoot: url,
+      transport: function () {
+        t.fail('transport should not be called')
+      }
+    })
+    client.use(function (req, next) {
+      return { statusCode: 200, headers: {}, body: { tags: ['cached'] } }
+    })
+    client.getTags().then(function (result) {
+      t.deepEqual(result.data.tags, ['cached'], 'responds without transport')
+      t.end()
+    }, t.end)
+  }
+)
+
+TestCluster.test(
+  'middleware errors',
+  {
+    port: port
+  },
+  function (cluster, t) {
+    var client = new API({ apiRoot: url })
+    t.throws(function () {
+      client.use('nope')
+    }, /must be a function/, 'rejects non-functions')
+    client.use(function () {
+      throw new Error('boom')
+    })
+    client.getTags(function (err) {
+      t.equal(err.message, 'boom', 'thrown errors passed to callback')
+      t.end()
+    })
+  }
+)
@@ -0,0 +1,176 @@
+var test = require('tape')
+var API = require('../')
+
+var url = 'http://localhost/api'
+
+var author = {
+  username: 'rick',
+  bio: null,
+  image: null,
+  following: false
+}
+
+var article = {
+  slug: 'how-to-train-your-dragon',
+  title: 'How to train your dragon',
+  description: 'Ever wonder how?',
+  body: 'It takes a Jacobian',
+  tagList: ['dragons', 'training'],
+  createdAt: '2016-02-18T03:22:56.637Z',
+  updatedAt: '2016-02-18T03:48:35.824Z',
+  favorited: false,
+  favoritesCount: 0,
+  author: author
+}
+
+var comment = {
+  id: 1,
+  createdAt: '2016-02-18T03:22:56.637Z',
+  updatedAt: '2016-02-18T03:22:56.637Z',
+  body: 'It takes a Jacobian',
+  author: author
+}
+
+/**
+ * A transport that answers like a RealWorld backend for the few endpoints the
+ * models use, and records every request.
+ */
+function conduit (requests) {
+  return function (req, cb) {
+    requests.push(`${req.method} ${req.url.slice(url.length)}`)
+    var path = req.url.slice(url.length).split('?')[0]
+    var body = {}
+    if (/\/comments/.test(path)) {
+      body = req.method === 'GET' ? { comments: [comment] } : { comment: comment }
+    } else if (/^\/profiles/.test(path)) {
+      body = { profile: author }
+    } else if (path === '/articles') {
+      body = { articles: [article], articlesCount: 1 }
+    } else {
+      body = { article: article }
+    }
+    cb(null, { statusCode: 200, headers: {}, body: body })
+  }
+}
+
+test('hydrates responses into models', function (t) {
+  var client = new API({
+    apiRoot: url,
+    models: true,
+    dataOnly: true,
+    transport: conduit([])
+  })
+  Promise.all([
+    client.getArticle(article.slug),
+    client.listAllArticles(),
+    client.getProfile('rick'),
+    client.getComments(article.slug)
+  ]).then(function (results) {
+    var model = results[0].article
+    t.ok(model instanceof API.Article, 'article is an Article')
+    t.ok(model.author instanceof API.Profile, 'author is a Profile')
+    t.ok(model.createdAt instanceof Date, 'createdAt is a Date')
+    t.equal(model.createdAt.toISOString(), article.createdAt, 'same date')
+    t.equal(model.client, client, 'bound to client')
+    t.deepEqual(JSON.parse(JSON.stringify(model)), article, 'JSON round trip')
+    t.ok(results[1].articles[0] instanceof API.Article, 'listings hydrated')
+    t.equal(results[1].articlesCount, 1, 'other fields kept')
+    t.ok(results[2].profile instanceof API.Profile, 'profile hydrated')
+    t.ok(results[3].comments[0] instanceof API.Comment, 'comments hydrated')
+    t.end()
+  }, t.end)
+})
+
+test('model methods call the client', function (t) {
+  var requests = []
+  var client = new API({
+    apiRoot: url,
+    models: true,
+    dataOnly: true,
+    transport: conduit(requests)
+  })
+  client
+    .getArticle(article.slug)
+    .then(function (data) {
+      var model = data.article
+      return Promise.all([
+        model.favorite(),
+        model.unfavorite(),
+        model.update({ title: 'Updated' }),
+        model.delete(),
+        model.author.follow(),
+        model.author.unfollow(),
+        model.author.articles(1),
+        model.comments().then(function (data) {
+          return data.comments[0].delete()
+        })
+      ])
+    })
+    .then(function () {
+      var slug = article.slug
+      t.deepEqual(
+        requests.slice(1).sort(),
+        [
+          `DELETE /articles/${slug}`,
+          `DELETE /articles/${slug}/comments/1`,
+          `DELETE /articles/${slug}/favorite`,
+          `DELETE /profiles/rick/follow`,
+          `GET /articles/${slug}/comments`,
+          `GET /articles?author=rick&limit=5&offset=5`,
+          `POST /articles/${slug}/favorite`,
+          `POST /profiles/rick/follow`,
+          `PUT /articles/${slug}`
+        ],
+        'requests the matching endpoints'
+      )
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('models are off by default', function (t) {
+  var client = new API({ apiRoot: url, transport: conduit([]) })
+  client.getArticle(article.slug, function (err, res, data) {
+    t.error(err, 'no errors')
+    t.notOk(data.article instanceof API.Article, 'plain object')
+    t.equal(data.article.createdAt, article.createdAt, 'dates as strings')
+    t.end()
+  })
+})
+
+test('leaves items that are not objects alone', function (t) {
+  var client = new API({
+    apiRoot: url,
+    models: true,
+    dataOnly: true,
+    transport: function (req, cb) {
+      cb(null, { statusCode: 200, headers: {}, body: { articles: [null, article], articlesCount: 2 } })
+    }
+  })
+  client.listAllArticles().then(function (data) {
+    t.equal(data.articles[0], null)
+    t.ok(data.articles[1] instanceof API.Article)
+    t.end()
+  }, t.end)
+})
+
+test('fails the call when hydrating throws', function (t) {
+  var client = new API({
+    apiRoot: url,
+    models: true,
+    dataOnly: true,
+    transport: function (req, cb) {
+      var broken = Object.defineProperty({}, 'slug', {
+        enumerable: true,
+        get: function () {
+          throw new Error('Broken')
+        }
+      })
+      cb(null, { statusCode: 200, headers: {}, body: { article: broken } })
+    }
+  })
+  client.getArticle(article.slug, function (err) {
+    t.equal(err && err.message, 'Broken', 'reaches the callback')
+    t.end()
+  })
+})
@@ -0,0 +1,267 @@
+var test = require('tape')
+var API = require('../')
+var fixtures = require('./fixtures')
+
+var url = fixtures.url
+var register = fixtures.register
+var article = fixtures.article
+var unexpected = fixtures.unexpected
+
+function setup () {
+  var s = fixtures.setup({
+    client: { offline: { listen: false } },
+    transport: function (backend) {
+      return function (req, cb) {
+        if (!s.online) {
+          var err = new Error(`connect ECONNREFUSED ${req.url}`)
+          err.code = 'ECONNREFUSED'
+          return setImmediate(cb, err)
+        }
+        s.sent.push(`${req.method} ${req.url.slice(url.length)}`)
+        backend(req, cb)
+      }
+    }
+  })
+  s.online = true
+  s.sent = []
+  return s
+}
+
+function offline (t) {
+  return function (err) {
+    t.ok(err instanceof API.OfflineError, 'fails with OfflineError')
+    return err
+  }
+}
+
+test('queues mutations while offline and replays them in order', function (t) {
+  var s = setup()
+  var rick = s.client()
+  var events = []
+  rick.on('offline:queued', function (entry) {
+    events.push(`queued ${entry.method} ${entry.url}`)
+  })
+  rick.on('offline:replayed', function (entry, res, data) {
+    events.push(`replayed ${entry.method} ${entry.url} ${res.statusCode}`)
+  })
+  register(rick, 'rick')
+    .then(function () {
+      s.online = false
+      return rick.createArticle(article('Dragons'))
+    })
+    .then(unexpected(t), offline(t))
+    .then(function (err) {
+      t.equal(err.cause.code, 'ECONNREFUSED')
+      t.equal(err.method, 'POST')
+      t.equal(err.url, `${url}/articles`)
+      t.deepEqual(err.entry.body, { article: article('Dragons') })
+      return rick.addComment('dragons', { body: 'First!' })
+    })
+    .then(unexpected(t), offline(t))
+    .then(function () {
+      return rick.favoriteArticle('dragons')
+    })
+    .then(unexpected(t), offline(t))
+    .then(function () {
+      return rick.getTags()
+    })
+    .then(unexpected(t), function (err) {
+      t.notOk(err instanceof API.OfflineError, 'reads are not queued')
+      return rick.followUser('morty', { offline: false })
+    })
+    .then(unexpected(t), function (err) {
+      t.equal(err.code, 'ECONNREFUSED', 'offline: false skips the queue')
+      t.equal(rick.offline.entries.length, 3)
+      s.online = true
+      return rick.offline.replay()
+    })
+    .then(function (results) {
+      t.deepEqual(
+        results.map(function (result) {
+          return [result.ok, result.status]
+        }),
+        [[true, 201], [true, 201], [true, 200]]
+      )
+      t.equal(results[2].data.article.favorited, true)
+      t.deepEqual(s.sent.slice(1), [
+        'POST /articles',
+        'POST /articles/dragons/comments',
+        'POST /articles/dragons/favorite'
+      ])
+      t.deepEqual(events, [
+        'queued POST /articles',
+        'queued POST /articles/dragons/comments',
+        'queued POST /articles/dragons/favorite',
+        'replayed POST /articles 201',
+        'replayed POST /articles/dragons/comments 201',
+        'replayed POST /articles/dragons/favorite 200'
+      ])
+      t.deepEqual(rick.offline.entries, [])
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('drops opposing and repeated mutations', function (t) {
+  var s = setup()
+  var rick = s.client({ token: 'token' })
+  var ignore = function () {}
+  s.online = false
+  rick
+    .favoriteArticle('dragons')
+    .catch(ignore)
+    .then(function () {
+      return rick.followUser('morty').catch(ignore)
+    })
+    .then(function () {
+      return rick.unFavoriteArticle('dragons')
+    })
+    .then(unexpected(t), function (err) {
+      t.ok(err instanceof API.OfflineError)
+      t.equal(err.entry, null, 'cancels out the queued favorite')
+      return rick.followUser('morty')
+    })
+    .then(unexpected(t), function (err) {
+      t.equal(err.entry.url, '/profiles/morty/follow')
+      t.deepEqual(
+        rick.offline.entries.map(function (entry) {
+          return `${entry.method} ${entry.url}`
+        }),
+        ['POST /profiles/morty/follow'],
+        'keeps one follow'
+      )
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('reports conflicts and keeps replaying', function (t) {
+  var s = setup()
+  var rick = s.client()
+  var conflicts = []
+  rick.on('offline:conflict', function (err, entry) {
+    conflicts.push([err, entry])
+  })
+  register(rick, 'rick')
+    .then(function () {
+      return rick.createArticle(article('Dragons'))
+    })
+    .then(function () {
+      s.online = false
+      return rick.favoriteArticle('deleted').catch(function () {})
+    })
+    .then(function () {
+      return rick.updateArticle('dragons', { body: 'Here be dragons' })
+    })
+    .then(unexpected(t), offline(t))
+    .then(function () {
+      s.online = true
+      return rick.offline.replay()
+    })
+    .then(function (results) {
+      t.equal(results.length, 2)
+      t.equal(results[0].ok, false)
+      t.equal(results[0].status, 404)
+      t.ok(results[0].error instanceof API.NotFoundError)
+      t.equal(conflicts.length, 1)
+      t.equal(conflicts[0][0], results[0].error)
+      t.equal(conflicts[0][1].url, '/articles/deleted/favorite')
+      t.equal(results[1].data.article.body, 'Here be dragons')
+      t.deepEqual(rick.offline.entries, [])
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('keeps the queue while the server is unreachable', function (t) {
+  var s = setup()
+  var rick = s.client({ token: 'token' })
+  s.online = false
+  rick
+    .deleteArticle('dragons')
+    .catch(function () {})
+    .then(function () {
+      return rick.offline.replay()
+    })
+    .then(function (results) {
+      t.deepEqual(results, [])
+      t.equal(rick.offline.entries.length, 1)
+      t.equal(rick.offline.entries[0].method, 'DELETE')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('saves the queue and replays it once back online', function (t) {
+  var s = setup()
+  var storage = API.storage.memory()
+  var rick = s.client({ offline: { storage: storage, listen: false } })
+  register(rick, 'rick')
+    .then(function () {
+      return rick.createArticle(article('Dragons'))
+    })
+    .then(function () {
+      s.online = false
+      return rick.favoriteArticle('dragons').catch(function () {})
+    })
+    .then(function () {
+      t.deepEqual(
+        storage.load().map(function (entry) {
+          return entry.url
+        }),
+        ['/articles/dragons/favorite']
+      )
+      s.online = true
+      var restored = s.client({
+        token: rick.token,
+        offline: { storage: storage, listen: false }
+      })
+      restored.on('offline:replayed', function (entry, res, data) {
+        t.equal(entry.url, '/articles/dragons/favorite')
+        t.equal(data.article.favorited, true)
+        t.equal(storage.load(), null, 'clears the saved queue')
+        t.end()
+      })
+      return restored.offline.ready.then(function () {
+        t.equal(restored.offline.entries.length, 1, 'restores the queue')
+        return restored.getTags()
+      })
+    })
+    .catch(t.end)
+})
+
+test('only queues mutations the network dropped', function (t) {
+  var s = setup()
+  var rick = s.client()
+  register(rick, 'rick')
+    .then(function () {
+      rick.use(function () {
+        throw new TypeError('bug in middleware')
+      })
+      return rick.createArticle(article('Dragons'))
+    })
+    .then(unexpected(t), function (err) {
+      t.ok(err instanceof TypeError, 'passes other errors on')
+      t.equal(rick.offline.entries.length, 0, 'queues nothing')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('stops listening for online events when destroyed', function (t) {
+  var listeners = []
+  global.addEventListener = function (name, fn) {
+    listeners.push(name)
+  }
+  global.removeEventListener = function (name, fn) {
+    listeners.splice(listeners.indexOf(name), 1)
+  }
+  var queue = new API.OfflineQueue(setup().client({ offline: false }))
+  t.deepEqual(listeners, ['online'])
+  queue.destroy()
+  queue.destroy()
+  t.deepEqual(listeners, [])
+  delete global.addEventListener
+  delete global.removeEventListener
+  t.end()
+})
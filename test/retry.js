@@ -0,0 +1,167 @@
+var test = require('tape')
+var API = require('../')
+
+var url = 'http://localhost/api'
+
+/**
+ * Create a transport that answers with each of the given responses in turn.
+ * A response that is an Error is passed back as a network error instead.
+ */
+function scripted (responses, requests) {
+  return function (req, cb) {
+    requests.push(req)
+    var next = responses.shift()
+    if (next instanceof Error) return cb(next)
+    cb(null, { statusCode: next, headers: {}, body: { status: next } })
+  }
+}
+
+function connectionReset () {
+  var err = new Error('socket hang up')
+  err.code = 'ECONNRESET'
+  return err
+}
+
+test('retries GET requests on transient failures', function (t) {
+  var requests = []
+  var client = new API({
+    apiRoot: url,
+    retry: { minDelay: 1 },
+    transport: scripted([503, connectionReset(), 200], requests)
+  })
+  client.getTags(function (err, res, data) {
+    t.error(err, 'no errors')
+    t.equal(res.statusCode, 200, 'resolves with final response')
+    t.equal(requests.length, 3, 'sent three attempts')
+    t.end()
+  })
+})
+
+test('gives up after the maximum attempts', function (t) {
+  var requests = []
+  var client = new API({
+    apiRoot: url,
+    retry: { attempts: 2, minDelay: 1 },
+    transport: scripted([502, 502, 200], requests)
+  })
+  client.getTags(function (err, res) {
+    t.error(err, 'no errors')
+    t.equal(res.statusCode, 502, 'passes the last response')
+    t.equal(requests.length, 2, 'sent two attempts')
+    t.end()
+  })
+})
+
+test('does not retry other failures', function (t) {
+  var requests = []
+  var client = new API({
+    apiRoot: url,
+    retry: { minDelay: 1 },
+    transport: scripted([404, new Error('bad')], requests)
+  })
+  client.getTags(function (err, res) {
+    t.error(err, 'no errors')
+    t.equal(res.statusCode, 404, '404 is not retried')
+    client.getTags(function (err) {
+      t.equal(err.message, 'bad', 'errors without a retryable code fail')
+      t.equal(requests.length, 2, 'sent one attempt each')
+      t.end()
+    })
+  })
+})
+
+test('only retries POST, PUT and DELETE when opted in', function (t) {
+  var requests = []
+  var client = new API({
+    apiRoot: url,
+    retry: { minDelay: 1 },
+    transport: scripted([503, 503, 200], requests)
+  })
+  client.favoriteArticle('foo', function (err, res) {
+    t.error(err, 'no errors')
+    t.equal(res.statusCode, 503, 'POST not retried by default')
+    var optedIn = new API({
+      apiRoot: url,
+      retry: { minDelay: 1, methods: ['get', 'post'] },
+      transport: scripted([503, 200], requests)
+    })
+    optedIn.favoriteArticle('foo', function (err, res) {
+      t.error(err, 'no errors')
+      t.equal(res.statusCode, 200, 'POST retried when opted in')
+      t.equal(requests.length, 3, 'sent three requests in total')
+      t.end()
+    })
+  })
+})
+
+test('computes backoff delays', function (t) {
+  var policy = new API.RetryPolicy({
+    minDelay: 100,
+    maxDelay: 1000,
+    jitter: false
+  })
+  t.equal(policy.delay(1), 100, 'first delay is minDelay')
+  t.equal(policy.delay(3), 400, 'delay grows exponentially')
+  t.equal(policy.delay(10), 1000, 'delay is capped at maxDelay')
+  t.equal(
+    policy.delay(1, { headers: { 'retry-after': '0' } }),
+    0,
+    'honors Retry-After seconds'
+  )
+  t.equal(
+    policy.delay(1, { headers: { 'retry-after': '120' } }),
+    1000,
+    'Retry-After is capped at maxDelay'
+  )
+  var date = new Date(Date.now() + 60000).toUTCString()
+  t.equal(
+    policy.delay(1, { headers: { 'retry-after': date } }),
+    1000,
+    'honors Retry-After dates'
+  )
+  var jittered = new API.RetryPolicy({ minDelay: 100 }).delay(2)
+  t.ok(jittered >= 0 && jittered <= 200, 'jitter stays within backoff')
+  t.end()
+})
+
+test('retries network errors from the fetch transport', function (t) {
+  var attempts = 0
+  var client = new API({
+    apiRoot: url,
+    retry: { minDelay: 1 },
+    transport: API.transports.fetch({
+      fetch: function () {
+        attempts++
+        return Promise.reject(new TypeError('Failed to fetch'))
+      }
+    })
+  })
+  client.getTags(function (err) {
+    t.equal(err.code, 'ENETWORK', 'tags errors without a code')
+    t.equal(attempts, 3, 'sent three attempts')
+    t.end()
+  })
+})
+
+test('stops waiting to retry when the request is cancelled', function (t) {
+  var policy = new API.RetryPolicy({ minDelay: 10000, jitter: false })
+  var controller = new AbortController()
+  var start = Date.now()
+  policy
+    .run({ method: 'GET', url: url, signal: controller.signal }, function () {
+      setImmediate(function () {
+        controller.abort()
+      })
+      return Promise.reject(connectionReset())
+    })
+    .then(
+      function () {
+        t.fail('should fail')
+      },
+      function (err) {
+        t.equal(err.name, 'AbortError')
+        t.ok(Date.now() - start < 1000, 'does not wait for the backoff')
+        t.end()
+      }
+    )
+})
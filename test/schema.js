@@ -0,0 +1,243 @@
+var test = require('tape')
+var API = require('../')
+var schema = require('../lib/schema')
+
+var url = 'http://localhost/api'
+
+/**
+ * A transport that fails the test if it is ever called, since invalid bodies
+ * should be caught before any request is sent.
+ */
+function unreachable (t) {
+  return function (req, cb) {
+    t.fail(`${req.method} ${req.url} should not be sent`)
+    cb(null, { statusCode: 200, headers: {}, body: {} })
+  }
+}
+
+test('rejects invalid bodies before sending', function (t) {
+  var client = new API({ apiRoot: url, transport: unreachable(t) })
+  client.createArticle({}, function (err) {
+    t.ok(err instanceof API.SchemaError, 'SchemaError')
+    t.ok(err instanceof API.ValidationError, 'is a ValidationError')
+    t.equal(err.status, undefined, 'no status')
+    t.deepEqual(
+      err.errors,
+      {
+        title: ["can't be blank"],
+        description: ["can't be blank"],
+        body: ["can't be blank"]
+      },
+      'lists each missing field'
+    )
+    t.end()
+  })
+})
+
+test('checks types, formats and unknown keys', function (t) {
+  var client = new API({ apiRoot: url, transport: unreachable(t) })
+  Promise.all([
+    client
+      .updateUser({ image: 'not a url', bio: 5, admin: true })
+      .catch(function (err) {
+        return err.errors
+      }),
+    client
+      .createArticle({
+        title: 'a',
+        description: 'b',
+        body: 'c',
+        tagList: ['ok', 3]
+      })
+      .catch(function (err) {
+        return err.errors
+      }),
+    client.addComment('foo', { body: '' }).catch(function (err) {
+      return err.errors
+    }),
+    client.login({ email: 'a@b.c' }).catch(function (err) {
+      return err.message
+    })
+  ]).then(function (results) {
+    t.deepEqual(
+      results[0],
+      {
+        admin: ['is not allowed'],
+        bio: ['must be a string'],
+        image: ['must be a URL']
+      },
+      'updateUser problems'
+    )
+    t.deepEqual(
+      results[1],
+      { tagList: ['must be an array of strings'] },
+      'tagList must hold strings'
+    )
+    t.deepEqual(results[2], { body: ["can't be blank"] }, 'comment body')
+    t.equal(
+      results[3],
+      "Invalid login: password can't be blank",
+      'message lists problems'
+    )
+    t.end()
+  }, t.end)
+})
+
+test('accepts valid bodies', function (t) {
+  var validate = schema.validate
+  t.equal(validate('updateUser', { bio: null, image: null }), null, 'nulls')
+  t.equal(
+    validate('updateUser', { image: 'https://example.com/me.png' }),
+    null,
+    'URL image'
+  )
+  t.equal(
+    validate('createArticle', {
+      title: 'a',
+      description: 'b',
+      body: 'c',
+      tagList: []
+    }),
+    null,
+    'article with empty tagList'
+  )
+  t.equal(validate('updateArticle', {}), null, 'empty update')
+  t.end()
+})
+
+test('validation can be turned off', function (t) {
+  var client = new API({
+    apiRoot: url,
+    validate: false,
+    transport: function (req, cb) {
+      cb(null, { statusCode: 422, headers: {}, body: req.body })
+    }
+  })
+  client.createArticle({ extra: true }, function (err, res, data) {
+    t.error(err, 'no errors')
+    t.deepEqual(data, { article: { extra: true } }, 'body sent as is')
+    t.end()
+  })
+})
+
+var profile = { username: 'rick', bio: null, image: null, following: false }
+
+var article = {
+  slug: 'how-to-train-your-dragon',
+  title: 'How to train your dragon',
+  description: 'Ever wonder how?',
+  body: 'It takes a Jacobian',
+  tagList: ['dragons'],
+  createdAt: '2016-02-18T03:22:56.637Z',
+  updatedAt: '2016-02-18T03:48:35.824Z',
+  favorited: false,
+  favoritesCount: 0,
+  author: profile
+}
+
+test('validates response shapes', function (t) {
+  var validateResponse = schema.validateResponse
+  t.equal(validateResponse({ article: article }), null, 'valid article')
+  t.equal(
+    validateResponse({ articles: [article], articlesCount: 1 }),
+    null,
+    'valid listing'
+  )
+  t.equal(validateResponse({ tags: ['dragons'] }), null, 'valid tags')
+  t.equal(validateResponse({}), null, 'unknown keys are ignored')
+  t.deepEqual(
+    validateResponse({
+      articles: [
+        Object.assign({}, article, {
+          favoritesCount: '1',
+          tagList: [1],
+          createdAt: 'yesterday',
+          author: Object.assign({}, profile, { following: undefined })
+        })
+      ]
+    }),
+    {
+      'articles[0].tagList': ['is not an array of strings'],
+      'articles[0].createdAt': ['is not a date'],
+      'articles[0].favoritesCount': ['is not a number'],
+      'articles[0].author.following': ['is missing'],
+      articlesCount: ['is not a number']
+    }
+  )
+  t.deepEqual(
+    validateResponse({ user: { username: 'rick', email: null, bio: null } }),
+    {
+      'user.email': ['is null'],
+      'user.token': ['is missing'],
+      'user.image': ['is missing']
+    }
+  )
+  t.deepEqual(validateResponse({ comments: {} }), {
+    comments: ['is not an array']
+  })
+  t.deepEqual(validateResponse('<html>'), { body: ['is not an object'] })
+  t.deepEqual(schema.validateShape('profile', null), {
+    profile: ['is not an object']
+  })
+  t.end()
+})
+
+function drifting (body) {
+  return function (req, cb) {
+    cb(null, { statusCode: 200, headers: {}, body: body })
+  }
+}
+
+test('response checks are off by default', function (t) {
+  var client = new API({ apiRoot: url, transport: drifting({ article: {} }) })
+  client.getArticle('dragons', function (err, res, data) {
+    t.error(err)
+    t.deepEqual(data, { article: {} })
+    t.end()
+  })
+})
+
+test('rejects responses with the wrong shape', function (t) {
+  var bad = { article: Object.assign({}, article, { favorited: 'no' }) }
+  var client = new API({
+    apiRoot: url,
+    checkResponses: 'reject',
+    transport: drifting(bad)
+  })
+  client.getArticle('dragons').then(
+    function () {
+      t.fail('should fail')
+    },
+    function (err) {
+      t.ok(err instanceof API.ResponseShapeError)
+      t.ok(err instanceof API.RealWorldError)
+      t.equal(err.name, 'ResponseShapeError')
+      t.equal(err.status, 200)
+      t.deepEqual(err.errors, { 'article.favorited': ['is not a boolean'] })
+      t.deepEqual(err.data, bad)
+      t.ok(/article\.favorited is not a boolean/.test(err.message))
+      client.transport = drifting(undefined)
+      client.deleteArticle('dragons', function (err) {
+        t.error(err, 'empty bodies are not checked')
+        t.end()
+      })
+    }
+  )
+})
+
+test('warns about responses with the wrong shape', function (t) {
+  var client = new API({
+    apiRoot: url,
+    checkResponses: 'warn',
+    transport: drifting({ tags: 'dragons' })
+  })
+  client.on('invalid', function (err, req) {
+    t.deepEqual(err.errors, { tags: ['is not an array'] })
+    t.equal(req.url, `${url}/tags`)
+  })
+  client.getTags(function (err, res, data) {
+    t.error(err, 'the request still succeeds')
+    t.deepEqual(data, { tags: 'dragons' })
+    t.end()
+  })
+})
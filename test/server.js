@@ -0,0 +1,383 @@
+var test = require('tape')
+var API = require('../')
+var jwt = require('../lib/jwt')
+var server = require('../lib/server')
+var fixtures = require('./fixtures')
+
+var url = fixtures.url
+var register = fixtures.register
+var article = fixtures.article
+var unexpected = fixtures.unexpected
+
+function setup (opts) {
+  return fixtures.setup({
+    server: opts,
+    client: { checkResponses: 'reject', strict: true }
+  })
+}
+
+function expected (t, type, pattern) {
+  return function (err) {
+    t.ok(err instanceof type, `fails with ${type.name}`)
+    if (pattern) t.ok(pattern.test(err.message), err.message)
+  }
+}
+
+test('registers and logs in users with signed tokens', function (t) {
+  var s = setup({ tokenTtl: 60 })
+  var rick = s.client()
+  register(rick, 'rick')
+    .then(function (data) {
+      t.equal(data.user.username, 'rick')
+      t.equal(data.user.email, 'rick@example.com')
+      var claims = jwt.decode(data.user.token)
+      t.equal(claims.username, 'rick')
+      t.ok(claims.exp - claims.iat === 60, 'token expires after tokenTtl')
+      t.equal(rick.token, data.user.token, 'client keeps the token')
+      return rick.getUser()
+    })
+    .then(function (data) {
+      t.equal(data.user.username, 'rick')
+      return rick.updateUser({ bio: 'Scientist', username: 'rick-sanchez' })
+    })
+    .then(function (data) {
+      t.equal(data.user.bio, 'Scientist')
+      t.equal(data.user.username, 'rick-sanchez')
+      return s.client().login({ email: 'rick@example.com', password: 'secret' })
+    })
+    .then(function (data) {
+      t.equal(data.user.username, 'rick-sanchez')
+      return s.client()
+        .login({ email: 'rick@example.com', password: 'wrong' })
+        .then(
+          unexpected(t),
+          expected(t, API.ValidationError, /email or password is invalid/)
+        )
+    })
+    .then(function () {
+      t.end()
+    }, t.end)
+})
+
+test('rejects duplicate and blank users', function (t) {
+  var s = setup()
+  var client = s.client({ validate: false })
+  register(client, 'rick')
+    .then(function () {
+      return register(s.client(), 'rick')
+    })
+    .then(
+      function () {
+        t.fail('should fail')
+      },
+      function (err) {
+        t.ok(err instanceof API.ValidationError)
+        t.deepEqual(err.errors, {
+          username: ['has already been taken'],
+          email: ['has already been taken']
+        })
+        return client.register({ username: '', email: 'nope', password: 'x' })
+      }
+    )
+    .then(
+      function () {
+        t.fail('should fail')
+      },
+      function (err) {
+        t.deepEqual(err.errors, {
+          username: ["can't be blank"],
+          email: ['is invalid']
+        })
+        t.end()
+      }
+    )
+})
+
+test('requires a valid token', function (t) {
+  var s = setup()
+  s.client()
+    .getUser()
+    .then(unexpected(t), expected(t, API.UnauthorizedError))
+    .then(function () {
+      return s.client({ token: 'not-a-token' }).listArticles()
+    })
+    .then(unexpected(t), expected(t, API.UnauthorizedError))
+    .then(function () {
+      var other = new server.Conduit()
+      return register(s.client({ transport: other.transport() }), 'rick')
+    })
+    .then(function (data) {
+      return s.client({ token: data.user.token }).getUser()
+    })
+    .then(unexpected(t), expected(t, API.UnauthorizedError))
+    .then(function () {
+      t.end()
+    }, t.end)
+})
+
+test('creates, updates and deletes articles', function (t) {
+  var s = setup()
+  var rick = s.client()
+  var morty = s.client()
+  register(rick, 'rick')
+    .then(function () {
+      return register(morty, 'morty')
+    })
+    .then(function () {
+      return rick.createArticle(article('How to train your dragon', ['dragons']))
+    })
+    .then(function (data) {
+      t.equal(data.article.slug, 'how-to-train-your-dragon')
+      t.equal(data.article.author.username, 'rick')
+      t.equal(data.article.favoritesCount, 0)
+      t.deepEqual(data.article.tagList, ['dragons'])
+      return rick.createArticle(article('How to train your dragon?'))
+    })
+    .then(function (data) {
+      t.equal(data.article.slug, 'how-to-train-your-dragon-2', 'slugs are unique')
+      return morty.updateArticle(data.article.slug, { title: 'Mine now' })
+    })
+    .then(unexpected(t), expected(t, API.ForbiddenError))
+    .then(function () {
+      return rick.updateArticle('how-to-train-your-dragon-2', { title: 'Dragons 2' })
+    })
+    .then(function (data) {
+      t.equal(data.article.slug, 'dragons-2', 'new title gives a new slug')
+      t.equal(data.article.body, 'All about How to train your dragon?')
+      return rick.updateArticle('dragons-2', { title: 'DRAGONS 2' })
+    })
+    .then(function (data) {
+      t.equal(data.article.slug, 'dragons-2', 'keeps the slug when only the case changes')
+      return rick.deleteArticle('dragons-2')
+    })
+    .then(function () {
+      return rick.getArticle('dragons-2')
+    })
+    .then(unexpected(t), expected(t, API.NotFoundError))
+    .then(function () {
+      t.end()
+    }, t.end)
+})
+
+test('lists, filters and pages articles', function (t) {
+  var s = setup()
+  var rick = s.client()
+  var morty = s.client()
+  register(rick, 'rick')
+    .then(function () {
+      return register(morty, 'morty')
+    })
+    .then(function () {
+      return [1, 2, 3].reduce(function (p, n) {
+        return p.then(function () {
+          return rick.createArticle(article(`Rick ${n}`, ['science']))
+        })
+      }, Promise.resolve())
+    })
+    .then(function () {
+      return morty.createArticle(article('Morty', ['school']))
+    })
+    .then(function () {
+      return morty.favoriteArticle('rick-1')
+    })
+    .then(function () {
+      return rick.listArticles({ limit: 2, offset: 1 })
+    })
+    .then(function (data) {
+      t.equal(data.articlesCount, 4)
+      t.deepEqual(slugs(data), ['rick-3', 'rick-2'], 'most recent first')
+      return rick.listArticlesByTag('science')
+    })
+    .then(function (data) {
+      t.deepEqual(slugs(data), ['rick-3', 'rick-2', 'rick-1'])
+      return rick.listArticlesByAuthor('morty')
+    })
+    .then(function (data) {
+      t.deepEqual(slugs(data), ['morty'])
+      return rick.listArticlesByAuthorFavorites('morty')
+    })
+    .then(function (data) {
+      t.deepEqual(slugs(data), ['rick-1'])
+      t.equal(data.articles[0].favoritesCount, 1)
+      t.equal(data.articles[0].favorited, false, 'favorited is for the viewer')
+      return rick.listArticles({ author: 'nobody' })
+    })
+    .then(function (data) {
+      t.deepEqual(data, { articles: [], articlesCount: 0 })
+      return rick.getTags()
+    })
+    .then(function (data) {
+      t.deepEqual(data.tags.sort(), ['school', 'science'])
+      t.end()
+    }, t.end)
+})
+
+test('follows users and builds feeds', function (t) {
+  var s = setup()
+  var rick = s.client()
+  var morty = s.client()
+  register(rick, 'rick')
+    .then(function () {
+      return register(morty, 'morty')
+    })
+    .then(function () {
+      return rick.createArticle(article('Portal guns'))
+    })
+    .then(function () {
+      return morty.feedArticles()
+    })
+    .then(function (data) {
+      t.deepEqual(data, { articles: [], articlesCount: 0 })
+      return morty.followUser('rick')
+    })
+    .then(function (data) {
+      t.equal(data.profile.following, true)
+      return morty.feedArticles()
+    })
+    .then(function (data) {
+      t.deepEqual(slugs(data), ['portal-guns'])
+      t.equal(data.articles[0].author.following, true)
+      return morty.unFollowUser('rick')
+    })
+    .then(function (data) {
+      t.equal(data.profile.following, false)
+      return s.client().getProfile('rick')
+    })
+    .then(function (data) {
+      t.equal(data.profile.following, false, 'anonymous users follow nobody')
+      return s.client().getProfile('nobody')
+    })
+    .then(unexpected(t), expected(t, API.NotFoundError))
+    .then(function () {
+      t.end()
+    }, t.end)
+})
+
+test('favorites articles', function (t) {
+  var s = setup()
+  var rick = s.client()
+  register(rick, 'rick')
+    .then(function () {
+      return rick.createArticle(article('Pickles'))
+    })
+    .then(function () {
+      return rick.favoriteArticle('pickles')
+    })
+    .then(function (data) {
+      t.equal(data.article.favorited, true)
+      t.equal(data.article.favoritesCount, 1)
+      return rick.favoriteArticle('pickles')
+    })
+    .then(function (data) {
+      t.equal(data.article.favoritesCount, 1, 'favoriting twice counts once')
+      return rick.unFavoriteArticle('pickles')
+    })
+    .then(function (data) {
+      t.equal(data.article.favorited, false)
+      t.equal(data.article.favoritesCount, 0)
+      t.end()
+    }, t.end)
+})
+
+test('adds and deletes comments', function (t) {
+  var s = setup()
+  var rick = s.client()
+  var morty = s.client()
+  var id
+  register(rick, 'rick')
+    .then(function () {
+      return register(morty, 'morty')
+    })
+    .then(function () {
+      return rick.createArticle(article('Pickles'))
+    })
+    .then(function () {
+      return morty.addComment('pickles', { body: 'Wubba lubba' })
+    })
+    .then(function (data) {
+      id = data.comment.id
+      t.equal(data.comment.body, 'Wubba lubba')
+      t.equal(data.comment.author.username, 'morty')
+      return s.client().getComments('pickles')
+    })
+    .then(function (data) {
+      t.equal(data.comments.length, 1)
+      return rick.deleteComment('pickles', id)
+    })
+    .then(unexpected(t), expected(t, API.ForbiddenError))
+    .then(function () {
+      return morty.deleteComment('pickles', id)
+    })
+    .then(function () {
+      return morty.getComments('pickles')
+    })
+    .then(function (data) {
+      t.deepEqual(data.comments, [])
+      return morty.addComment('nothing', { body: 'Hello?' })
+    })
+    .then(unexpected(t), expected(t, API.NotFoundError))
+    .then(function () {
+      t.end()
+    }, t.end)
+})
+
+test('serves the API over HTTP', function (t) {
+  var http = server.createServer()
+  var transport = API.transports.http()
+  var root = 'http://localhost:57894/api'
+  http.listen(57894, function () {
+    var client = new API({
+      apiRoot: root,
+      transport: transport,
+      strict: true,
+      dataOnly: true
+    })
+    register(client, 'rick')
+      .then(function (data) {
+        t.equal(data.user.username, 'rick')
+        t.equal(http.conduit.users.length, 1, 'exposes the backend')
+        return client.getUser()
+      })
+      .then(function (data) {
+        t.equal(data.user.email, 'rick@example.com')
+        transport({ method: 'OPTIONS', url: `${root}/articles`, headers: {} }, function (err, res) {
+          t.error(err)
+          t.equal(res.statusCode, 204)
+          t.equal(res.headers['access-control-allow-origin'], '*')
+          transport({ method: 'GET', url: `${root}/profiles/%E0`, headers: {} }, function (err, res) {
+            t.error(err)
+            t.equal(res.statusCode, 400, 'answers malformed paths without crashing')
+            http.close(t.end)
+          })
+        })
+      })
+      .catch(function (err) {
+        http.close(function () {
+          t.end(err)
+        })
+      })
+  })
+})
+
+test('answers 500 when the backend throws', function (t) {
+  var conduit = new server.Conduit()
+  conduit.handle = function () {
+    throw new Error('boom')
+  }
+  var http = server.createServer(conduit)
+  http.listen(57895, function () {
+    var transport = API.transports.http()
+    transport({ method: 'GET', url: 'http://localhost:57895/api/tags', headers: {} }, function (err, res) {
+      t.error(err)
+      t.equal(res.statusCode, 500)
+      t.deepEqual(res.body, { errors: { server: ['boom'] } })
+      http.close(t.end)
+    })
+  })
+})
+
+function slugs (data) {
+  return data.articles.map(function (article) {
+    return article.slug
+  })
+}
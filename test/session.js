@@ -0,0 +1,317 @@
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var test = require('tape')
+var API = require('../')
+
+var url = 'http://localhost/api'
+
+var user = {
+  email: 'rick@example.com',
+  token: 'jwt.token.here',
+  username: 'rick',
+  bio: null,
+  image: null
+}
+
+/**
+ * Create a transport that answers login and register requests with `user`,
+ * or with a 422 if the password is wrong. Every request is recorded.
+ */
+function auth (requests) {
+  return function (req, cb) {
+    requests.push(req)
+    if (req.body && req.body.user && req.body.user.password === 'wrong') {
+      return cb(null, {
+        statusCode: 422,
+        headers: {},
+        body: { errors: { 'email or password': ['is invalid'] } }
+      })
+    }
+    cb(null, { statusCode: 200, headers: {}, body: { user: user } })
+  }
+}
+
+test('login starts a session', function (t) {
+  var requests = []
+  var events = []
+  var client = new API({ apiRoot: url, transport: auth(requests) })
+  client.on('session', function (session) {
+    events.push(session.token)
+  })
+  client
+    .login({ email: 'rick@example.com', password: 'wrong' })
+    .then(function () {
+      t.equal(client.token, null, 'failed login keeps no token')
+      return client.login({ email: 'rick@example.com', password: 'right' })
+    })
+    .then(function () {
+      t.equal(client.token, user.token, 'token captured')
+      t.deepEqual(client.session.user, user, 'user captured')
+      return client.getUser()
+    })
+    .then(function () {
+      t.equal(
+        requests[2].headers.Authorization,
+        `Token ${user.token}`,
+        'token sent with next request'
+      )
+      return client.logout()
+    })
+    .then(function () {
+      t.equal(client.token, null, 'logout clears token')
+      t.equal(client.session.user, null, 'logout clears user')
+      t.deepEqual(events, [user.token, null], 'session events emitted')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('register starts a session', function (t) {
+  var client = new API({ apiRoot: url, transport: auth([]) })
+  client.register(
+    { username: 'rick', email: 'rick@example.com', password: 'right' },
+    function (err) {
+      t.error(err, 'no errors')
+      t.equal(client.token, user.token, 'token captured')
+      t.end()
+    }
+  )
+})
+
+test('restores the session from storage', function (t) {
+  var storage = API.storage.memory({ token: 'saved', user: user })
+  var client = new API({ apiRoot: url, storage: storage })
+  t.equal(client.token, 'saved', 'restored on construction')
+  var explicit = new API({ apiRoot: url, storage: storage, token: 'given' })
+  t.equal(explicit.token, 'given', 'explicit token wins')
+  client.setToken('changed')
+  t.deepEqual(storage.load(), { token: 'changed', user: null }, 'saved')
+  t.end()
+})
+
+test('restores asynchronously', function (t) {
+  var client = new API({
+    apiRoot: url,
+    storage: {
+      load: function () {
+        return Promise.resolve({ token: 'later' })
+      },
+      save: function () {},
+      clear: function () {}
+    }
+  })
+  client.ready.then(function () {
+    t.equal(client.token, 'later', 'restored once ready')
+    t.end()
+  }, t.end)
+})
+
+test('reports storage errors', function (t) {
+  var client = new API({
+    apiRoot: url,
+    storage: {
+      load: function () {},
+      save: function () {
+        throw new Error('disk full')
+      },
+      clear: function () {}
+    }
+  })
+  client.on('session:error', function (err) {
+    t.equal(err.message, 'disk full', 'session:error emitted')
+    t.equal(client.token, 'abc', 'token still set')
+    t.end()
+  })
+  client.setToken('abc')
+})
+
+test('file storage', function (t) {
+  var file = path.join(os.tmpdir(), `realworld-session-${process.pid}.json`)
+  var storage = API.storage.file(file)
+  t.equal(storage.load(), null, 'no session before saving')
+  storage.save({ token: 'abc', user: null })
+  var client = new API({ apiRoot: url, storage: storage })
+  t.equal(client.token, 'abc', 'restored from file')
+  client.logout().then(function () {
+    t.notOk(fs.existsSync(file), 'logout removes the file')
+    t.end()
+  }, t.end)
+})
+
+test('localStorage storage', function (t) {
+  var items = {}
+  var storage = API.storage.localStorage({
+    key: 'session',
+    storage: {
+      getItem: function (key) {
+        return items[key] || null
+      },
+      setItem: function (key, value) {
+        items[key] = value
+      },
+      removeItem: function (key) {
+        delete items[key]
+      }
+    }
+  })
+  var client = new API({ apiRoot: url, storage: storage })
+  client.setToken('abc')
+  t.deepEqual(
+    JSON.parse(items.session),
+    { token: 'abc', user: null },
+    'saved as JSON'
+  )
+  t.equal(
+    new API({ apiRoot: url, storage: storage }).token,
+    'abc',
+    'restored from localStorage'
+  )
+  client.logout()
+  t.notOk(items.session, 'logout removes the item')
+  t.end()
+})
+
+/**
+ * Create an unsigned JWT that expires `seconds` from now
+ */
+function jwt (seconds, name) {
+  var encode = function (obj) {
+    return Buffer.from(JSON.stringify(obj)).toString('base64')
+      .replace(/=+$/, '')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+  }
+  var exp = Math.floor(Date.now() / 1000) + seconds
+  return [
+    encode({ alg: 'HS256', typ: 'JWT' }),
+    encode({ username: name || 'rick', exp: exp }),
+    'signature'
+  ].join('.')
+}
+
+test('decodes token expiry', function (t) {
+  var client = new API({ apiRoot: url, token: jwt(3600) })
+  var expiresAt = client.session.expiresAt
+  t.ok(expiresAt instanceof Date, 'expiresAt is a Date')
+  t.ok(Math.abs(expiresAt - Date.now() - 3600000) < 2000, 'read from exp')
+  t.notOk(client.session.isExpired(), 'not expired')
+  t.ok(client.session.isExpired(3601000), 'expired within leeway')
+  client.setToken('opaque-token')
+  t.equal(client.session.expiresAt, null, 'opaque tokens never expire')
+  t.notOk(client.session.isExpired(), 'opaque token not expired')
+  t.end()
+})
+
+test('warns before sending an expired token', function (t) {
+  var requests = []
+  var client = new API({
+    apiRoot: url,
+    token: jwt(-60),
+    transport: auth(requests)
+  })
+  client.on('expired', function (expiresAt, req) {
+    t.ok(expiresAt < new Date(), 'expired event has expiry')
+    t.equal(req.url, `${url}/user`, 'expired event has request')
+  })
+  client.getUser(function (err) {
+    t.error(err, 'request still sent')
+    t.equal(requests.length, 1, 'one request')
+    t.end()
+  })
+})
+
+test('refuses to send an expired token', function (t) {
+  var requests = []
+  var client = new API({
+    apiRoot: url,
+    token: jwt(-60),
+    expiredToken: 'reject',
+    transport: auth(requests)
+  })
+  client.getUser(function (err) {
+    t.ok(err instanceof API.TokenExpiredError, 'TokenExpiredError')
+    t.ok(err instanceof API.UnauthorizedError, 'is an UnauthorizedError')
+    t.equal(requests.length, 0, 'no request sent')
+    t.end()
+  })
+})
+
+test('refreshes the token and replays requests', function (t) {
+  var fresh = jwt(3600, 'fresh')
+  var requests = []
+  var refreshed = 0
+  var unauthorized = 0
+  var client = new API({
+    apiRoot: url,
+    token: 'stale',
+    refreshToken: function () {
+      refreshed++
+      return Promise.resolve(fresh)
+    },
+    transport: function (req, cb) {
+      requests.push(req)
+      var ok = req.headers.Authorization === `Token ${fresh}`
+      cb(null, { statusCode: ok ? 200 : 401, headers: {}, body: {} })
+    }
+  })
+  client.on('unauthorized', function () {
+    unauthorized++
+  })
+  Promise.all([client.getUser(), client.getTags()])
+    .then(function (results) {
+      t.equal(results[0].res.statusCode, 200, 'first request replayed')
+      t.equal(results[1].res.statusCode, 200, 'second request replayed')
+      t.equal(refreshed, 1, 'concurrent 401s share one refresh')
+      t.equal(unauthorized, 2, 'unauthorized emitted for each 401')
+      t.equal(client.token, fresh, 'fresh token stored')
+      t.equal(requests.length, 4, 'each request sent twice')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('applies expiredToken when the refresh gives up', function (t) {
+  var requests = []
+  var client = new API({
+    apiRoot: url,
+    token: jwt(-60),
+    expiredToken: 'reject',
+    refreshToken: function () {
+      return null
+    },
+    transport: auth(requests)
+  })
+  client.getUser(function (err) {
+    t.ok(err instanceof API.TokenExpiredError, 'TokenExpiredError')
+    t.equal(requests.length, 0, 'expired token not sent')
+    t.end()
+  })
+})
+
+test('refreshes an expired token before sending', function (t) {
+  var fresh = jwt(3600, 'fresh')
+  var requests = []
+  var client = new API({
+    apiRoot: url,
+    token: jwt(-60),
+    refreshToken: function (client) {
+      return client
+        .login({ email: 'rick@example.com', password: 'right' })
+        .then(function () {
+          return fresh
+        })
+    },
+    transport: auth(requests)
+  })
+  client.getUser(function (err) {
+    t.error(err, 'no errors')
+    t.equal(requests.length, 2, 'login then getUser')
+    t.equal(
+      requests[1].headers.Authorization,
+      `Token ${fresh}`,
+      'sent with fresh token'
+    )
+    t.end()
+  })
+})
@@ -0,0 +1,325 @@
+var test = require('tape')
+var API = require('../')
+
+var url = 'http://localhost/api'
+
+var author = {
+  username: 'rick',
+  bio: null,
+  image: null,
+  following: false
+}
+
+var article = {
+  slug: 'how-to-train-your-dragon',
+  title: 'How to train your dragon',
+  description: 'Ever wonder how?',
+  body: 'It takes a Jacobian',
+  tagList: ['dragons', 'training'],
+  createdAt: '2016-02-18T03:22:56.637Z',
+  updatedAt: '2016-02-18T03:48:35.824Z',
+  favorited: false,
+  favoritesCount: 0,
+  author: author
+}
+
+var comment = {
+  id: 1,
+  createdAt: '2016-02-18T03:22:56.637Z',
+  updatedAt: '2016-02-18T03:22:56.637Z',
+  body: 'It takes a Jacobian',
+  author: author
+}
+
+/**
+ * A transport that answers like a RealWorld backend, or with `fail` for
+ * everything but reads when it is set.
+ */
+function conduit (state) {
+  return function (req, cb) {
+    var path = req.url.slice(url.length).split('?')[0]
+    if (state.fail && req.method !== 'GET') {
+      if (state.fail instanceof Error) return cb(state.fail)
+      return cb(null, { statusCode: state.fail, headers: {}, body: {} })
+    }
+    if (state.respond) return state.respond(req, cb)
+    var body
+    if (/\/comments/.test(path)) {
+      body = req.method === 'GET' ? { comments: [comment] } : { comment: comment }
+    } else if (/\/follow$/.test(path)) {
+      body = { profile: Object.assign({}, author, { following: req.method === 'POST' }) }
+    } else if (/^\/profiles/.test(path)) {
+      body = { profile: author }
+    } else if (path === '/articles') {
+      body = { articles: [article], articlesCount: 1 }
+    } else if (path === '/tags') {
+      body = { tags: ['dragons', 'training'] }
+    } else if (/\/favorite$/.test(path)) {
+      var favorited = req.method === 'POST'
+      body = {
+        article: Object.assign({}, article, {
+          favorited: favorited,
+          favoritesCount: favorited ? 1 : 0
+        })
+      }
+    } else {
+      body = req.method === 'DELETE' ? {} : { article: article }
+    }
+    cb(null, { statusCode: 200, headers: {}, body: body })
+  }
+}
+
+function client (state, opts) {
+  return new API(
+    Object.assign(
+      { apiRoot: url, store: true, dataOnly: true, transport: conduit(state) },
+      opts
+    )
+  )
+}
+
+test('store is off by default', function (t) {
+  var api = new API({ apiRoot: url })
+  t.equal(api.store, null)
+  var store = new API.Store()
+  t.equal(new API({ store: store }).store, store, 'uses the given store')
+  t.end()
+})
+
+test('merges listings, articles and profiles', function (t) {
+  var api = client({})
+  api
+    .listArticles()
+    .then(function () {
+      var list = api.store.getList('/articles?limit=20&offset=0')
+      t.equal(list.articlesCount, 1)
+      t.deepEqual(list.articles, [article], 'articles joined with authors')
+      t.equal(api.store.articles[article.slug].author, 'rick', 'normalized')
+      t.deepEqual(api.store.getProfile('rick'), author)
+      return api.getTags()
+    })
+    .then(function () {
+      t.deepEqual(api.store.tags, ['dragons', 'training'])
+      t.end()
+    }, t.end)
+})
+
+test('merges comments of an article', function (t) {
+  var api = client({})
+  api.getComments(article.slug).then(function () {
+    t.deepEqual(api.store.getComments(article.slug), [
+      Object.assign({}, comment, { slug: article.slug })
+    ])
+    t.end()
+  }, t.end)
+})
+
+test('notifies subscribers of changes', function (t) {
+  var api = client({})
+  var calls = []
+  var unsubscribe = api.store.subscribe(function (changes, store) {
+    t.equal(store, api.store)
+    calls.push(changes)
+  })
+  api
+    .getArticle(article.slug)
+    .then(function () {
+      t.deepEqual(calls, [
+        [{ type: 'profile', id: 'rick' }, { type: 'article', id: article.slug }]
+      ])
+      unsubscribe()
+      return api.getArticle(article.slug)
+    })
+    .then(function () {
+      t.equal(calls.length, 1, 'not called after unsubscribing')
+      t.end()
+    }, t.end)
+})
+
+test('favorites optimistically', function (t) {
+  var state = {}
+  var api = client(state)
+  var seen = []
+  api
+    .getArticle(article.slug)
+    .then(function () {
+      state.respond = function (req, cb) {
+        seen.push(api.store.getArticle(article.slug).favoritesCount)
+        conduit({})(req, cb)
+      }
+      return api.favoriteArticle(article.slug)
+    })
+    .then(function () {
+      t.deepEqual(seen, [1], 'updated before the response')
+      t.equal(api.store.getArticle(article.slug).favorited, true)
+      return api.unFavoriteArticle(article.slug)
+    })
+    .then(function () {
+      t.equal(api.store.getArticle(article.slug).favorited, false)
+      t.equal(api.store.getArticle(article.slug).favoritesCount, 0)
+      t.end()
+    }, t.end)
+})
+
+test('rolls back a favorite when the request fails', function (t) {
+  var state = {}
+  var api = client(state, { strict: true })
+  var changes = []
+  api
+    .getArticle(article.slug)
+    .then(function () {
+      api.store.subscribe(function (c) {
+        changes.push(api.store.getArticle(article.slug).favorited)
+      })
+      state.fail = 500
+      return api.favoriteArticle(article.slug)
+    })
+    .then(
+      function () {
+        t.fail('should fail')
+      },
+      function (err) {
+        t.ok(err instanceof API.ServerError)
+        t.deepEqual(changes, [true, false], 'applied then rolled back')
+        t.equal(api.store.getArticle(article.slug).favoritesCount, 0)
+        t.end()
+      }
+    )
+})
+
+test('rolls back a follow when the transport fails', function (t) {
+  var state = {}
+  var api = client(state)
+  api
+    .getProfile('rick')
+    .then(function () {
+      state.fail = new Error('offline')
+      return api.followUser('rick')
+    })
+    .then(
+      function () {
+        t.fail('should fail')
+      },
+      function (err) {
+        t.equal(err.message, 'offline')
+        t.equal(api.store.getProfile('rick').following, false)
+        state.fail = null
+        return api.followUser('rick').then(function () {
+          t.equal(api.store.getProfile('rick').following, true)
+          return api.unFollowUser('rick')
+        })
+      }
+    )
+    .then(function () {
+      t.equal(api.store.getProfile('rick').following, false)
+      t.end()
+    }, t.end)
+})
+
+test('adds comments optimistically', function (t) {
+  var state = {}
+  var api = client(state)
+  var pending
+  api.session.setUser({ username: 'morty', email: 'morty@example.com', token: 'abc' })
+  state.respond = function (req, cb) {
+    pending = api.store.getComments(article.slug)
+    conduit({})(req, cb)
+  }
+  api
+    .addComment(article.slug, { body: 'Wubba lubba' })
+    .then(function () {
+      t.equal(pending.length, 1)
+      t.equal(pending[0].body, 'Wubba lubba')
+      t.equal(pending[0].pending, true)
+      t.equal(pending[0].author.username, 'morty')
+      t.deepEqual(
+        api.store.getProfile('morty'),
+        { username: 'morty', bio: null, image: null, following: false },
+        'keeps the email and token out of the store'
+      )
+      var comments = api.store.getComments(article.slug)
+      t.deepEqual(
+        comments.map(function (c) {
+          return c.id
+        }),
+        [1],
+        'replaced by the comment from the server'
+      )
+      state.respond = null
+      state.fail = 422
+      return api.addComment(article.slug, { body: 'Nope' })
+    })
+    .then(function () {
+      t.deepEqual(
+        api.store.getComments(article.slug).map(function (c) {
+          return c.id
+        }),
+        [1],
+        'removed when the request fails'
+      )
+      t.end()
+    }, t.end)
+})
+
+test('removes deleted articles and comments', function (t) {
+  var api = client({})
+  api
+    .getArticle(article.slug)
+    .then(function () {
+      return api.getComments(article.slug)
+    })
+    .then(function () {
+      return api.deleteComment(article.slug, 1)
+    })
+    .then(function () {
+      t.deepEqual(api.store.getComments(article.slug), [])
+      t.equal(api.store.comments[1], undefined)
+      return api.deleteArticle(article.slug)
+    })
+    .then(function () {
+      t.equal(api.store.getArticle(article.slug), undefined)
+      t.end()
+    }, t.end)
+})
+
+test('logs errors thrown by subscribers', function (t) {
+  var logged = []
+  var api = client({}, {
+    logger: {
+      error: function (message, fields) {
+        logged.push([message, fields.error.message])
+      }
+    }
+  })
+  api.store.subscribe(function () {
+    throw new Error('Boom')
+  })
+  api
+    .getArticle(article.slug)
+    .then(function (data) {
+      t.equal(data.article.slug, article.slug, 'the call still resolves')
+      return api.favoriteArticle(article.slug)
+    })
+    .then(function () {
+      t.deepEqual(logged[0], ['A store subscriber failed', 'Boom'])
+      t.equal(logged.length, 3, 'logs the merge, the optimistic change and the response')
+      t.end()
+    }, t.end)
+})
+
+test('rejects malformed listings', function (t) {
+  var api = client({
+    respond: function (req, cb) {
+      cb(null, { statusCode: 200, headers: {}, body: { articles: [null], articlesCount: 1 } })
+    }
+  })
+  api.listArticles().then(
+    function () {
+      t.fail('should fail')
+    },
+    function (err) {
+      t.ok(err instanceof TypeError, 'fails the call instead of hanging')
+      t.end()
+    }
+  )
+})
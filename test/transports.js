@@ -0,0 +1,101 @@
+var http = require('http')
+var API = require('../')
+var TestCluster = require('./helper')
+
+var port = 57891
+var url = `http://localhost:${port}/api`
+
+/**
+ * Each built-in transport should send the same request to the echo server,
+ * so we run the same checks against every one of them.
+ */
+var transports = {
+  nets: API.transports.nets(),
+  fetch: API.transports.fetch(),
+  http: API.transports.http({
+    agent: new http.Agent({ keepAlive: true })
+  })
+}
+
+Object.keys(transports).forEach(function (name) {
+  TestCluster.test(
+    `${name} transport`,
+    {
+      port: port
+    },
+    function (cluster, t) {
+      var client = new API({
+        apiRoot: url,
+        token: 'shhh',
+        transport: transports[name]
+      })
+      client.addComment('foo', { body: 'hello' }, function (err, res, data) {
+        t.error(err, `${name} no errors`)
+        t.equal(res.statusCode, 200, `${name} passes status`)
+        t.equal(data.method, 'POST', `${name} sends method`)
+        t.equal(data.url, '/api/articles/foo/comments', `${name} sends url`)
+        t.equal(
+          data.headers.authorization,
+          'Token shhh',
+          `${name} sends headers`
+        )
+        t.deepEqual(
+          data.body,
+          { comment: { body: 'hello' } },
+          `${name} sends body as JSON`
+        )
+        client.getTags(function (err, res, data) {
+          t.error(err, `${name} no errors without body`)
+          t.equal(data.method, 'GET', `${name} sends GET`)
+          t.notOk(data.body, `${name} sends no body`)
+          t.end()
+        })
+      })
+    }
+  )
+})
+
+TestCluster.test(
+  'transport errors',
+  {
+    port: port
+  },
+  function (cluster, t) {
+    var client = new API({
+      apiRoot: 'http://localhost:1/api',
+      transport: API.transports.http()
+    })
+    client.getTags(function (err) {
+      t.ok(err, 'connection errors are passed as err')
+      t.end()
+    })
+  }
+)
+
+TestCluster.test(
+  'custom transport',
+  {
+    port: port
+  },
+  function (cluster, t) {
+    var requests = []
+    var client = new API({
+      apiRoot: url,
+      transport: function (req, cb) {
+        requests.push(req)
+        cb(null, {
+          statusCode: 200,
+          headers: {},
+          body: { tags: ['fake'] }
+        })
+      }
+    })
+    client.getTags().then(function (result) {
+      t.deepEqual(result.data, { tags: ['fake'] }, 'resolves with fake body')
+      t.equal(requests[0].method, 'GET', 'transport receives method')
+      t.equal(requests[0].url, `${url}/tags`, 'transport receives url')
+      t.deepEqual(requests[0].headers, {}, 'transport receives headers')
+      t.end()
+    }, t.end)
+  }
+)